@@ -1,5 +1,7 @@
 import { createReadlineInterface } from './utils.js';
-import { QdrantService } from './services/qdrant.js';
+import path from 'path';
+import { createVectorStore } from './services/vector-stores.js';
+import { parseSearchFilters } from './services/vector-store.js';
 import { DocumentProcessor } from './services/document-processor.js';
 import { LLMService } from './services/llm.js';
 import dotenv from 'dotenv';
@@ -22,11 +24,60 @@ if (!parsedRepos) {
   process.exit(1);
 }
 
+/**
+ * Command line options restricting the search, e.g. `--repo api --repo web --path src/`,
+ * and the search filter each one sets
+ */
+const FILTER_OPTIONS = {
+  '--repo': 'repos',
+  '--ref': 'refs',
+  '--path': 'pathPrefix',
+  '--language': 'languages',
+  '--type': 'fileTypes',
+};
+
+/**
+ * Reads the search filters from the command line, options other than `--path` may be
+ * repeated
+ */
+function getSearchFilters(args) {
+  const filters = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = FILTER_OPTIONS[args[i]];
+    if (!name) throw new Error(`Unknown option ${args[i]}`);
+
+    const value = args[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${args[i - 1]}`);
+    }
+    filters[name] = name === 'pathPrefix' ? value : [...(filters[name] ?? []), value];
+  }
+  return parseSearchFilters(filters);
+}
+
+let searchFilters;
+try {
+  searchFilters = getSearchFilters(process.argv.slice(2));
+} catch (error) {
+  console.error('⚠️ Invalid search filters:', error.message);
+  process.exit(1);
+}
+
 // Configuration from environment variables
 const config = {
+  vectorStore: process.env.VECTOR_STORE || 'qdrant',
   qdrantUrl: process.env.QDRANT_URL,
+  vectorStorePath:
+    process.env.VECTOR_STORE_PATH ||
+    path.join(process.env.REPOS_DIR || './github_repos', '.vector-store'),
   repos: parsedRepos,
-  embeddingModel: process.env.EMBEDDING_MODEL,
+  embeddingModel: process.env.EMBEDDING_MODEL || 'Xenova/multilingual-e5-large',
+  lexicalWeight: process.env.LEXICAL_WEIGHT ? parseFloat(process.env.LEXICAL_WEIGHT) : undefined,
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || 'transformers',
+  embeddingUrl: process.env.EMBEDDING_URL,
+  embeddingApiKey: process.env.EMBEDDING_API_KEY,
+  embeddingTimeout: parseInt(process.env.EMBEDDING_TIMEOUT) || undefined,
+  embeddingRetries: parseInt(process.env.EMBEDDING_RETRIES) || undefined,
   llmModel: process.env.LLM_MODEL,
   hfToken: process.env.HF_TOKEN,
 };
@@ -39,13 +90,25 @@ async function startQASession() {
 
   try {
     // Initialize required services
-    const qdrant = new QdrantService(config.qdrantUrl);
-    const documentProcessor = new DocumentProcessor(config.embeddingModel);
+    const vectorStore = createVectorStore(config.vectorStore, {
+      url: config.qdrantUrl,
+      path: config.vectorStorePath,
+    });
+    const documentProcessor = new DocumentProcessor(config.embeddingModel, {
+      provider: config.embeddingProvider,
+      providerUrl: config.embeddingUrl,
+      apiKey: config.embeddingApiKey,
+      timeout: config.embeddingTimeout,
+      retries: config.embeddingRetries,
+    });
     const llm = new LLMService(config.llmModel, config.hfToken);
 
     // Initialize embedding model
     await documentProcessor.initialize();
 
+    if (searchFilters) {
+      console.log(`Searching only ${JSON.stringify(searchFilters)}`);
+    }
     console.log("\nAssistant ready! Ask your questions (type 'exit' to quit):");
     const readlineInterface = createReadlineInterface();
 
@@ -62,24 +125,34 @@ async function startQASession() {
         const questionEmbedding = await documentProcessor.generateEmbedding(question);
 
         // Search for relevant documents
-        const searchResults = await qdrant.searchSimilar('github_code', questionEmbedding.data);
+        const searchResults = await vectorStore.searchSimilar(
+          'github_code',
+          questionEmbedding.data,
+          5,
+          {
+            embeddingModel: config.embeddingModel,
+            sparseVector: questionEmbedding.sparse,
+            lexicalWeight: config.lexicalWeight,
+            filters: searchFilters,
+          }
+        );
 
         // Build context from results
-        const context = searchResults
-          .map(
-            (result) =>
-              `File: ${result.payload.repo}/${result.payload.path}\n\nContent:\n${result.payload.content}\n---`
-          )
-          .join('\n\n');
+        const context = llm.formatContext(searchResults);
 
         // Prepare repository list for context
-        const repoList = config.repos.map((repo) => `- ${repo.name}`).join('\n');
+        const repoList = llm.formatRepoList(config.repos);
 
         // Generate response
         const answer = await llm.generateAnswer(question, context, repoList);
 
         console.log('\nAnswer:');
         console.log(answer);
+
+        console.log('\nSources:');
+        for (const { location, url } of llm.formatSources(searchResults, config.repos)) {
+          console.log(`- ${location}${url ? ` (${url})` : ''}`);
+        }
       } catch (error) {
         console.error('\nError processing question:', error.message);
       }
@@ -0,0 +1,138 @@
+/**
+ * Manages the on-disk embedding cache filled by `npm run update-datas`
+ *
+ * Usage:
+ *   npm run embedding-cache -- stats
+ *   npm run embedding-cache -- prune [--older-than <days>] [--max-size <MB>]
+ *   npm run embedding-cache -- invalidate [--model <id> | --all]
+ *
+ * Without options, `invalidate` removes the embeddings of every model but EMBEDDING_MODEL.
+ */
+
+import path from 'path';
+import { EmbeddingCache } from './services/embedding-cache.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const config = {
+  reposDir: process.env.REPOS_DIR || './github_repos',
+  embeddingCacheDir: process.env.EMBEDDING_CACHE_DIR,
+  embeddingModel: process.env.EMBEDDING_MODEL || 'Xenova/multilingual-e5-large',
+};
+
+config.embeddingCacheDir ||= path.join(config.reposDir, '.embedding-cache');
+
+const USAGE = `Usage:
+  npm run embedding-cache -- stats
+  npm run embedding-cache -- prune [--older-than <days>] [--max-size <MB>]
+  npm run embedding-cache -- invalidate [--model <id> | --all]`;
+
+/**
+ * Reads the value of a command line option
+ */
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`Missing value for ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Reads a positive number from a command line option
+ */
+function getNumberOption(args, name) {
+  const value = getOption(args, name);
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!(number >= 0)) throw new Error(`Invalid value for ${name}: ${value}`);
+  return number;
+}
+
+/**
+ * Formats a size in bytes for humans
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const cache = new EmbeddingCache(config.embeddingCacheDir);
+
+  switch (command) {
+    case 'stats': {
+      const stats = await cache.stats();
+      if (stats.length === 0) {
+        console.log(`Embedding cache ${config.embeddingCacheDir} is empty`);
+        return;
+      }
+
+      console.log(`Embedding cache ${config.embeddingCacheDir}:`);
+      for (const { embeddingModel, options, entries, bytes, lastUsed, namespace } of stats) {
+        const current = embeddingModel === config.embeddingModel ? ' (current model)' : '';
+        console.log(
+          `- ${embeddingModel ?? namespace}${current}: ${entries} embeddings, ` +
+            `${formatBytes(bytes)}, last used ${lastUsed?.toISOString() ?? 'never'}, ` +
+            `options ${JSON.stringify(options)}`
+        );
+      }
+      return;
+    }
+
+    case 'prune': {
+      const olderThanDays = getNumberOption(args, '--older-than');
+      const maxSize = getNumberOption(args, '--max-size');
+      if (olderThanDays === undefined && maxSize === undefined) {
+        throw new Error('prune needs --older-than <days> or --max-size <MB>');
+      }
+
+      const removed = await cache.prune({
+        olderThanDays,
+        maxBytes: maxSize === undefined ? undefined : maxSize * 1024 * 1024,
+      });
+      console.log(`🗑️ ${removed.entries} embeddings pruned, ${formatBytes(removed.bytes)} freed`);
+      return;
+    }
+
+    case 'invalidate': {
+      const embeddingModel = getOption(args, '--model');
+      const removed = await cache.invalidate(
+        args.includes('--all')
+          ? {}
+          : embeddingModel
+          ? { embeddingModel }
+          : { exceptModel: config.embeddingModel }
+      );
+
+      for (const { embeddingModel: model, namespace, entries, bytes } of removed) {
+        console.log(
+          `🗑️ ${model ?? namespace}: ${entries} embeddings removed (${formatBytes(bytes)})`
+        );
+      }
+      if (removed.length === 0) console.log('Nothing to invalidate');
+      return;
+    }
+
+    default:
+      console.log(USAGE);
+      if (command) process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
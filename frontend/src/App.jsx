@@ -15,6 +15,7 @@ function App() {
   const [config, setConfig] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ repos: [], pathPrefix: '', fileTypes: [] });
 
   // Load configuration on component mount
   useEffect(() => {
@@ -32,6 +33,33 @@ function App() {
     loadConfig();
   }, []);
 
+  /**
+   * Adds a value to a list filter, or removes it
+   * @param {string} name - Filter name, `repos` or `fileTypes`
+   * @param {string} value - Value checked or unchecked
+   */
+  const toggleFilter = (name, value) => {
+    setFilters((current) => ({
+      ...current,
+      [name]: current[name].includes(value)
+        ? current[name].filter((item) => item !== value)
+        : [...current[name], value],
+    }));
+  };
+
+  /**
+   * Returns the filters of the request, without the empty ones
+   * @returns {Object|undefined} Search filters, undefined if nothing is filtered
+   */
+  const getRequestFilters = () => {
+    const requestFilters = Object.fromEntries(
+      Object.entries({ ...filters, pathPrefix: filters.pathPrefix.trim() }).filter(
+        ([, value]) => value.length > 0
+      )
+    );
+    return Object.keys(requestFilters).length ? requestFilters : undefined;
+  };
+
   /**
    * Handles the form submission and queries the RAG assistant
    * @param {Event} e - Form submission event
@@ -47,7 +75,7 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ question }),
+        body: JSON.stringify({ question, filters: getRequestFilters() }),
       });
 
       const data = await response.json();
@@ -66,7 +94,7 @@ function App() {
         throw new Error('Invalid response format');
       }
 
-      setParsedResponse(parsed);
+      setParsedResponse({ ...parsed, sources: data.sources ?? [] });
     } catch (error) {
       console.error('Query error:', error);
       setParsedResponse({
@@ -103,11 +131,18 @@ function App() {
         <div className="repos-info">
           <h3>Available Sources:</h3>
           <div className="repos-list">
-            {config.repos.map((repo) => (
-              <div key={repo.url} className="repo-item">
-                <a href={repo.url} target="_blank" rel="noopener noreferrer">
-                  {repo.name}
-                </a>
+            {config.projects.map((project) => (
+              <div key={`${project.repo}/${project.path}`} className="repo-item">
+                {project.url ? (
+                  <a href={project.url} target="_blank" rel="noopener noreferrer">
+                    {project.name}
+                  </a>
+                ) : (
+                  project.name
+                )}
+                {project.ref && (
+                  <span className="repo-refs">{[].concat(project.ref).join(', ')}</span>
+                )}
               </div>
             ))}
           </div>
@@ -126,6 +161,47 @@ function App() {
           rows={4}
           disabled={isLoading}
         />
+        {config && (
+          <details className="search-filters">
+            <summary>Filters</summary>
+            <fieldset disabled={isLoading}>
+              <legend>Repositories</legend>
+              {config.repos.map(({ name }) => (
+                <label key={name}>
+                  <input
+                    type="checkbox"
+                    checked={filters.repos.includes(name)}
+                    onChange={() => toggleFilter('repos', name)}
+                  />
+                  {name}
+                </label>
+              ))}
+            </fieldset>
+            <fieldset disabled={isLoading}>
+              <legend>File types</legend>
+              {config.fileTypes.map((fileType) => (
+                <label key={fileType}>
+                  <input
+                    type="checkbox"
+                    checked={filters.fileTypes.includes(fileType)}
+                    onChange={() => toggleFilter('fileTypes', fileType)}
+                  />
+                  {fileType}
+                </label>
+              ))}
+            </fieldset>
+            <label className="path-filter">
+              Path prefix
+              <input
+                type="text"
+                value={filters.pathPrefix}
+                onChange={(e) => setFilters({ ...filters, pathPrefix: e.target.value })}
+                placeholder="src/"
+                disabled={isLoading}
+              />
+            </label>
+          </details>
+        )}
         <button
           type="submit"
           disabled={isLoading || !question.trim()}
@@ -152,6 +228,25 @@ function App() {
                 </div>
               )}
 
+              {parsedResponse.sources?.length > 0 && (
+                <div className="sources-section">
+                  <h2>Sources:</h2>
+                  <ul className="sources-list">
+                    {parsedResponse.sources.map((source) => (
+                      <li key={source.location}>
+                        {source.url ? (
+                          <a href={source.url} target="_blank" rel="noopener noreferrer">
+                            {source.location}
+                          </a>
+                        ) : (
+                          source.location
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {parsedResponse.instructions && (
                 <details className="section">
                   <summary>Instructions</summary>
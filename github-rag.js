@@ -1,14 +1,18 @@
+import path from 'path';
 import { createReadlineInterface } from './utils.js';
-import { QdrantService } from './services/qdrant.js';
+import { createVectorStore } from './services/vector-stores.js';
 import { DocumentProcessor } from './services/document-processor.js';
 import { LLMService } from './services/llm.js';
 import { CodeIndexer } from './services/code-indexer.js';
+import { IssueIndexer, THREAD_KINDS } from './services/issue-indexer.js';
+import { IndexStateStore } from './services/index-state.js';
+import { IndexReport } from './services/index-report.js';
+import { IngestionPipeline } from './services/ingestion-pipeline.js';
+import { CollectionGenerations } from './services/collection-generations.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const chunks = [];
-
 let parsedRepos;
 try {
   parsedRepos = process.env.GITHUB_REPOS ? JSON.parse(process.env.GITHUB_REPOS) : null;
@@ -25,79 +29,282 @@ if (!parsedRepos) {
 }
 
 const config = {
+  vectorStore: process.env.VECTOR_STORE || 'qdrant',
   qdrantUrl: process.env.QDRANT_URL || 'http://localhost:6333',
+  vectorStorePath: process.env.VECTOR_STORE_PATH,
   repos: parsedRepos,
   reposDir: process.env.REPOS_DIR || './github_repos',
+  indexStateFile: process.env.INDEX_STATE_FILE,
+  indexReportFile: process.env.INDEX_REPORT_FILE,
+  fullRebuild: process.argv.includes('--full') || process.env.FULL_REINDEX === 'true',
+  rollback: process.argv.includes('--rollback'),
+  collectionRetention: parseInt(process.env.COLLECTION_RETENTION) || 2,
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || undefined,
+  traversalConcurrency: parseInt(process.env.TRAVERSAL_CONCURRENCY) || 8,
+  secretsMode: process.env.SECRETS_MODE || 'redact',
+  batchSize: parseInt(process.env.BATCH_SIZE) || 64,
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || 'transformers',
+  embeddingUrl: process.env.EMBEDDING_URL,
+  embeddingApiKey: process.env.EMBEDDING_API_KEY,
+  embeddingTimeout: parseInt(process.env.EMBEDDING_TIMEOUT) || undefined,
+  embeddingRetries: parseInt(process.env.EMBEDDING_RETRIES) || undefined,
+  embeddingWorkers: parseInt(process.env.EMBEDDING_WORKERS) || 1,
+  embeddingBatchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || undefined,
+  embeddingCache: process.env.EMBEDDING_CACHE !== 'off',
+  embeddingCacheDir: process.env.EMBEDDING_CACHE_DIR,
+  delayBetweenBatches: parseInt(process.env.DELAY_BETWEEN_BATCHES) || 500,
+  upsertBatchSize: parseInt(process.env.UPSERT_BATCH_SIZE) || 16,
+  upsertConcurrency: parseInt(process.env.UPSERT_CONCURRENCY) || 4,
+  nearDuplicateThreshold:
+    process.env.NEAR_DUPLICATE_THRESHOLD === 'off'
+      ? null
+      : parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.98,
   embeddingModel: process.env.EMBEDDING_MODEL || 'Xenova/multilingual-e5-large',
+  lexicalWeight: process.env.LEXICAL_WEIGHT ? parseFloat(process.env.LEXICAL_WEIGHT) : undefined,
   llmModel: process.env.LLM_MODEL || 'mistralai/Mixtral-8x7B-Instruct-v0.1',
   hfToken: process.env.HF_TOKEN,
 };
 
+// Keep the index state and report next to the cloned repositories unless told otherwise
+config.indexStateFile ||= path.join(config.reposDir, '.index-state.json');
+config.indexReportFile ||= path.join(config.reposDir, '.index-report.json');
+config.embeddingCacheDir ||= path.join(config.reposDir, '.embedding-cache');
+config.vectorStorePath ||= path.join(config.reposDir, '.vector-store');
+
 async function main() {
   console.log('Initializing ethical code RAG assistant for GitHub...');
 
+  // Embeddings are generated on worker threads, stopped when the session ends
+  const documentProcessor = new DocumentProcessor(config.embeddingModel, {
+    provider: config.embeddingProvider,
+    providerUrl: config.embeddingUrl,
+    apiKey: config.embeddingApiKey,
+    timeout: config.embeddingTimeout,
+    retries: config.embeddingRetries,
+    workers: config.embeddingWorkers,
+    embeddingBatchSize: config.embeddingBatchSize,
+    cacheDir: config.embeddingCache ? config.embeddingCacheDir : null,
+  });
+
   try {
     // Initialize services
-    const qdrant = new QdrantService(config.qdrantUrl);
-    const documentProcessor = new DocumentProcessor(config.embeddingModel);
+    const vectorStore = createVectorStore(config.vectorStore, {
+      url: config.qdrantUrl,
+      path: config.vectorStorePath,
+    });
     const llm = new LLMService(config.llmModel, config.hfToken);
-    const codeIndexer = new CodeIndexer(config.reposDir);
+    const codeIndexer = new CodeIndexer(config.reposDir, {
+      maxFileSize: config.maxFileSize,
+      concurrency: config.traversalConcurrency,
+      secretsMode: config.secretsMode,
+    });
+    const issueIndexer = new IssueIndexer({ secretsMode: config.secretsMode });
 
-    // Code indexing
+    const indexState = new IndexStateStore(config.indexStateFile);
+    await indexState.load();
+    const indexReport = new IndexReport();
+
+    // Questions are answered from the alias, each rebuild fills a new generation behind it
+    const alias = 'github_code';
+    const generations = new CollectionGenerations(vectorStore, alias, {
+      retention: config.collectionRetention,
+    });
+
+    if (config.rollback) {
+      const collectionName = await generations.rollback();
+      // The indexed commits describe the generation rolled back from, rebuild on next run
+      indexState.setCollection(null);
+      await indexState.save();
+      console.log(`✅ Rolled back to ${collectionName}, the next run rebuilds the index`);
+      await documentProcessor.close();
+      return;
+    }
+
+    // The vector size of the collection comes from the embedding model
     await documentProcessor.initialize();
+
+    // Update the served generation in place, or build a new one when needed
+    const activeCollection = await generations.getActive();
+    const rebuildReason = config.fullRebuild
+      ? 'requested'
+      : !activeCollection
+      ? 'collection missing'
+      : indexState.getCollection() !== activeCollection
+      ? `${alias} serves ${activeCollection}, not the indexed collection`
+      : indexState.getEmbeddingModel() !== config.embeddingModel
+      ? `embedding model changed to ${config.embeddingModel}`
+      : (await vectorStore.getVectorSize(activeCollection)) !== documentProcessor.getDimension()
+      ? `vector size changed to ${documentProcessor.getDimension()}`
+      : !(await vectorStore.hasLexicalIndex(activeCollection))
+      ? 'BM25 vectors missing'
+      : !(await vectorStore.hasPayloadIndexes(activeCollection))
+      ? 'payload indexes missing'
+      : null;
+
+    const previousModel = indexState.getEmbeddingModel();
+    let collectionName = activeCollection;
+    if (rebuildReason) {
+      console.log(`Rebuilding the whole index (${rebuildReason})...`);
+      indexState.reset();
+      collectionName = await generations.create(documentProcessor.getDimension());
+      console.log(`Questions are answered from ${activeCollection ?? 'nothing'} meanwhile`);
+    }
+    indexState.setCollection(collectionName);
+    if (config.embeddingCache && previousModel && previousModel !== config.embeddingModel) {
+      console.log(
+        `💾 Embeddings of ${previousModel} stay cached, ` +
+          'run `npm run embedding-cache -- invalidate` to remove them'
+      );
+    }
+    indexState.setEmbeddingModel(config.embeddingModel);
+
+    // Code indexing
     console.log('Indexing repositories...');
 
-    // Index each repository
+    // Stream each repository and pinned ref into the collection, reading only files
+    // changed since the last run
+    const pipeline = new IngestionPipeline({
+      documentProcessor,
+      vectorStore,
+      collectionName,
+      batchSize: config.batchSize,
+      delayBetweenBatches: config.delayBetweenBatches,
+      upsertBatchSize: config.upsertBatchSize,
+      upsertConcurrency: config.upsertConcurrency,
+      nearDuplicateThreshold: config.nearDuplicateThreshold,
+    });
+
+    // Sources that could not be indexed, leaving a new generation incomplete
+    const failures = [];
     for (const repo of config.repos) {
+      if (!codeIndexer.validateRepoConfig(repo)) {
+        console.warn('⚠️ Skipping invalid repository config:', repo);
+        continue;
+      }
+
+      for (const ref of codeIndexer.getRepoRefs(repo)) {
+        const label = ref ? `${repo.name}@${ref}` : repo.name;
+        let result = null;
+        try {
+          console.log(`Indexing repository ${label}...`);
+          result = await codeIndexer.indexRepository(repo, {
+            ref,
+            sinceCommit: indexState.getRepoCommit(repo.name, ref),
+            sinceFilters: indexState.getRepoFilters(repo.name, ref),
+          });
+          const { documents, changedPaths, removedPaths, commit, filters, incremental } = result;
+
+          if (!commit) {
+            failures.push(label);
+            continue;
+          }
+
+          // Drop outdated points before the new chunks get upserted
+          if (incremental) {
+            await vectorStore.deleteDocumentsByPath(collectionName, repo.name, result.ref, [
+              ...changedPaths,
+              ...removedPaths,
+            ]);
+          } else if (!rebuildReason) {
+            // Issues and pull requests are refreshed from their own exports
+            await vectorStore.deleteRepository(collectionName, repo.name, result.ref, {
+              exceptKinds: THREAD_KINDS,
+            });
+          }
+
+          const stats = await pipeline.ingest(documents);
+
+          if (stats.documents === 0) {
+            console.log(`✅ No new documents to index for ${label}`);
+          } else {
+            console.log(
+              `📚 ${stats.documents} documents (${stats.chunks} chunks, ` +
+                `${stats.duplicates} duplicates) indexed from ${label} ` +
+                `in ${stats.seconds.toFixed(1)}s (${formatThroughput(stats)})`
+            );
+          }
+
+          // Remember what has been indexed once every chunk is stored
+          indexState.setRepoCommit(repo.name, ref, commit, filters);
+          await indexState.save();
+        } catch (error) {
+          console.error(`❌ Error processing ${label}:`, error);
+          failures.push(label);
+        } finally {
+          // Files are skipped and scanned while being read, report them even if ingestion failed
+          if (result) {
+            indexReport.addSkipped(label, result.skipped);
+            indexReport.addFindings(label, result.findings);
+          }
+        }
+      }
+
+      if (!repo.issues) continue;
+
+      // Replace the issues and pull requests of the repository whenever its exports change
       try {
-        console.log(`Indexing repository ${repo.name}...`);
-        const documents = await codeIndexer.indexRepository(repo.url, repo.name);
+        const { documents, fingerprint, findings, changed } = await issueIndexer.indexExports(
+          repo,
+          { sinceFingerprint: indexState.getIssuesFingerprint(repo.name) }
+        );
+        if (!changed) continue;
+        indexReport.addFindings(repo.name, findings);
 
-        if (!documents || documents.length === 0) {
-          console.warn(`⚠️ No documents found for ${repo.name}`);
-          continue;
+        if (!rebuildReason) {
+          await vectorStore.deleteDocumentsByKind(collectionName, repo.name, THREAD_KINDS);
         }
+        const stats = await pipeline.ingest(documents);
+        console.log(
+          `📚 ${stats.documents} issues and pull requests (${stats.chunks} chunks) indexed ` +
+            `from ${repo.name}`
+        );
 
-        console.log(`📚 ${documents.length} documents found in ${repo.name}`);
-        const processedDocs = await documentProcessor.processDocuments(documents);
-        chunks.push(...processedDocs);
+        indexState.setIssuesFingerprint(repo.name, fingerprint);
+        await indexState.save();
       } catch (error) {
-        console.error(`❌ Error processing ${repo.name}:`, error);
+        console.error(`❌ Error processing issue exports of ${repo.name}:`, error);
+        failures.push(`issue exports of ${repo.name}`);
       }
     }
 
-    // Prepare Qdrant collection
-    const collectionName = 'github_code';
-    await qdrant.initializeCollection(collectionName);
-
-    // Process documents in batches
-    const batchSize = parseInt(process.env.BATCH_SIZE) || 1;
-    for (let i = 0; i < chunks.length; i += batchSize) {
-      const batch = chunks.slice(i, i + batchSize);
-      for (const doc of batch) {
-        const embedding = await documentProcessor.generateEmbedding(doc.pageContent);
-        await qdrant.upsertDocument(collectionName, i, embedding.data, {
-          content: doc.pageContent,
-          ...doc.metadata,
-        });
+    // Serve the new generation once every source is indexed and it passes its checks,
+    // keeping a few previous ones
+    if (rebuildReason) {
+      try {
+        if (failures.length > 0) {
+          throw new Error(`Failed to index ${failures.join(', ')}`);
+        }
+        await generations.validate(collectionName);
+      } catch (error) {
+        console.error(
+          `❌ ${error.message}, ${alias} keeps serving ${activeCollection ?? 'nothing'}`
+        );
+        await vectorStore.deleteCollection(collectionName);
+        throw error;
       }
+      await generations.promote(collectionName);
+      await generations.prune();
+    }
+
+    // Persist the embedding model even when no repository could be indexed
+    await indexState.save();
+
+    const cacheStats = documentProcessor.getCacheStats();
+    if (cacheStats) {
       console.log(
-        `✅ Batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
-          chunks.length / batchSize
-        )} processed`
+        `💾 Embedding cache: ${cacheStats.hits} chunks reused, ${cacheStats.misses} embedded`
       );
-
-      // Wait between batches to avoid overload
-      if (i + batchSize < chunks.length) {
-        await new Promise((resolve) =>
-          setTimeout(resolve, parseInt(process.env.DELAY_BETWEEN_BATCHES) || 500)
-        );
-      }
     }
 
+    indexReport.printSummary();
+    await indexReport.save(config.indexReportFile);
+
     // User interface
     console.log("\nAssistant ready! Ask your questions (type 'exit' to quit):");
     const readlineInterface = createReadlineInterface();
+    // Typing `exit`, Ctrl-D and the end of piped input all close the interface, stop the
+    // embedding workers then so that the process can end
+    readlineInterface.on('close', () => documentProcessor.close());
 
     const handleQuestion = async (question) => {
       if (question.toLowerCase() === 'exit') {
@@ -107,28 +314,40 @@ async function main() {
 
       console.log('Searching...');
       const questionEmbedding = await documentProcessor.generateEmbedding(question);
-      const searchResults = await qdrant.searchSimilar(collectionName, questionEmbedding.data);
+      const searchResults = await vectorStore.searchSimilar(alias, questionEmbedding.data, 5, {
+        embeddingModel: config.embeddingModel,
+        sparseVector: questionEmbedding.sparse,
+        lexicalWeight: config.lexicalWeight,
+      });
 
-      const context = searchResults
-        .map(
-          (result) =>
-            `File: ${result.payload.repo}/${result.payload.path}\n\nContent:\n${result.payload.content}\n---`
-        )
-        .join('\n\n');
+      const context = llm.formatContext(searchResults);
 
-      const repoList = config.repos.map((repo) => `- ${repo.name}`).join('\n');
+      const repoList = llm.formatRepoList(config.repos);
       const answer = await llm.generateAnswer(question, context, repoList);
 
       console.log('\nAnswer:');
       console.log(answer);
 
+      console.log('\nSources:');
+      for (const { location, url } of llm.formatSources(searchResults, config.repos)) {
+        console.log(`- ${location}${url ? ` (${url})` : ''}`);
+      }
+
       readlineInterface.question('\nQuestion: ', handleQuestion);
     };
 
     readlineInterface.question('\nQuestion: ', handleQuestion);
   } catch (error) {
     console.error('An error occurred:', error);
+    await documentProcessor.close();
   }
 }
 
+/**
+ * Formats the number of chunks ingested per second
+ */
+function formatThroughput({ chunks, seconds }) {
+  return `${(chunks / Math.max(seconds, 0.001)).toFixed(1)} chunks/s`;
+}
+
 main();
@@ -8,14 +8,16 @@
  *
  * Architecture Overview:
  * - Express server handles HTTP requests
- * - Qdrant vector database stores embeddings
+ * - Qdrant vector database, or a local store, keeps embeddings
  * - HuggingFace provides embedding and LLM capabilities
  * - Document processor handles text processing and embedding generation
  *
  * Required Environment Variables:
  * - HF_TOKEN: HuggingFace API token
  * - GITHUB_REPOS: JSON array of repository configurations
+ * - VECTOR_STORE: `qdrant` (default) or `local`, embedded in the process
  * - QDRANT_URL: Qdrant database URL (default: http://localhost:6333)
+ * - VECTOR_STORE_PATH: Directory of the local store (default: $REPOS_DIR/.vector-store)
  * - EMBEDDING_MODEL: HuggingFace embedding model (default: Xenova/multilingual-e5-large)
  * - LLM_MODEL: HuggingFace LLM model (default: mistralai/Mixtral-8x7B-Instruct-v0.1)
  * - REPOS_DIR: Local directory for cloned repositories (default: ./github_repos)
@@ -24,7 +26,16 @@
  * [
  *   {
  *     "name": "Project Name",
- *     "url": "https://github.com/owner/repo"
+ *     "url": "https://github.com/owner/repo",
+ *     "ref": ["main", "v2.0.0"], // Optional branch, tag or commit SHA, or a list of them
+ *     "subpaths": [{ "path": "packages/api", "name": "API" }], // Optional monorepo projects
+ *     "history": { "maxCommits": 200 }, // Optional, also index commit messages and diffs
+ *     "issues": "exports/repo-issues.json" // Optional `gh issue list --json` or REST API exports
+ *   },
+ *   {
+ *     "name": "Vendor SDK docs",
+ *     "type": "archive", // "git" (default), "local" directory or "archive" (.zip, .tar.gz)
+ *     "path": "/data/vendor-sdk-docs.zip"
  *   }
  * ]
  */
@@ -32,9 +43,12 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { QdrantService } from './services/qdrant.js';
+import path from 'path';
+import { createVectorStore } from './services/vector-stores.js';
+import { parseSearchFilters } from './services/vector-store.js';
 import { DocumentProcessor } from './services/document-processor.js';
 import { LLMService } from './services/llm.js';
+import { FILE_TYPES, getRepoProjects } from './utils.js';
 
 // Load environment variables from both files
 dotenv.config({ path: '.env' });
@@ -72,18 +86,29 @@ app.use(express.json());
  * Centralizes all configurable parameters and dependencies
  */
 const config = {
+  vectorStore: process.env.VECTOR_STORE || 'qdrant',
   qdrantUrl: process.env.QDRANT_URL || 'http://localhost:6333',
+  vectorStorePath: process.env.VECTOR_STORE_PATH,
   embeddingModel: process.env.EMBEDDING_MODEL || 'Xenova/multilingual-e5-large',
+  lexicalWeight: process.env.LEXICAL_WEIGHT ? parseFloat(process.env.LEXICAL_WEIGHT) : undefined,
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || 'transformers',
+  embeddingUrl: process.env.EMBEDDING_URL,
+  embeddingApiKey: process.env.EMBEDDING_API_KEY,
+  embeddingTimeout: parseInt(process.env.EMBEDDING_TIMEOUT) || undefined,
+  embeddingRetries: parseInt(process.env.EMBEDDING_RETRIES) || undefined,
   llmModel: process.env.LLM_MODEL || 'mistralai/Mixtral-8x7B-Instruct-v0.1',
   hfToken: process.env.HF_TOKEN,
   repos: validateEnvironment(),
   reposDir: process.env.REPOS_DIR || './github_repos',
 };
 
+config.vectorStorePath ||= path.join(config.reposDir, '.vector-store');
+
 // Log configuration (excluding sensitive data)
 console.log('Server Configuration:', {
   ...config,
   hfToken: '***',
+  embeddingApiKey: config.embeddingApiKey && '***',
 });
 
 /**
@@ -91,8 +116,17 @@ console.log('Server Configuration:', {
  * Creates instances of core services required for RAG functionality
  */
 const services = {
-  qdrant: new QdrantService(config.qdrantUrl),
-  documentProcessor: new DocumentProcessor(config.embeddingModel),
+  vectorStore: createVectorStore(config.vectorStore, {
+    url: config.qdrantUrl,
+    path: config.vectorStorePath,
+  }),
+  documentProcessor: new DocumentProcessor(config.embeddingModel, {
+    provider: config.embeddingProvider,
+    providerUrl: config.embeddingUrl,
+    apiKey: config.embeddingApiKey,
+    timeout: config.embeddingTimeout,
+    retries: config.embeddingRetries,
+  }),
   llm: new LLMService(config.llmModel, config.hfToken),
 };
 
@@ -115,8 +149,10 @@ app.get('/', (req, res) => {
  * Question Answering Endpoint
  * Processes natural language queries and returns AI-generated responses
  *
- * Request body: { question: string }
- * Response: { answer: string, context?: string }
+ * Request body: { question: string, filters?: { repos?: string[], refs?: string[],
+ * pathPrefix?: string, languages?: string[], fileTypes?: string[] } }
+ * Response: { answer: string, context?: string, sources: Source[] }, each source located as
+ * `repo/path:L10-L42` with a permalink to its lines when the repository has a URL
  */
 app.post('/ask', async (req, res) => {
   try {
@@ -130,39 +166,56 @@ app.post('/ask', async (req, res) => {
       });
     }
 
+    let filters;
+    try {
+      filters = parseSearchFilters(req.body.filters);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: error.message,
+      });
+    }
+
     // 1. Generate embedding for the question
     console.log('Generating embedding for:', question);
     const embedding = await services.documentProcessor.generateEmbedding(question);
 
     // 2. Search for relevant documents
     console.log('Searching similar documents...');
-    const searchResults = await services.qdrant.searchSimilar('github_code', embedding.data, 5);
+    const searchResults = await services.vectorStore.searchSimilar(
+      'github_code',
+      embedding.data,
+      5,
+      {
+        embeddingModel: config.embeddingModel,
+        sparseVector: embedding.sparse,
+        lexicalWeight: config.lexicalWeight,
+        filters,
+      }
+    );
 
     if (!searchResults?.length) {
       return res.status(404).json({
         error: 'No relevant information found',
-        details: 'Try rephrasing your question',
+        details: filters
+          ? 'Try rephrasing your question or widening the filters'
+          : 'Try rephrasing your question',
       });
     }
 
     // 3. Prepare context from search results
-    const context = searchResults
-      .map(
-        (result) =>
-          `File: ${result.payload.repo}/${result.payload.path}\n\n` +
-          `Content:\n${result.payload.content}\n---`
-      )
-      .join('\n\n');
+    const context = services.llm.formatContext(searchResults);
 
     // 4. Generate repository list for context
-    const repoList = config.repos.map((repo) => `- ${repo.name}`).join('\n');
+    const repoList = services.llm.formatRepoList(config.repos);
 
     // 5. Generate AI response
     console.log('Generating answer...');
     const answer = await services.llm.generateAnswer(question, context, repoList);
 
-    // 6. Send response
-    res.json({ answer, context });
+    // 6. Send response, with the sources the answer may cite
+    const sources = services.llm.formatSources(searchResults, config.repos);
+    res.json({ answer, context, sources });
   } catch (error) {
     console.error('Error processing question:', error);
     res.status(500).json({
@@ -174,11 +227,14 @@ app.post('/ask', async (req, res) => {
 
 /**
  * Configuration Endpoint
- * Returns public configuration data for client initialization
+ * Returns public configuration data for client initialization, leaving out the local paths
+ * and export files of repositories
  */
 app.get('/config', (req, res) => {
   res.json({
-    repos: config.repos,
+    repos: config.repos.map(({ name, ref }) => ({ name, refs: [].concat(ref ?? []) })),
+    projects: getRepoProjects(config.repos),
+    fileTypes: FILE_TYPES,
     version: '1.0.0',
     features: {
       contextViewer: true,
@@ -190,11 +246,14 @@ app.get('/config', (req, res) => {
 // Start server
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
+  const vectorStoreLocation =
+    config.vectorStore === 'local' ? config.vectorStorePath : config.qdrantUrl;
   console.log(`
 🚀 RAG Demo Server is running!
 📡 URL: http://localhost:${PORT}
 📚 Serving ${config.repos.length} repositories
-🔍 Using ${config.embeddingModel} for embeddings
+🗄️ Reading vectors from ${vectorStoreLocation}
+🔍 Using ${config.embeddingModel} (${config.embeddingProvider}) for embeddings
 🤖 Using ${config.llmModel} for responses
   `);
 });
@@ -0,0 +1,140 @@
+/**
+ * BM25 Sparse Encoder
+ *
+ * This module turns texts into sparse vectors for lexical search, so that
+ * questions naming exact identifiers find the chunks using them, which dense
+ * embeddings tend to miss. It provides functionality to:
+ * - Split text into terms, keeping identifiers whole and adding their camelCase
+ *   and snake_case parts
+ * - Weight the terms of a chunk with the BM25 term frequency saturation
+ * - Encode questions as the set of their terms
+ *
+ * Terms are hashed to 32-bit indices. The inverse document frequency part of
+ * BM25 depends on the whole collection, it is applied by Qdrant at query time
+ * (`modifier: 'idf'` on the sparse vector).
+ *
+ * @module Bm25Encoder
+ */
+
+/**
+ * Sequences of letters, digits, `_` and `$` make up terms
+ */
+const TERM_PATTERN = /[\p{L}\p{N}_$]+/gu;
+
+/**
+ * Boundaries between the parts of an identifier: underscores, lower to upper case and
+ * acronyms followed by a word, e.g. `parseHTTPResponse_v2`
+ */
+const IDENTIFIER_BOUNDARY = /[_$]+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/u;
+
+/**
+ * Terms outside this length range are noise: single characters, hashes, encoded blobs
+ */
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 64;
+
+/**
+ * Sparse vector in the format of Qdrant
+ * @typedef {Object} SparseVector
+ * @property {number[]} indices - Hashed terms
+ * @property {number[]} values - Weight of each term
+ */
+
+export class Bm25Encoder {
+  /**
+   * Creates a new Bm25Encoder instance
+   *
+   * @param {Object} [options]
+   * @param {number} [options.k1=1.2] - Term frequency saturation
+   * @param {number} [options.b=0.75] - Document length normalization
+   * @param {number} [options.averageLength=256] - Expected number of terms of a chunk
+   * @example
+   * const encoder = new Bm25Encoder();
+   * const { indices, values } = encoder.encodeDocument('function validateRepoConfig(repo) {}');
+   */
+  constructor({ k1 = 1.2, b = 0.75, averageLength = 256 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.averageLength = averageLength;
+  }
+
+  /**
+   * Encodes a chunk, each term weighted by its saturated frequency
+   *
+   * @param {string} text - Text of the chunk
+   * @returns {SparseVector} Sparse vector of the chunk
+   */
+  encodeDocument(text) {
+    const terms = this.tokenize(text);
+    const frequencies = this.countTerms(terms);
+    const lengthNorm = 1 - this.b + (this.b * terms.length) / this.averageLength;
+
+    const indices = [];
+    const values = [];
+    for (const [index, frequency] of frequencies) {
+      indices.push(index);
+      values.push((frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm));
+    }
+    return { indices, values };
+  }
+
+  /**
+   * Encodes a question, each distinct term with the same weight
+   *
+   * @param {string} text - Question
+   * @returns {SparseVector} Sparse vector of the question
+   */
+  encodeQuery(text) {
+    const indices = [...this.countTerms(this.tokenize(text)).keys()];
+    return { indices, values: indices.map(() => 1) };
+  }
+
+  /**
+   * Splits a text into lowercase terms, adding the parts of compound identifiers
+   * @private
+   * @param {string} text - Text to split
+   * @returns {string[]} Terms, repeated as often as they occur
+   */
+  tokenize(text) {
+    const terms = [];
+    for (const [word] of text.matchAll(TERM_PATTERN)) {
+      if (word.length > MAX_TERM_LENGTH) continue;
+      if (word.length >= MIN_TERM_LENGTH) terms.push(word.toLowerCase());
+
+      const parts = word.split(IDENTIFIER_BOUNDARY);
+      if (parts.length === 1) continue;
+      for (const part of parts) {
+        if (part.length >= MIN_TERM_LENGTH) terms.push(part.toLowerCase());
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Counts the occurrences of each term, by hashed index
+   * @private
+   * @param {string[]} terms - Terms
+   * @returns {Map<number, number>} Frequency of each term index
+   */
+  countTerms(terms) {
+    const frequencies = new Map();
+    for (const term of terms) {
+      const index = this.hashTerm(term);
+      frequencies.set(index, (frequencies.get(index) ?? 0) + 1);
+    }
+    return frequencies;
+  }
+
+  /**
+   * Hashes a term to an unsigned 32-bit index with FNV-1a
+   * @private
+   */
+  hashTerm(term) {
+    let hash = 0x811c9dc5;
+    for (const byte of Buffer.from(term)) {
+      hash ^= byte;
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
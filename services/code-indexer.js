@@ -3,40 +3,155 @@
  *
  * This module handles the indexing of source code files from GitHub repositories.
  * It provides functionality to:
- * - Clone/update repositories
- * - Traverse directory structures
- * - Extract file contents and metadata
- * - Filter relevant files for indexing
+ * - Clone/update repositories, or read local directories and archive files
+ * - Check out pinned branches, tags or commits side by side
+ * - Scope monorepos to subpaths indexed as separate projects
+ * - Detect files changed since the last indexed commit
+ * - Traverse directory structures as a stream, reading files with bounded concurrency
+ * - Extract file contents and metadata, skipping binary, oversized and generated files
+ * - Extract notebooks, data files, OpenAPI specs and Dockerfiles into readable sections
+ * - Redact secrets, or drop the files holding them, before they reach the index
+ * - Optionally build documents from the commit history: messages, touched files and short diffs
+ * - Filter relevant files for indexing, following per-repository globs and ignore files
  *
  * @module CodeIndexer
  */
 
 import fs from 'fs';
 import path from 'path';
-import { promisify } from 'util';
-import { exec as execCallback } from 'child_process';
-import { shouldProcessFile, shouldExcludeDirectory } from '../utils.js';
+import crypto from 'crypto';
+import { PathFilter } from './path-filter.js';
+import { FileReader } from './file-reader.js';
+import { ContentExtractor } from './content-extractor.js';
+import { SecretScanner } from './secret-scanner.js';
+import { GitHistoryReader } from './git-history.js';
+import {
+  GIT_MAX_BUFFER,
+  execFile,
+  getFileLanguage,
+  getFileType,
+  getRepoProjects,
+  mapConcurrent,
+  normalizeSubpath,
+} from '../utils.js';
 
-const exec = promisify(execCallback);
+/**
+ * Supported source types of a repository configuration
+ */
+const SOURCE_TYPES = ['git', 'local', 'archive'];
+
+/**
+ * Commands extracting the supported archive formats into a directory
+ */
+const ARCHIVE_EXTRACTORS = [
+  {
+    pattern: /\.zip$/i,
+    command: 'unzip',
+    args: (archivePath, destPath) => ['-q', '-o', archivePath, '-d', destPath],
+  },
+  {
+    pattern: /\.(tar|tar\.gz|tgz|tar\.bz2|tar\.xz)$/i,
+    command: 'tar',
+    args: (archivePath, destPath) => ['-xf', archivePath, '-C', destPath],
+  },
+];
 
 /**
- * Represents a document extracted from a code file
+ * Refs accepted in repository configurations: branch, tag and commit names, which never
+ * start with a dash, so that they cannot be taken for options of git
+ */
+const REF_PATTERN = /^(?!-)[\w./@^~{}+-]+$/;
+
+/**
+ * Represents a document extracted from a code file or a commit
  * @typedef {Object} CodeDocument
- * @property {string} pageContent - The content of the file
- * @property {Object} metadata - File metadata
+ * @property {string} pageContent - The content of the file, or the commit message and diff
+ * @property {Object} metadata - File or commit metadata
+ * @property {string} metadata.kind - Kind of document: `file` or `commit`
  * @property {string} metadata.repo - Repository name
- * @property {string} metadata.path - File path relative to repo root
- * @property {number} metadata.size - File size in bytes
- * @property {Date} metadata.modified - Last modification date
+ * @property {string} metadata.project - Project name, the subpath display name in monorepos
+ * @property {string} [metadata.path] - File path relative to repo root (files only)
+ * @property {string} [metadata.fileType] - `code`, `docs` or `config` (files only)
+ * @property {string} [metadata.language] - Language of the file, e.g. `python` (files only)
+ * @property {string|null} metadata.ref - Branch, tag or commit the file was read from (git only)
+ * @property {string} metadata.sourceType - Kind of source: `git`, `local` or `archive`
+ * @property {string} [metadata.encoding] - Charset the file was transcoded to UTF-8 from
+ * @property {number} [metadata.size] - File size in bytes
+ * @property {Date} [metadata.modified] - Last modification date
+ * @property {string} [metadata.commit] - SHA of the commit the file was read at, or of the
+ * commit described (git only)
+ * @property {string} [metadata.author] - Commit author name (commits only)
+ * @property {string} [metadata.date] - Commit author date, in ISO 8601 format (commits only)
+ * @property {string[]} [metadata.files] - Paths touched by the commit (commits only)
+ * @property {string} [metadata.format] - Format the file was extracted as, e.g. `openapi`
+ * @property {string} [metadata.section] - Label of the extracted section, e.g. `GET /pets`
+ * @property {import('./content-extractor.js').ChunkingHints} [chunking] - How the document should
+ * be chunked, when its format calls for it
+ */
+
+/**
+ * A working tree checked out for indexing
+ * @typedef {Object} RepoCheckout
+ * @property {string} repoName - Repository name
+ * @property {string} repoPath - Local path of the working tree
+ * @property {string|null} ref - Branch, tag or commit checked out in the working tree (git only)
+ * @property {string|null} commit - SHA of the commit checked out in the working tree (git only)
+ * @property {string} sourceType - Kind of source: `git`, `local` or `archive`
+ * @property {Array<{name: string, path: string}>} projects - Projects of the working tree,
+ * a single project with an empty path when the repository declares no subpaths
+ * @property {string} [project] - Name of the project being read
+ * @property {PathFilter} filter - Decides which paths of the working tree get indexed
+ * @property {number} [maxFileSize] - Size cap overriding the indexer default
+ * @property {{maxCommits?: number, maxDiffLines?: number}|null} history - History options, or
+ * null when the commit history is not indexed
+ * @property {import('./index-report.js').SkippedPath[]} skipped - Paths left out so far
+ * @property {import('./index-report.js').SecretLocation[]} findings - Secrets found so far
+ */
+
+/**
+ * A file selected for indexing, not read yet
+ * @typedef {Object} FileEntry
+ * @property {string} filePath - Path to the file
+ * @property {RepoCheckout} checkout - Working tree the file belongs to
+ * @property {fs.Stats} stats - File stats
+ */
+
+/**
+ * Result of indexing a single repository
+ * @typedef {Object} IndexResult
+ * @property {AsyncIterable<CodeDocument>} documents - Documents for added or modified files,
+ * followed by the new commits when the history is indexed, read lazily while iterated
+ * @property {string[]} changedPaths - Modified files whose previous chunks are outdated
+ * @property {string[]} removedPaths - Deleted or renamed files whose chunks must be removed
+ * @property {string|null} ref - Branch, tag or commit the documents were read from (git only)
+ * @property {string|null} commit - Commit SHA the documents were extracted from, or a content
+ * fingerprint for local directories and archives
+ * @property {string} filters - Fingerprint of the settings selecting the indexed files, to be
+ * passed back with the commit on the next run
+ * @property {import('./index-report.js').SkippedPath[]} skipped - Paths left out, with the reason,
+ * complete once the documents have been iterated
+ * @property {import('./index-report.js').SecretLocation[]} findings - Secrets found in files and
+ * commits, complete once the documents have been iterated
+ * @property {boolean} incremental - True if only the diff since the last indexed commit was read
  */
 
 export class CodeIndexer {
   /**
    * Creates a new CodeIndexer instance
    * @param {string} reposDir - Path to the directory where repositories will be cloned
+   * @param {Object} [options]
+   * @param {number} [options.maxFileSize] - Files larger than this many bytes are skipped
+   * @param {number} [options.concurrency=8] - Maximum number of files read at the same time
+   * @param {string} [options.secretsMode='redact'] - `redact` secrets, `drop` the files and
+   * commits holding them, or `off`
    */
-  constructor(reposDir) {
+  constructor(reposDir, { maxFileSize, concurrency = 8, secretsMode = 'redact' } = {}) {
     this.reposDir = reposDir;
+    this.concurrency = concurrency;
+    this.fileReader = new FileReader({ maxFileSize });
+    this.contentExtractor = new ContentExtractor();
+    this.secretScanner = new SecretScanner({ mode: secretsMode });
+    this.gitHistory = new GitHistoryReader();
   }
 
   /**
@@ -63,13 +178,17 @@ export class CodeIndexer {
         continue;
       }
 
-      console.log(`\nIndexing ${repo.name}...`);
-      try {
-        const documents = await this.indexRepository(repo.url, repo.name);
-        allDocuments.push(...documents);
-        console.log(`✅ Successfully indexed ${documents.length} files from ${repo.name}`);
-      } catch (error) {
-        console.error(`❌ Failed to index ${repo.name}:`, error);
+      for (const ref of this.getRepoRefs(repo)) {
+        console.log(`\nIndexing ${repo.name}${ref ? `@${ref}` : ''}...`);
+        try {
+          const { documents } = await this.indexRepository(repo, { ref });
+          const repoDocuments = [];
+          for await (const document of documents) repoDocuments.push(document);
+          allDocuments.push(...repoDocuments);
+          console.log(`✅ Successfully indexed ${repoDocuments.length} files from ${repo.name}`);
+        } catch (error) {
+          console.error(`❌ Failed to index ${repo.name}:`, error);
+        }
       }
     }
 
@@ -78,78 +197,556 @@ export class CodeIndexer {
 
   /**
    * Indexes a single repository
-   * @param {string} repoUrl - Repository URL
-   * @param {string} repoName - Repository name
-   * @returns {Promise<CodeDocument[]>} Array of indexed documents
+   *
+   * Three source types are supported:
+   * - `git` (default): the repository is cloned or pulled into the repositories directory
+   * - `local`: a directory, such as a local checkout, is read in place
+   * - `archive`: a `.zip` or tarball is extracted into the repositories directory
+   *
+   * For git sources, when the commit indexed by a previous run is given and
+   * still reachable, only the files added or modified since that commit are
+   * read. Other sources are read again whenever their content fingerprint
+   * changes. Otherwise the whole working tree is traversed.
+   *
+   * Without a ref, the default branch of the clone is pulled and indexed.
+   * A pinned ref is checked out in its own worktree next to the clone, so
+   * several refs of the same repository can be indexed side by side.
+   *
+   * Files are selected by the `include`/`exclude` globs of the repository
+   * configuration and by the `.gitignore`/`.ragignore` files of the repository.
+   * The whole working tree is traversed again when these settings changed since
+   * the last run.
+   *
+   * With the `history` option, git sources also yield one document per commit
+   * made since the last indexed commit, or per recent commit on a full run.
+   *
+   * @param {Object} repo - Repository configuration object
+   * @param {string} repo.name - Repository name
+   * @param {string} [repo.type='git'] - Source type: `git`, `local` or `archive`
+   * @param {string} [repo.url] - Repository URL, for git sources
+   * @param {string} [repo.path] - Directory or archive file, for local and archive sources
+   * @param {string[]} [repo.include] - Only index files matching one of these globs
+   * @param {string[]} [repo.exclude] - Never index paths matching one of these globs
+   * @param {boolean} [repo.respectGitignore=true] - Skip paths ignored by `.gitignore` files
+   * @param {Array<{path: string, name: string}>} [repo.subpaths] - Only index these directories,
+   * each one as a project with its own display name
+   * @param {number} [repo.maxFileSize] - Size cap overriding the indexer default
+   * @param {boolean|{maxCommits?: number, maxDiffLines?: number}} [repo.history] - Also index
+   * the commit history, optionally limiting the number of commits and diff lines (git only)
+   * @param {Object} [options]
+   * @param {string|null} [options.ref] - Branch, tag or commit SHA to index
+   * @param {string|null} [options.sinceCommit] - Last indexed commit SHA
+   * @param {string|null} [options.sinceFilters] - Fingerprint of the file selection settings
+   * the last indexed commit was read with
+   * @returns {Promise<IndexResult>} Indexed documents and paths to clean up
    */
-  async indexRepository(repoUrl, repoName) {
-    const repoPath = path.join(this.reposDir, repoName);
+  async indexRepository(repo, { ref = null, sinceCommit = null, sinceFilters = null } = {}) {
+    const repoName = repo.name;
+    const sourceType = repo.type ?? 'git';
+    const filters = this.fingerprintFilters(repo);
+    if (sinceCommit && sinceFilters !== filters) {
+      console.log(`File selection settings changed for ${repoName}, reindexing all files`);
+      sinceCommit = null;
+    }
 
     try {
-      await this.ensureRepoCloned(repoUrl, repoPath);
-      // Small delay to ensure file system operations are complete
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-      return this.traverseDirectory(repoPath, repoName);
+      const source = await this.prepareSource(repo, ref);
+      const { repoPath, commit } = source;
+      const checkout = {
+        repoName,
+        repoPath,
+        ref: source.ref,
+        commit: sourceType === 'git' ? commit : null,
+        sourceType,
+        projects: getRepoProjects([repo]),
+        filter: new PathFilter(repoPath, repo),
+        maxFileSize: repo.maxFileSize,
+        history: repo.history ? { ...repo.history } : null,
+        skipped: [],
+        findings: [],
+      };
+
+      if (sourceType !== 'git' && sinceCommit === commit) {
+        console.log(`🔁 ${repoName}: unchanged since the last run`);
+        return {
+          documents: [],
+          changedPaths: [],
+          removedPaths: [],
+          ref: checkout.ref,
+          commit,
+          filters,
+          skipped: [],
+          findings: [],
+          incremental: true,
+        };
+      }
+
+      if (sourceType === 'git' && sinceCommit && (await this.hasCommit(repoPath, sinceCommit))) {
+        const changes = await this.getChangedFiles(repoPath, sinceCommit, commit);
+
+        if (!this.hasIgnoreFileChanges(changes)) {
+          return { ...this.indexChanges(checkout, changes, sinceCommit, commit), filters };
+        }
+        console.log(`Ignore files changed in ${repoName}, reindexing all files`);
+      } else if (sourceType === 'git' && sinceCommit) {
+        console.warn(`⚠️ Commit ${sinceCommit} not found in ${repoName}, reindexing all files`);
+      }
+
+      return {
+        documents: this.withHistory(this.traverseProjects(checkout), checkout, null, commit),
+        changedPaths: [],
+        removedPaths: [],
+        ref: checkout.ref,
+        commit,
+        filters,
+        skipped: checkout.skipped,
+        findings: checkout.findings,
+        incremental: false,
+      };
     } catch (error) {
       console.error(`Failed to process repository ${repoName}:`, error);
-      return [];
+      return {
+        documents: [],
+        changedPaths: [],
+        removedPaths: [],
+        ref,
+        commit: null,
+        filters,
+        skipped: [],
+        findings: [],
+        incremental: false,
+      };
+    }
+  }
+
+  /**
+   * Makes the files of a repository available on disk, according to its source type
+   * @private
+   * @param {Object} repo - Repository configuration object
+   * @param {string|null} ref - Branch, tag or commit SHA to check out, for git sources
+   * @returns {Promise<{repoPath: string, ref: string|null, commit: string}>} Working tree
+   * location, checked out ref and commit SHA or content fingerprint
+   */
+  async prepareSource(repo, ref) {
+    switch (repo.type ?? 'git') {
+      case 'local':
+        return this.prepareLocalSource(repo);
+      case 'archive':
+        return this.prepareArchiveSource(repo);
+      default:
+        return this.prepareGitSource(repo, ref);
+    }
+  }
+
+  /**
+   * Clones or updates a git repository and checks out the requested ref
+   * @private
+   */
+  async prepareGitSource(repo, ref) {
+    const clonePath = path.join(this.reposDir, repo.name);
+
+    await this.ensureRepoCloned(repo.url, clonePath);
+    const repoPath = ref ? await this.checkoutRef(clonePath, repo.name, ref) : clonePath;
+    // Small delay to ensure file system operations are complete
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+    return {
+      repoPath,
+      ref: ref ?? (await this.getCurrentBranch(repoPath)),
+      commit: await this.getHeadCommit(repoPath),
+    };
+  }
+
+  /**
+   * Reads a local directory in place
+   * @private
+   */
+  async prepareLocalSource(repo) {
+    const repoPath = path.resolve(repo.path);
+    const stats = await fs.promises.stat(repoPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`${repo.path} is not a directory`);
+    }
+
+    return { repoPath, ref: null, commit: await this.fingerprintDirectory(repoPath) };
+  }
+
+  /**
+   * Extracts an archive into the repositories directory, once per archive content
+   *
+   * Archives wrapping everything in a single top-level folder, as release
+   * tarballs usually do, are read from inside that folder.
+   *
+   * @private
+   */
+  async prepareArchiveSource(repo) {
+    const archivePath = path.resolve(repo.path);
+    const extractor = ARCHIVE_EXTRACTORS.find(({ pattern }) => pattern.test(archivePath));
+    if (!extractor) {
+      throw new Error(`Unsupported archive format: ${repo.path}`);
+    }
+
+    const fingerprint = await this.hashFile(archivePath);
+    const prefix = `${repo.name}@archive-`;
+    const extractPath = path.resolve(this.reposDir, `${prefix}${fingerprint.slice(0, 12)}`);
+
+    if (!fs.existsSync(extractPath)) {
+      console.log(`Extracting ${repo.path}...`);
+      await fs.promises.mkdir(this.reposDir, { recursive: true });
+
+      // Remove the extractions of previous versions of the archive
+      for (const entry of await fs.promises.readdir(this.reposDir)) {
+        if (entry.startsWith(prefix)) {
+          await fs.promises.rm(path.join(this.reposDir, entry), { recursive: true, force: true });
+        }
+      }
+
+      const tmpPath = `${extractPath}.tmp`;
+      await fs.promises.rm(tmpPath, { recursive: true, force: true });
+      await fs.promises.mkdir(tmpPath);
+      await execFile(extractor.command, extractor.args(archivePath, tmpPath));
+      await fs.promises.rename(tmpPath, extractPath);
+    }
+
+    const entries = await fs.promises.readdir(extractPath, { withFileTypes: true });
+    const repoPath =
+      entries.length === 1 && entries[0].isDirectory()
+        ? path.join(extractPath, entries[0].name)
+        : extractPath;
+
+    return { repoPath, ref: null, commit: fingerprint };
+  }
+
+  /**
+   * Reads only the files that changed between two commits
+   * @private
+   * @param {RepoCheckout} checkout - Working tree to read from
+   * @param {{added: string[], modified: string[], removed: string[]}} changes - Changed paths
+   * @param {string} fromCommit - Last indexed commit SHA
+   * @param {string} toCommit - Current commit SHA
+   * @returns {IndexResult} Documents for the changed files
+   */
+  indexChanges(checkout, { added, modified, removed }, fromCommit, toCommit) {
+    const { repoName } = checkout;
+
+    console.log(
+      `🔁 ${repoName}: ${added.length} added, ${modified.length} modified, ` +
+        `${removed.length} removed since ${fromCommit.slice(0, 7)}`
+    );
+
+    return {
+      documents: this.withHistory(
+        this.readFiles(this.walkChangedFiles(checkout, [...added, ...modified])),
+        checkout,
+        fromCommit,
+        toCommit
+      ),
+      changedPaths: modified,
+      removedPaths: removed,
+      ref: checkout.ref,
+      commit: toCommit,
+      skipped: checkout.skipped,
+      findings: checkout.findings,
+      incremental: true,
+    };
+  }
+
+  /**
+   * Streams the documents of every project of a working tree
+   * @private
+   * @param {RepoCheckout} checkout - Working tree to read from
+   * @returns {AsyncGenerator<CodeDocument>} Processed documents, as they are read
+   */
+  traverseProjects(checkout) {
+    return this.readFiles(this.walkProjects(checkout));
+  }
+
+  /**
+   * Appends the commit documents of a range to a stream of file documents
+   * @private
+   * @param {AsyncIterable<CodeDocument>} documents - File documents
+   * @param {RepoCheckout} checkout - Working tree to read the history from
+   * @param {string|null} fromCommit - Last indexed commit SHA, or null for a full run
+   * @param {string} toCommit - Current commit SHA
+   * @returns {AsyncIterable<CodeDocument>} File documents, then commit documents
+   */
+  async *withHistory(documents, checkout, fromCommit, toCommit) {
+    yield* documents;
+    if (checkout.history) {
+      yield* this.readHistory(checkout, fromCommit, toCommit);
+    }
+  }
+
+  /**
+   * Streams one document per commit of a range, touching the configured subpaths
+   * @private
+   * @param {RepoCheckout} checkout - Working tree to read the history from
+   * @param {string|null} fromCommit - Last indexed commit SHA, or null for a full run
+   * @param {string} toCommit - Current commit SHA
+   * @returns {AsyncGenerator<CodeDocument>} Commit documents, in completion order
+   */
+  async *readHistory(checkout, fromCommit, toCommit) {
+    const commits = await this.gitHistory.listCommits(checkout.repoPath, {
+      since: fromCommit,
+      until: toCommit,
+      paths: checkout.projects.map((project) => project.path).filter(Boolean),
+      maxCommits: checkout.history.maxCommits,
+    });
+    if (commits.length === 0) return;
+
+    console.log(`📜 ${checkout.repoName}: reading ${commits.length} commits`);
+
+    const documents = mapConcurrent(commits, this.concurrency, async (commit) => {
+      try {
+        return await this.processCommit(commit, checkout);
+      } catch (error) {
+        console.warn(`⚠️ Failed to read commit ${commit.sha}:`, error.message);
+        return null;
+      }
+    });
+
+    for await (const document of documents) {
+      if (document) yield document;
     }
   }
 
   /**
-   * Recursively traverses a directory and processes files
+   * Creates the document of a commit
+   *
+   * Diffs are only shown for the files that pass the filter of the repository.
+   * Secrets found in the message or diff are reported against `commit <short SHA>`.
+   *
+   * @private
+   * @param {import('./git-history.js').CommitInfo} commit - Commit to describe
+   * @param {RepoCheckout} checkout - Working tree the commit belongs to
+   * @returns {Promise<CodeDocument|null>} Commit document, or null if dropped for its secrets
+   */
+  async processCommit(commit, checkout) {
+    const files = await this.gitHistory.readChanges(checkout.repoPath, commit.sha);
+    const project =
+      checkout.projects.find((candidate) =>
+        files.some(({ path: filePath }) => filePath.startsWith(`${candidate.path}/`))
+      ) ?? checkout.projects[0];
+
+    const { content, findings } = this.secretScanner.scan(
+      this.gitHistory.formatCommit(commit, files, {
+        includeDiff: (filePath) => checkout.filter.checkPath(filePath).included,
+        maxDiffLines: checkout.history.maxDiffLines,
+      })
+    );
+    const location = `commit ${commit.sha.slice(0, 7)}`;
+    checkout.findings.push(...findings.map((finding) => ({ path: location, ...finding })));
+    if (content === null) return null;
+
+    return {
+      pageContent: content,
+      metadata: {
+        kind: 'commit',
+        repo: checkout.repoName,
+        project: project.name,
+        ref: checkout.ref,
+        sourceType: checkout.sourceType,
+        commit: commit.sha,
+        author: commit.author,
+        date: commit.date,
+        files: files.map(({ path: filePath }) => filePath),
+      },
+    };
+  }
+
+  /**
+   * Walks the directory of every project of a working tree
+   * @private
+   * @param {RepoCheckout} checkout - Working tree to walk
+   * @returns {AsyncGenerator<FileEntry>} Files to read
+   */
+  async *walkProjects(checkout) {
+    for (const project of checkout.projects) {
+      const projectPath = path.join(checkout.repoPath, project.path);
+      if (!fs.existsSync(projectPath)) {
+        console.warn(`⚠️ Subpath ${project.path} not found in ${checkout.repoName}`);
+        continue;
+      }
+
+      yield* this.traverseDirectory(projectPath, { ...checkout, project: project.name });
+    }
+  }
+
+  /**
+   * Recursively traverses a directory, yielding the files that pass the filter
+   *
+   * Symbolic links are skipped, as they may point outside the working tree or loop back
+   * into it, and so are entries that cannot be read.
+   *
    * @private
    * @param {string} dirPath - Directory path to traverse
-   * @param {string} repoName - Repository name for metadata
-   * @param {CodeDocument[]} [documents=[]] - Accumulator for documents
-   * @returns {CodeDocument[]} Array of processed documents
+   * @param {RepoCheckout} checkout - Working tree the directory belongs to
+   * @returns {AsyncGenerator<FileEntry>} Files to read
    */
-  traverseDirectory(dirPath, repoName, documents = []) {
-    const entries = fs.readdirSync(dirPath);
+  async *traverseDirectory(dirPath, checkout) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath);
+    } catch (error) {
+      const relativePath = this.getRelativePath(checkout, dirPath);
+      checkout.skipped.push({ path: `${relativePath}/`, reason: `unreadable: ${error.code}` });
+      return;
+    }
 
     for (const entry of entries) {
       const fullPath = path.join(dirPath, entry);
-      const stat = fs.statSync(fullPath);
+      const relativePath = this.getRelativePath(checkout, fullPath);
+      let stats;
+      try {
+        stats = await fs.promises.lstat(fullPath);
+      } catch (error) {
+        checkout.skipped.push({ path: relativePath, reason: `unreadable: ${error.code}` });
+        continue;
+      }
 
-      if (stat.isDirectory() && !shouldExcludeDirectory(entry)) {
-        this.traverseDirectory(fullPath, repoName, documents);
+      if (stats.isSymbolicLink()) {
+        checkout.skipped.push({ path: relativePath, reason: 'symbolic link' });
         continue;
       }
 
-      if (stat.isFile() && shouldProcessFile(entry)) {
-        try {
-          const document = this.processFile(fullPath, repoName, stat);
-          if (document) documents.push(document);
-        } catch (error) {
-          console.warn(`⚠️ Failed to process ${fullPath}:`, error.message);
+      if (stats.isDirectory()) {
+        const decision = checkout.filter.checkDirectory(relativePath);
+        if (decision.included) {
+          yield* this.traverseDirectory(fullPath, checkout);
+        } else {
+          checkout.skipped.push({ path: `${relativePath}/`, reason: decision.reason });
+        }
+        continue;
+      }
+
+      if (!stats.isFile()) continue;
+
+      const decision = checkout.filter.checkFile(relativePath);
+      if (!decision.included) {
+        checkout.skipped.push({ path: relativePath, reason: decision.reason });
+        continue;
+      }
+
+      yield { filePath: fullPath, checkout, stats };
+    }
+  }
+
+  /**
+   * Yields the files of a diff that belong to a project and pass the filter
+   * @private
+   * @param {RepoCheckout} checkout - Working tree the files belong to
+   * @param {string[]} relativePaths - Added or modified paths
+   * @returns {AsyncGenerator<FileEntry>} Files to read
+   */
+  async *walkChangedFiles(checkout, relativePaths) {
+    for (const relativePath of relativePaths) {
+      const project = checkout.projects.find(
+        (candidate) => candidate.path === '' || relativePath.startsWith(`${candidate.path}/`)
+      );
+      if (!project) {
+        checkout.skipped.push({ path: relativePath, reason: 'outside configured subpaths' });
+        continue;
+      }
+
+      const decision = checkout.filter.checkPath(relativePath);
+      if (!decision.included) {
+        checkout.skipped.push({ path: relativePath, reason: decision.reason });
+        continue;
+      }
+
+      const filePath = path.join(checkout.repoPath, relativePath);
+      try {
+        const stats = await fs.promises.lstat(filePath);
+        if (stats.isSymbolicLink()) {
+          checkout.skipped.push({ path: relativePath, reason: 'symbolic link' });
+          continue;
         }
+        yield { filePath, checkout: { ...checkout, project: project.name }, stats };
+      } catch (error) {
+        console.warn(`⚠️ Failed to process ${filePath}:`, error.message);
       }
     }
+  }
+
+  /**
+   * Reads files into documents, with at most `concurrency` files read at the same time
+   * @private
+   * @param {AsyncIterable<FileEntry>} files - Files to read
+   * @returns {AsyncGenerator<CodeDocument>} Processed documents, in completion order
+   */
+  async *readFiles(files) {
+    const fileDocuments = mapConcurrent(files, this.concurrency, async (file) => {
+      try {
+        return await this.processFile(file.filePath, file.checkout, file.stats);
+      } catch (error) {
+        console.warn(`⚠️ Failed to process ${file.filePath}:`, error.message);
+        return [];
+      }
+    });
 
-    return documents;
+    for await (const documents of fileDocuments) {
+      yield* documents;
+    }
   }
 
   /**
-   * Processes a single file and creates a document
+   * Processes a single file and creates its documents
+   *
+   * Files in a structured format are extracted into one document per section,
+   * other files become a single document.
+   *
    * @private
    * @param {string} filePath - Path to the file
-   * @param {string} repoName - Repository name
+   * @param {RepoCheckout} checkout - Working tree the file belongs to
    * @param {fs.Stats} stats - File stats
-   * @returns {CodeDocument|null} Processed document or null if processing failed
+   * @returns {Promise<CodeDocument[]>} Processed documents, empty if the file was skipped
    */
-  processFile(filePath, repoName, stats) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const relativePath = path.relative(path.join(this.reposDir, repoName), filePath);
+  async processFile(filePath, checkout, stats) {
+    const relativePath = this.getRelativePath(checkout, filePath);
+    const { content, encoding, reason } = await this.fileReader.read(filePath, stats, {
+      maxFileSize: checkout.maxFileSize,
+    });
 
-    return {
-      pageContent: content,
-      metadata: {
-        repo: repoName,
-        path: relativePath,
-        size: stats.size,
-        modified: stats.mtime,
-      },
+    if (content === null) {
+      checkout.skipped.push({ path: relativePath, reason });
+      return [];
+    }
+
+    // Scan the raw file so that findings point to its actual lines
+    const scan = this.secretScanner.scan(content);
+    checkout.findings.push(...scan.findings.map((finding) => ({ path: relativePath, ...finding })));
+    if (scan.content === null) {
+      checkout.skipped.push({ path: relativePath, reason: 'secrets detected' });
+      return [];
+    }
+
+    const fileType = getFileType(relativePath);
+    const language = getFileLanguage(relativePath);
+    const metadata = {
+      kind: 'file',
+      repo: checkout.repoName,
+      project: checkout.project,
+      path: relativePath,
+      ...(fileType && { fileType }),
+      ...(language && { language }),
+      ref: checkout.ref,
+      ...(checkout.commit && { commit: checkout.commit }),
+      sourceType: checkout.sourceType,
+      encoding,
+      size: stats.size,
+      modified: stats.mtime,
     };
+
+    const extracted = this.contentExtractor.extract(relativePath, scan.content);
+    if (!extracted) {
+      return [{ pageContent: scan.content, metadata }];
+    }
+
+    return extracted.sections.map(({ content: sectionContent, section }) => ({
+      pageContent: sectionContent,
+      metadata: { ...metadata, format: extracted.format, ...(section && { section }) },
+      chunking: extracted.chunking,
+    }));
   }
 
   /**
@@ -161,11 +758,233 @@ export class CodeIndexer {
   async ensureRepoCloned(repoUrl, repoPath) {
     if (!fs.existsSync(repoPath)) {
       console.log(`Cloning ${repoUrl}...`);
-      await exec(`git clone ${repoUrl} ${repoPath}`);
+      await execFile('git', ['clone', '--', repoUrl, repoPath]);
     } else {
       console.log(`Updating repository...`);
-      await exec('git pull', { cwd: repoPath });
+      await execFile('git', ['pull'], { cwd: repoPath });
+    }
+  }
+
+  /**
+   * Checks out a branch, tag or commit in a dedicated worktree of the clone
+   * @private
+   * @param {string} clonePath - Local path of the main clone
+   * @param {string} repoName - Repository name
+   * @param {string} ref - Branch, tag or commit SHA
+   * @returns {Promise<string>} Path of the worktree
+   */
+  async checkoutRef(clonePath, repoName, ref) {
+    const worktreePath = path.resolve(this.reposDir, `${repoName}@${getWorktreeName(ref)}`);
+    const commit = await this.resolveRef(clonePath, ref);
+
+    if (!fs.existsSync(worktreePath)) {
+      console.log(`Checking out ${ref} of ${repoName}...`);
+      // Forget worktrees whose directory was removed by hand
+      await execFile('git', ['worktree', 'prune'], { cwd: clonePath });
+      await execFile('git', ['worktree', 'add', '--detach', worktreePath, commit], {
+        cwd: clonePath,
+      });
+    } else {
+      await execFile('git', ['checkout', '--detach', '--force', commit], { cwd: worktreePath });
+    }
+
+    return worktreePath;
+  }
+
+  /**
+   * Resolves a branch, tag or commit SHA to a commit of the clone
+   *
+   * Branches are resolved against the remote so that they follow upstream,
+   * and commits that no branch or tag points to are fetched explicitly.
+   *
+   * @private
+   * @param {string} clonePath - Local path of the main clone
+   * @param {string} ref - Branch, tag or commit SHA
+   * @returns {Promise<string>} Commit SHA
+   */
+  async resolveRef(clonePath, ref) {
+    await execFile('git', ['fetch', '--tags', '--force', 'origin'], { cwd: clonePath });
+
+    for (const candidate of [`origin/${ref}`, ref]) {
+      try {
+        const { stdout } = await execFile(
+          'git',
+          ['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`],
+          { cwd: clonePath }
+        );
+        return stdout.trim();
+      } catch {
+        // Try the next candidate
+      }
+    }
+
+    await execFile('git', ['fetch', 'origin', ref], { cwd: clonePath });
+    const { stdout } = await execFile('git', ['rev-parse', 'FETCH_HEAD'], { cwd: clonePath });
+    return stdout.trim();
+  }
+
+  /**
+   * Returns the name of the branch currently checked out
+   * @private
+   * @param {string} repoPath - Local repository path
+   * @returns {Promise<string>} Branch name, or the short commit SHA when detached
+   */
+  async getCurrentBranch(repoPath) {
+    const { stdout } = await execFile('git', ['rev-parse', '--abbrev-ref', 'HEAD'], {
+      cwd: repoPath,
+    });
+    const branch = stdout.trim();
+    return branch === 'HEAD' ? (await this.getHeadCommit(repoPath)).slice(0, 7) : branch;
+  }
+
+  /**
+   * Returns the commit currently checked out
+   * @private
+   * @param {string} repoPath - Local repository path
+   * @returns {Promise<string>} Commit SHA
+   */
+  async getHeadCommit(repoPath) {
+    const { stdout } = await execFile('git', ['rev-parse', 'HEAD'], { cwd: repoPath });
+    return stdout.trim();
+  }
+
+  /**
+   * Checks whether a commit exists in the local repository (it may not after a force push)
+   * @private
+   * @param {string} repoPath - Local repository path
+   * @param {string} commit - Commit SHA
+   * @returns {Promise<boolean>} True if the commit is known
+   */
+  async hasCommit(repoPath, commit) {
+    try {
+      await execFile('git', ['cat-file', '-e', `${commit}^{commit}`], { cwd: repoPath });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Lists the files changed between two commits
+   *
+   * Renamed files are reported as a removal of the old path and an addition
+   * of the new one, so that their chunks get re-keyed.
+   *
+   * @private
+   * @param {string} repoPath - Local repository path
+   * @param {string} fromCommit - Base commit SHA
+   * @param {string} toCommit - Target commit SHA
+   * @returns {Promise<{added: string[], modified: string[], removed: string[]}>} Changed paths
+   */
+  async getChangedFiles(repoPath, fromCommit, toCommit) {
+    const { stdout } = await execFile(
+      'git',
+      ['diff', '--name-status', '-M', '-z', fromCommit, toCommit],
+      { cwd: repoPath, maxBuffer: GIT_MAX_BUFFER }
+    );
+    const fields = stdout.split('\0').filter(Boolean);
+    const changes = { added: [], modified: [], removed: [] };
+
+    for (let i = 0; i < fields.length; i++) {
+      const status = fields[i][0];
+
+      if (status === 'R') {
+        changes.removed.push(fields[++i]);
+        changes.added.push(fields[++i]);
+      } else if (status === 'C' || status === 'A') {
+        // Copies list the source path first, which is left untouched
+        if (status === 'C') i++;
+        changes.added.push(fields[++i]);
+      } else if (status === 'D') {
+        changes.removed.push(fields[++i]);
+      } else {
+        changes.modified.push(fields[++i]);
+      }
     }
+
+    return changes;
+  }
+
+  /**
+   * Computes a fingerprint of a directory from the path, size and modification time of its files
+   * @private
+   * @param {string} dirPath - Directory to fingerprint
+   * @returns {Promise<string>} Hex digest, changing whenever a file is added, removed or modified
+   */
+  async fingerprintDirectory(dirPath) {
+    const hash = crypto.createHash('sha256');
+
+    const visit = async (currentPath) => {
+      const entries = await fs.promises.readdir(currentPath, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const fullPath = path.join(currentPath, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name !== '.git') await visit(fullPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(fullPath);
+          hash.update(`${path.relative(dirPath, fullPath)}\0${stats.size}\0${stats.mtimeMs}\n`);
+        }
+      }
+    };
+
+    await visit(dirPath);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Computes a fingerprint of the settings of a repository selecting the files to index
+   * @private
+   * @param {Object} repo - Repository configuration
+   * @returns {string} Hex digest, changing whenever a glob, subpath or size cap changes
+   */
+  fingerprintFilters(repo) {
+    const settings = {
+      include: repo.include ?? null,
+      exclude: repo.exclude ?? null,
+      respectGitignore: repo.respectGitignore ?? true,
+      subpaths: repo.subpaths ?? null,
+      maxFileSize: repo.maxFileSize ?? this.fileReader.maxFileSize,
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex');
+  }
+
+  /**
+   * Computes the SHA-256 digest of a file
+   * @private
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Checks whether a diff touches ignore files, which may change the set of indexed files
+   * @private
+   * @param {{added: string[], modified: string[], removed: string[]}} changes - Changed paths
+   * @returns {boolean} True if a `.gitignore` or `.ragignore` file changed
+   */
+  hasIgnoreFileChanges({ added, modified, removed }) {
+    return [...added, ...modified, ...removed].some((changedPath) =>
+      ['.gitignore', '.ragignore'].includes(path.posix.basename(changedPath))
+    );
+  }
+
+  /**
+   * Returns the path of a file relative to the working tree root, using `/` separators
+   * @private
+   * @param {RepoCheckout} checkout - Working tree the file belongs to
+   * @param {string} filePath - Path to the file
+   * @returns {string} Relative path
+   */
+  getRelativePath(checkout, filePath) {
+    return path.relative(checkout.repoPath, filePath).split(path.sep).join('/');
   }
 
   /**
@@ -175,6 +994,97 @@ export class CodeIndexer {
    * @returns {boolean} True if configuration is valid
    */
   validateRepoConfig(repo) {
-    return repo?.url && repo?.name;
+    const type = repo?.type ?? 'git';
+    const refs = repo?.ref === undefined ? [] : [].concat(repo.ref);
+    const isGlobList = (globs) =>
+      globs === undefined ||
+      (Array.isArray(globs) && globs.every((glob) => typeof glob === 'string'));
+
+    return Boolean(
+      repo?.name &&
+        SOURCE_TYPES.includes(type) &&
+        (type === 'git' ? repo.url : repo.path) &&
+        (type === 'git' || refs.length === 0) &&
+        refs.every((ref) => typeof ref === 'string' && REF_PATTERN.test(ref)) &&
+        (type !== 'git' || (typeof repo.url === 'string' && !repo.url.startsWith('-'))) &&
+        isGlobList(repo.include) &&
+        isGlobList(repo.exclude) &&
+        (repo.issues === undefined || isGlobList([].concat(repo.issues))) &&
+        (repo.maxFileSize === undefined || Number.isInteger(repo.maxFileSize)) &&
+        (repo.history === undefined || type === 'git') &&
+        this.validateHistoryOptions(repo.history) &&
+        this.validateSubpaths(repo.subpaths)
+    );
   }
+
+  /**
+   * Validates the `history` option of a repository configuration
+   * @private
+   * @param {boolean|Object} [history] - `true`, `false` or limits of the indexed history
+   * @returns {boolean} True if the option is valid
+   */
+  validateHistoryOptions(history) {
+    if (history === undefined || typeof history === 'boolean') return true;
+
+    const isLimit = (value) => value === undefined || (Number.isInteger(value) && value > 0);
+    return (
+      typeof history === 'object' &&
+      history !== null &&
+      isLimit(history.maxCommits) &&
+      isLimit(history.maxDiffLines)
+    );
+  }
+
+  /**
+   * Validates the subpaths of a monorepo configuration
+   *
+   * Subpaths must stay inside the repository and must not be nested, so that
+   * every file belongs to a single project.
+   *
+   * @private
+   * @param {Array<{path: string, name: string}>} [subpaths] - Configured subpaths
+   * @returns {boolean} True if the subpaths are valid
+   */
+  validateSubpaths(subpaths) {
+    if (subpaths === undefined) return true;
+    if (!Array.isArray(subpaths)) return false;
+
+    const isValid = (subpath) =>
+      typeof subpath?.path === 'string' &&
+      typeof subpath?.name === 'string' &&
+      subpath.name.trim() !== '' &&
+      !subpath.path.split(/[\\/]/).includes('..') &&
+      normalizeSubpath(subpath.path) !== '';
+    if (!subpaths.every(isValid)) return false;
+
+    const dirs = subpaths.map((subpath) => normalizeSubpath(subpath.path));
+    return dirs.every((dir, i) =>
+      dirs.every((other, j) => i === j || (dir !== other && !dir.startsWith(`${other}/`)))
+    );
+  }
+
+  /**
+   * Lists the refs to index for a repository
+   *
+   * @param {Object} repo - Repository configuration object
+   * @param {string|string[]} [repo.ref] - Branch, tag or commit SHA, or a list of them
+   * @returns {Array<string|null>} Refs to index, `null` standing for the default branch or for
+   * sources that are not git repositories
+   */
+  getRepoRefs(repo) {
+    return repo.ref === undefined || (repo.type ?? 'git') !== 'git' ? [null] : [].concat(repo.ref);
+  }
+}
+
+/**
+ * Names the worktree of a ref after it, with a hash of the ref when characters had to be
+ * replaced, so that refs such as `a/b` and `a_b` get their own worktrees
+ * @private
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {string} Directory name
+ */
+function getWorktreeName(ref) {
+  const name = ref.replace(/[^\w.-]/g, '_');
+  if (name === ref) return name;
+  return `${name}-${crypto.createHash('sha256').update(ref).digest('hex').slice(0, 8)}`;
 }
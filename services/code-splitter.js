@@ -0,0 +1,381 @@
+/**
+ * Syntax-Aware Code Splitter
+ *
+ * This module splits source files along their declarations instead of fixed
+ * token windows, so that a chunk holds whole functions or classes:
+ * - Top-level declarations (functions, classes, types...) become chunks of their own,
+ *   together with the comments, docblocks and decorators right above them
+ * - Imports and other module-level statements are packed together
+ * - Classes are split into their methods, each one recorded as a `method` symbol
+ * - Symbols still too large fall back to a token window
+ *
+ * This is not a parser: declarations are recognized per language from the first
+ * line of the statements starting at column 0, and methods from the least indented
+ * member lines of a class, which keeps the splitter dependency-free. Declarations
+ * nested in other statements, such as functions defined inside a call, stay part of
+ * the statement holding them. It supports JavaScript/TypeScript, Python, Go, Rust,
+ * Java and C/C++.
+ *
+ * @module CodeSplitter
+ */
+
+import { TokenTextSplitter } from 'langchain/text_splitter';
+import { Document } from 'langchain/document';
+import { findLineRanges, getFileExtension } from '../utils.js';
+
+/**
+ * Average number of characters per token of source code, used to size chunks
+ * without loading the tokenizer
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Symbol kinds that hold members and are split into them
+ */
+const CONTAINER_KINDS = ['class', 'struct', 'interface', 'impl'];
+
+/**
+ * Symbol kinds packed together with their neighbours
+ */
+const MINOR_KINDS = ['module', 'variable'];
+
+/**
+ * Names matched by member patterns that are control flow, not methods
+ */
+const KEYWORDS = ['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'else', 'new'];
+
+const JS_MODIFIERS = '(?:export\\s+)?(?:default\\s+)?(?:declare\\s+)?';
+const RUST_VISIBILITY = '(?:pub(?:\\([^)]*\\))?\\s+)?';
+const JAVA_MODIFIERS = '(?:(?:public|protected|private|abstract|final|static|sealed)\\s+)*';
+
+/**
+ * Declaration patterns of each supported language
+ *
+ * `declarations` are tried in order on the first line of a top-level statement,
+ * capturing the symbol name, and `member` matches the methods of a class body.
+ * `attached` matches the comment and decorator lines that belong to the next
+ * declaration, and `closer` the lines that end a block at column 0.
+ */
+const LANGUAGES = [
+  {
+    extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'],
+    declarations: [
+      [new RegExp(`^${JS_MODIFIERS}(?:abstract\\s+)?class\\s+([\\w$]+)`), 'class'],
+      [new RegExp(`^${JS_MODIFIERS}(?:async\\s+)?function\\s*\\*?\\s*([\\w$]+)`), 'function'],
+      [new RegExp(`^${JS_MODIFIERS}interface\\s+([\\w$]+)`), 'interface'],
+      [new RegExp(`^${JS_MODIFIERS}type\\s+([\\w$]+)`), 'type'],
+      [new RegExp(`^${JS_MODIFIERS}(?:const\\s+)?enum\\s+([\\w$]+)`), 'enum'],
+      [
+        /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)/,
+        'function',
+      ],
+      [/^(?:export\s+)?(?:const|let|var)\s+([\w$]+)/, 'variable'],
+    ],
+    member:
+      /^\s+(?:(?:public|private|protected|static|async|get|set|override|readonly|abstract)\s+)*\*?\s*(#?[\w$]+)\s*(?:<[^>]*>)?\s*\(/,
+    attached: /^\s*(\/\/|\/\*|\*|@)/,
+    closer: /^[}\])]/,
+  },
+  {
+    extensions: ['.py'],
+    declarations: [
+      [/^class\s+(\w+)/, 'class'],
+      [/^(?:async\s+)?def\s+(\w+)/, 'function'],
+      [/^(\w+)\s*(?::[^=]+)?=/, 'variable'],
+    ],
+    member: /^\s+(?:async\s+)?def\s+(\w+)/,
+    attached: /^\s*(#|@)/,
+    closer: /^[}\])]/,
+  },
+  {
+    extensions: ['.go'],
+    declarations: [
+      [/^func\s+\(\s*\w*\s+\*?(\w+)[^)]*\)\s*(\w+)/, 'method'],
+      [/^func\s+(\w+)/, 'function'],
+      [/^type\s+(\w+)\s+struct\b/, 'struct'],
+      [/^type\s+(\w+)\s+interface\b/, 'interface'],
+      [/^type\s+(\w+)/, 'type'],
+      [/^(?:var|const)\s+(\w+)/, 'variable'],
+    ],
+    attached: /^\s*(\/\/|\/\*|\*)/,
+    closer: /^[}\])]/,
+  },
+  {
+    extensions: ['.rs'],
+    declarations: [
+      [
+        new RegExp(
+          `^${RUST_VISIBILITY}(?:const\\s+)?(?:async\\s+)?(?:unsafe\\s+)?(?:extern\\s+"[^"]*"\\s+)?fn\\s+(\\w+)`
+        ),
+        'function',
+      ],
+      [new RegExp(`^${RUST_VISIBILITY}struct\\s+(\\w+)`), 'struct'],
+      [new RegExp(`^${RUST_VISIBILITY}enum\\s+(\\w+)`), 'enum'],
+      [new RegExp(`^${RUST_VISIBILITY}(?:unsafe\\s+)?trait\\s+(\\w+)`), 'interface'],
+      [/^(?:unsafe\s+)?impl(?:<[^>]*>)?\s+(?:[\w:]+(?:<[^>]*>)?\s+for\s+)?([\w:]+)/, 'impl'],
+      [new RegExp(`^${RUST_VISIBILITY}mod\\s+(\\w+)`), 'module'],
+      [new RegExp(`^${RUST_VISIBILITY}(?:const|static)\\s+(\\w+)`), 'variable'],
+    ],
+    member: /^\s+(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(\w+)/,
+    attached: /^\s*(\/\/|\/\*|\*|#\[)/,
+    closer: /^[}\])]/,
+  },
+  {
+    extensions: ['.java'],
+    declarations: [
+      [new RegExp(`^${JAVA_MODIFIERS}(?:class|record)\\s+(\\w+)`), 'class'],
+      [new RegExp(`^${JAVA_MODIFIERS}@?interface\\s+(\\w+)`), 'interface'],
+      [new RegExp(`^${JAVA_MODIFIERS}enum\\s+(\\w+)`), 'enum'],
+    ],
+    member:
+      /^\s+(?:(?:public|protected|private|static|final|abstract|synchronized|native|default)\s+)*(?:<[^>]+>\s+)?[\w<>[\],.? ]+?\s+(\w+)\s*\([^;]*$/,
+    attached: /^\s*(\/\/|\/\*|\*|@)/,
+    closer: /^[}\])]/,
+  },
+  {
+    extensions: ['.c', '.h', '.cpp'],
+    declarations: [
+      [/^(?:typedef\s+)?struct\s+(\w+)/, 'struct'],
+      [/^(?:typedef\s+)?enum\s+(?:class\s+)?(\w+)/, 'enum'],
+      [/^(?:template\s*<[^>]*>\s*)?class\s+(\w+)/, 'class'],
+      [/^namespace\s+(\w+)/, 'module'],
+      // Function definitions, leaving out prototypes ending with a semicolon
+      [/^(?!.*;\s*$)(?:[\w:*&<>,]+\s+)+[*&]*([\w:~]+)\s*\(/, 'function'],
+    ],
+    member:
+      /^\s+(?:(?:virtual|static|inline|explicit)\s+)*(?:[\w:*&<>,]+\s+)*[*&]*(~?\w+)\s*\([^;]*$/,
+    attached: /^\s*(\/\/|\/\*|\*)/,
+    closer: /^[}\])]/,
+  },
+];
+
+/**
+ * A range of lines of a file
+ * @typedef {Object} CodeSegment
+ * @property {number} start - Index of the first line
+ * @property {number} end - Index after the last line
+ * @property {string} kind - Symbol kind: `function`, `class`, `method`, `module`...
+ * @property {string} [name] - Symbol name, `Class.method` for methods
+ * @property {boolean} [attached] - True for comments and decorators of the next declaration
+ */
+
+export class CodeSplitter {
+  /**
+   * Creates a new CodeSplitter instance
+   *
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize=1000] - Maximum size of a chunk, in tokens
+   * @param {number} [options.chunkOverlap=200] - Overlap of the token windows of large symbols
+   * @example
+   * const splitter = new CodeSplitter({ chunkSize: 800 });
+   * const chunks = await splitter.splitDocument({
+   *   pageContent: 'function a() {}\n\nclass B {}\n',
+   *   metadata: { path: 'src/b.js' },
+   * });
+   * // chunks[1].metadata =>
+   * //   { path: 'src/b.js', symbol: 'B', symbolKind: 'class', startLine: 3, endLine: 3 }
+   */
+  constructor({ chunkSize = 1000, chunkOverlap = 200 } = {}) {
+    this.chunkSize = chunkSize;
+    this.fallbackSplitter = new TokenTextSplitter({ chunkSize, chunkOverlap });
+  }
+
+  /**
+   * Checks whether the language of a file is supported
+   *
+   * @param {string} [filePath] - File path
+   * @returns {boolean} True if the file can be split along its declarations
+   */
+  supports(filePath) {
+    return Boolean(filePath && this.getLanguage(filePath));
+  }
+
+  /**
+   * Splits a source file along its declarations
+   *
+   * @async
+   * @param {{pageContent: string, metadata: Object}} doc - Document of a source file
+   * @returns {Promise<Document[]|null>} Chunks with `symbol`, `symbolKind`, `startLine` and
+   * `endLine` metadata, or null if the language is not supported or no declaration was found
+   */
+  async splitDocument(doc) {
+    if (!this.supports(doc.metadata?.path)) return null;
+
+    const language = this.getLanguage(doc.metadata.path);
+    const lines = doc.pageContent.split('\n');
+    const segments = this.packSegments(lines, this.findSegments(lines, language));
+
+    if (!segments.some(({ kind }) => kind !== 'module')) return null;
+
+    const chunks = [];
+    for (const segment of segments) {
+      for (const piece of this.splitMembers(lines, segment, language)) {
+        const text = lines.slice(piece.start, piece.end).join('\n').trimEnd();
+        if (!text.trim()) continue;
+
+        const metadata = {
+          ...doc.metadata,
+          ...(piece.name && { symbol: piece.name }),
+          symbolKind: piece.kind,
+        };
+        const texts =
+          this.estimateTokens(text) > this.chunkSize
+            ? await this.fallbackSplitter.splitText(text)
+            : [text];
+        const lineRanges = findLineRanges(text, texts, piece.start + 1);
+        chunks.push(
+          ...texts.map(
+            (pageContent, i) =>
+              new Document({ pageContent, metadata: { ...metadata, ...lineRanges[i] } })
+          )
+        );
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Cuts a file into top-level statements, each one running until the next line
+   * starting at column 0
+   * @private
+   * @param {string[]} lines - Lines of the file
+   * @param {Object} language - Language definition
+   * @returns {CodeSegment[]} Statements in file order, comments attached to the next one
+   */
+  findSegments(lines, language) {
+    const starts = [];
+    lines.forEach((line, i) => {
+      if (line.trim() && !/^\s/.test(line) && !language.closer.test(line)) starts.push(i);
+    });
+    if (starts[0] !== 0) starts.unshift(0);
+
+    const segments = starts.map((start, i) => {
+      const end = starts[i + 1] ?? lines.length;
+
+      // A comment or decorator belongs to the declaration right below it, unless a blank
+      // line separates them
+      if (language.attached.test(lines[start])) {
+        return { start, end, kind: 'module', attached: Boolean(lines[end - 1]?.trim()) };
+      }
+
+      for (const [pattern, kind] of language.declarations) {
+        const match = lines[start].match(pattern);
+        if (match) {
+          const name = match[2] ? `${match[1]}.${match[2]}` : match[1];
+          return { start, end, kind, name };
+        }
+      }
+      return { start, end, kind: 'module' };
+    });
+
+    // Merge attached comments into the next statement
+    const merged = [];
+    let pendingStart = null;
+    for (const segment of segments) {
+      if (segment.attached) {
+        pendingStart ??= segment.start;
+        continue;
+      }
+      merged.push({ ...segment, start: pendingStart ?? segment.start });
+      pendingStart = null;
+    }
+    if (pendingStart !== null) {
+      merged.push({ start: pendingStart, end: lines.length, kind: 'module' });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Packs consecutive module-level statements and variables into chunks of up to `chunkSize`
+   * @private
+   * @param {string[]} lines - Lines of the file
+   * @param {CodeSegment[]} segments - Top-level statements
+   * @returns {CodeSegment[]} Packed segments
+   */
+  packSegments(lines, segments) {
+    const packed = [];
+
+    for (const segment of segments) {
+      const previous = packed[packed.length - 1];
+      const fits =
+        previous &&
+        MINOR_KINDS.includes(previous.kind) &&
+        MINOR_KINDS.includes(segment.kind) &&
+        this.estimateTokens(lines.slice(previous.start, segment.end).join('\n')) <= this.chunkSize;
+
+      if (!fits) {
+        packed.push({ ...segment });
+        continue;
+      }
+
+      previous.end = segment.end;
+      previous.name = [previous.name, segment.name].filter(Boolean).join(', ') || undefined;
+      if (previous.kind !== segment.kind) previous.kind = 'module';
+    }
+
+    return packed;
+  }
+
+  /**
+   * Splits a class into its header and methods
+   *
+   * The header holds the declaration line and the fields above the first method.
+   *
+   * @private
+   * @param {string[]} lines - Lines of the file
+   * @param {CodeSegment} segment - Top-level statement
+   * @param {Object} language - Language definition
+   * @returns {CodeSegment[]} The segment itself, or its header and methods
+   */
+  splitMembers(lines, segment, language) {
+    if (!CONTAINER_KINDS.includes(segment.kind) || !language.member) return [segment];
+
+    const members = [];
+    for (let i = segment.start + 1; i < segment.end; i++) {
+      const match = lines[i].match(language.member);
+      if (match && !KEYWORDS.includes(match[1])) {
+        members.push({ line: i, name: match[1], indent: lines[i].search(/\S/) });
+      }
+    }
+    if (members.length === 0) return [segment];
+
+    // Only keep the outermost members, nested functions stay in their method
+    const indent = Math.min(...members.map((member) => member.indent));
+    const methods = members.filter((member) => member.indent === indent);
+
+    const starts = methods.map(({ line }) => {
+      let start = line;
+      while (start - 1 > segment.start && language.attached.test(lines[start - 1])) start--;
+      return start;
+    });
+
+    return [
+      { start: segment.start, end: starts[0], kind: segment.kind, name: segment.name },
+      ...methods.map(({ name }, i) => ({
+        start: starts[i],
+        end: starts[i + 1] ?? segment.end,
+        kind: 'method',
+        name: `${segment.name}.${name}`,
+      })),
+    ];
+  }
+
+  /**
+   * Finds the language definition of a file from its extension
+   * @private
+   */
+  getLanguage(filePath) {
+    const extension = getFileExtension(filePath);
+    return LANGUAGES.find(({ extensions }) => extensions.includes(extension));
+  }
+
+  /**
+   * Estimates the number of tokens of a text
+   * @private
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Collection Generations
+ *
+ * This module rebuilds the index without downtime. The query side reads an
+ * alias of the vector store, e.g. `github_code`, while each full rebuild fills a new versioned
+ * collection, a generation such as `github_code_20250101120000`. It provides
+ * functionality to:
+ * - Find the generation the alias points to, and create the next one
+ * - Check a generation before it is served: point count and a sample query
+ * - Switch the alias to a generation atomically, or back to the previous one
+ * - Delete the generations beyond a retention count
+ *
+ * Incremental runs update the generation the alias points to in place.
+ *
+ * @module CollectionGenerations
+ */
+
+/**
+ * A generation whose point count falls below this share of the served one is reported
+ */
+const POINT_DROP_WARNING_RATIO = 0.5;
+
+/**
+ * Minimum score of a point searched with its own vector, as cosine similarity
+ */
+const SAMPLE_QUERY_MIN_SCORE = 0.99;
+
+export class CollectionGenerations {
+  /**
+   * Creates a new CollectionGenerations instance
+   *
+   * @param {import('./vector-store.js').VectorStore} vectorStore - Vector store
+   * @param {string} alias - Alias read by the query side
+   * @param {Object} [options]
+   * @param {number} [options.retention=2] - Number of previous generations kept for rollback
+   * @example
+   * const generations = new CollectionGenerations(vectorStore, 'github_code', { retention: 2 });
+   * const collectionName = await generations.create(1024);
+   * // ... fill the collection ...
+   * await generations.validate(collectionName);
+   * await generations.promote(collectionName);
+   * await generations.prune();
+   */
+  constructor(vectorStore, alias, { retention = 2 } = {}) {
+    this.vectorStore = vectorStore;
+    this.alias = alias;
+    this.retention = retention;
+  }
+
+  /**
+   * Returns the collection served under the alias
+   *
+   * A collection named like the alias, created before generations were introduced, is
+   * served until the next rebuild replaces it.
+   *
+   * @async
+   * @returns {Promise<string|null>} Collection name, null if nothing is served yet
+   */
+  async getActive() {
+    const target = await this.vectorStore.getAliasTarget(this.alias);
+    if (target) return target;
+
+    const collections = await this.vectorStore.listCollections();
+    return collections.includes(this.alias) ? this.alias : null;
+  }
+
+  /**
+   * Creates an empty generation, not served until it is promoted
+   *
+   * @async
+   * @param {number} vectorSize - Size of the embedding vectors
+   * @returns {Promise<string>} Name of the new generation
+   */
+  async create(vectorSize) {
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const collectionName = `${this.alias}_${timestamp}`;
+    await this.vectorStore.initializeCollection(collectionName, vectorSize);
+    return collectionName;
+  }
+
+  /**
+   * Checks that a generation can be served: it holds points, and one of them is found
+   * back when searched with its own vector
+   *
+   * A point count much lower than the served generation's is only reported, as it is
+   * expected when repositories are removed from the configuration.
+   *
+   * @async
+   * @param {string} collectionName - Generation to check
+   * @returns {Promise<number>} Number of points of the generation
+   * @throws {Error} If the generation is empty or the sample query fails
+   */
+  async validate(collectionName) {
+    const count = await this.vectorStore.countPoints(collectionName);
+    if (count === 0) {
+      throw new Error(`Generation ${collectionName} is empty`);
+    }
+
+    const active = await this.getActive();
+    if (active && active !== collectionName) {
+      const activeCount = await this.vectorStore.countPoints(active);
+      if (count < activeCount * POINT_DROP_WARNING_RATIO) {
+        console.warn(
+          `⚠️ Generation ${collectionName} holds ${count} points, ` +
+            `${activeCount} are served from ${active}`
+        );
+      }
+    }
+
+    const sample = await this.vectorStore.getSamplePoint(collectionName);
+    const [result] = await this.vectorStore.searchSimilar(collectionName, sample.vector, 1);
+    if (!result || result.score < SAMPLE_QUERY_MIN_SCORE) {
+      throw new Error(`Sample query on generation ${collectionName} did not find its point`);
+    }
+
+    console.log(`✅ Generation ${collectionName} checked (${count} points)`);
+    return count;
+  }
+
+  /**
+   * Serves a generation under the alias
+   *
+   * A collection named like the alias has to be deleted first, which leaves a short
+   * window without an index, once.
+   *
+   * @async
+   * @param {string} collectionName - Generation to serve
+   */
+  async promote(collectionName) {
+    if ((await this.getActive()) === this.alias) {
+      console.log(`Replacing collection ${this.alias} with the alias of the same name`);
+      await this.vectorStore.deleteCollection(this.alias);
+    }
+
+    await this.vectorStore.switchAlias(this.alias, collectionName);
+    console.log(`🔀 ${this.alias} now serves ${collectionName}`);
+  }
+
+  /**
+   * Serves the generation built before the current one again
+   *
+   * @async
+   * @returns {Promise<string>} Generation served from now on
+   * @throws {Error} If there is no previous generation
+   */
+  async rollback() {
+    const active = await this.getActive();
+    const previous = (await this.list()).filter((name) => name < active).pop();
+    if (!previous) {
+      throw new Error(`No generation older than ${active} to roll back to`);
+    }
+
+    await this.promote(previous);
+    return previous;
+  }
+
+  /**
+   * Deletes the generations beyond the retention count, never the served one
+   *
+   * @async
+   * @returns {Promise<string[]>} Deleted generations
+   */
+  async prune() {
+    const active = await this.getActive();
+    const inactive = (await this.list()).filter((name) => name !== active);
+    const deleted = inactive.slice(0, Math.max(inactive.length - this.retention, 0));
+
+    for (const collectionName of deleted) {
+      await this.vectorStore.deleteCollection(collectionName);
+      console.log(`🗑️ Deleted generation ${collectionName}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Lists the generations of the alias, oldest first
+   *
+   * @async
+   * @returns {Promise<string[]>} Generation names
+   */
+  async list() {
+    const pattern = new RegExp(`^${this.alias}_\\d{14}$`);
+    return (await this.vectorStore.listCollections()).filter((name) => pattern.test(name)).sort();
+  }
+}
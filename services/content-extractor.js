@@ -0,0 +1,322 @@
+/**
+ * Structured Content Extractor
+ *
+ * This module turns files whose raw text would mostly index syntax noise into
+ * readable sections, before they get chunked:
+ * - Jupyter notebooks: markdown and code cells, with their outputs stripped
+ * - JSON, YAML and TOML files: flattened key paths such as `server.ports[0] = 8080`
+ * - OpenAPI and Swagger specs: one section per operation, plus an overview
+ * - Dockerfiles: one section per build stage
+ *
+ * Each format comes with chunking hints suited to its sections. Files that
+ * fail to parse are indexed as raw text.
+ *
+ * @module ContentExtractor
+ */
+
+import path from 'path';
+import YAML from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+
+/**
+ * HTTP methods of the operations of an OpenAPI path item
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Longest inline array of scalars in a flattened key path line
+ */
+const MAX_INLINE_ARRAY_LENGTH = 80;
+
+/**
+ * Chunking hints of a format, in tokens
+ * @typedef {Object} ChunkingHints
+ * @property {number} chunkSize - Target size of each chunk
+ * @property {number} chunkOverlap - Overlap between consecutive chunks
+ */
+
+/**
+ * A part of a file, indexed as a document of its own
+ * @typedef {Object} ContentSection
+ * @property {string} content - Readable text of the section
+ * @property {string} [section] - Label of the section, e.g. `GET /pets/{id}` or `stage builder`
+ */
+
+/**
+ * Result of extracting a file
+ * @typedef {Object} ExtractionResult
+ * @property {string} format - Detected format: `notebook`, `json`, `yaml`, `toml`, `openapi`
+ * or `dockerfile`
+ * @property {ContentSection[]} sections - Sections of the file, in file order
+ * @property {ChunkingHints} chunking - How the sections should be chunked
+ */
+
+/**
+ * Supported formats, matched against the file name
+ */
+const FORMATS = [
+  {
+    format: 'notebook',
+    test: (fileName) => fileName.endsWith('.ipynb'),
+    // Cells are short, keep a few of them together
+    chunking: { chunkSize: 1000, chunkOverlap: 100 },
+  },
+  {
+    format: 'json',
+    test: (fileName) => fileName.endsWith('.json'),
+    // Key paths are self-describing, small chunks keep retrieval focused
+    chunking: { chunkSize: 500, chunkOverlap: 50 },
+  },
+  {
+    format: 'yaml',
+    test: (fileName) => /\.ya?ml$/.test(fileName),
+    chunking: { chunkSize: 500, chunkOverlap: 50 },
+  },
+  {
+    format: 'toml',
+    test: (fileName) => fileName.endsWith('.toml'),
+    chunking: { chunkSize: 500, chunkOverlap: 50 },
+  },
+  {
+    format: 'dockerfile',
+    test: (fileName) => /^(Dockerfile|Containerfile)(\.|$)/.test(fileName),
+    chunking: { chunkSize: 800, chunkOverlap: 100 },
+  },
+];
+
+/**
+ * Chunking hints of OpenAPI specs, whose operations should not be split or mixed
+ */
+const OPENAPI_CHUNKING = { chunkSize: 1500, chunkOverlap: 0 };
+
+export class ContentExtractor {
+  /**
+   * Extracts the sections of a file in a supported format
+   *
+   * @param {string} filePath - File path, used to detect the format
+   * @param {string} content - Decoded file content
+   * @returns {ExtractionResult|null} Extracted sections, or null if the file should be
+   * indexed as raw text
+   *
+   * @example
+   * const extractor = new ContentExtractor();
+   * const result = extractor.extract('config/app.yaml', 'server:\n  port: 8080\n');
+   * // { format: 'yaml', sections: [{ content: 'server.port = 8080' }], chunking: {...} }
+   */
+  extract(filePath, content) {
+    const fileName = path.basename(filePath);
+    const match = FORMATS.find(({ test }) => test(fileName));
+    if (!match) return null;
+
+    try {
+      switch (match.format) {
+        case 'notebook':
+          return this.result(match, this.extractNotebook(content));
+        case 'dockerfile':
+          return this.result(match, this.extractDockerfile(content));
+        default:
+          return this.extractStructuredData(match, this.parseData(match.format, content));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to extract ${filePath} as ${match.format}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Parses a data file into one value per document
+   * @private
+   * @param {string} format - `json`, `yaml` or `toml`
+   * @param {string} content - Decoded file content
+   * @returns {Array<*>} Parsed documents, several for multi-document YAML files
+   * @throws {Error} If the content is not valid
+   */
+  parseData(format, content) {
+    if (format === 'json') return [JSON.parse(content)];
+    if (format === 'toml') return [parseToml(content)];
+
+    return YAML.parseAllDocuments(content).map((document) => {
+      if (document.errors.length) throw document.errors[0];
+      return document.toJS();
+    });
+  }
+
+  /**
+   * Flattens parsed data files, splitting OpenAPI specs per operation
+   * @private
+   */
+  extractStructuredData(match, documents) {
+    if (documents.length === 1 && this.isOpenApiSpec(documents[0])) {
+      return this.result(
+        { format: 'openapi', chunking: OPENAPI_CHUNKING },
+        this.extractOpenApiSpec(documents[0])
+      );
+    }
+
+    const sections = documents.map((document, i) => ({
+      content: this.flatten(document).join('\n'),
+      section: documents.length > 1 ? `document ${i + 1}` : undefined,
+    }));
+
+    return this.result(match, sections);
+  }
+
+  /**
+   * Checks whether parsed data is an OpenAPI 3 or Swagger 2 specification
+   * @private
+   */
+  isOpenApiSpec(document) {
+    return Boolean(
+      (document?.openapi || document?.swagger) &&
+        document.paths &&
+        typeof document.paths === 'object'
+    );
+  }
+
+  /**
+   * Splits an OpenAPI specification into an overview and one section per operation
+   *
+   * Parameters declared on a path apply to all of its operations, so they are
+   * repeated in each operation section.
+   *
+   * @private
+   * @param {Object} spec - Parsed specification
+   * @returns {ContentSection[]} Overview, then operations in spec order
+   */
+  extractOpenApiSpec(spec) {
+    const { paths, ...overview } = spec;
+    const sections = [{ content: this.flatten(overview).join('\n'), section: 'overview' }];
+
+    for (const [route, pathItem] of Object.entries(paths)) {
+      for (const method of HTTP_METHODS.filter((candidate) => pathItem?.[candidate])) {
+        const label = `${method.toUpperCase()} ${route}`;
+        const operation = { ...pathItem[method] };
+        if (pathItem.parameters) {
+          operation.parameters = [...pathItem.parameters, ...(operation.parameters ?? [])];
+        }
+
+        sections.push({ content: [label, ...this.flatten(operation)].join('\n'), section: label });
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Extracts the cells of a Jupyter notebook, leaving their outputs out
+   * @private
+   * @param {string} content - Notebook JSON
+   * @returns {ContentSection[]} A single section with markdown text and fenced code cells
+   */
+  extractNotebook(content) {
+    const notebook = JSON.parse(content);
+    const language =
+      notebook.metadata?.kernelspec?.language ?? notebook.metadata?.language_info?.name ?? '';
+    // nbformat 3 nests cells in worksheets and names the code source `input`
+    const cells = notebook.cells ?? notebook.worksheets?.flatMap((sheet) => sheet.cells) ?? [];
+
+    const parts = cells
+      .map((cell) => {
+        const source = []
+          .concat(cell.source ?? cell.input ?? [])
+          .join('')
+          .trim();
+        if (!source) return null;
+        return cell.cell_type === 'code' ? `\`\`\`${language}\n${source}\n\`\`\`` : source;
+      })
+      .filter(Boolean);
+
+    return [{ content: parts.join('\n\n') }];
+  }
+
+  /**
+   * Splits a Dockerfile into its build stages
+   * @private
+   * @param {string} content - Dockerfile content
+   * @returns {ContentSection[]} One section per stage, lines before the first `FROM` included
+   * in the first stage
+   */
+  extractDockerfile(content) {
+    const stages = [];
+    let lines = [];
+
+    for (const line of content.split('\n')) {
+      if (/^\s*FROM\s/i.test(line) && lines.some((previous) => /^\s*FROM\s/i.test(previous))) {
+        stages.push(lines);
+        lines = [];
+      }
+      lines.push(line);
+    }
+    stages.push(lines);
+
+    return stages.map((stageLines, i) => {
+      const from = stageLines.find((line) => /^\s*FROM\s/i.test(line));
+      const name = from?.match(/\sAS\s+(\S+)/i)?.[1] ?? `${i + 1}`;
+      return {
+        content: stageLines.join('\n').trim(),
+        section: stages.length > 1 ? `stage ${name}` : undefined,
+      };
+    });
+  }
+
+  /**
+   * Flattens a value into `key.path[0] = value` lines
+   * @private
+   * @param {*} value - Parsed data
+   * @param {string} [prefix] - Key path of the value
+   * @param {string[]} [lines] - Lines collected so far
+   * @returns {string[]} One line per scalar, empty array or empty object
+   */
+  flatten(value, prefix = '', lines = []) {
+    if (Array.isArray(value)) {
+      const inline = JSON.stringify(value);
+      if (
+        value.length === 0 ||
+        (value.every(this.isScalar) && inline.length <= MAX_INLINE_ARRAY_LENGTH)
+      ) {
+        lines.push(`${prefix || '(root)'} = ${inline}`);
+      } else {
+        value.forEach((item, i) => this.flatten(item, `${prefix}[${i}]`, lines));
+      }
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const entries = Object.entries(value);
+      if (entries.length === 0 && prefix) lines.push(`${prefix} = {}`);
+      for (const [key, child] of entries) {
+        const segment = /^[\w$-]+$/.test(key) ? key : `[${JSON.stringify(key)}]`;
+        const childPrefix =
+          prefix && !segment.startsWith('[') ? `${prefix}.${segment}` : `${prefix}${segment}`;
+        this.flatten(child, childPrefix, lines);
+      }
+    } else {
+      lines.push(`${prefix || '(root)'} = ${this.formatScalar(value)}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Checks whether a value is printed on a single line
+   * @private
+   */
+  isScalar(value) {
+    return value === null || typeof value !== 'object' || value instanceof Date;
+  }
+
+  /**
+   * Formats a scalar value of a flattened key path
+   * @private
+   */
+  formatScalar(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Builds the result of a format
+   * @private
+   */
+  result({ format, chunking }, sections) {
+    return { format, sections: sections.filter(({ content }) => content), chunking };
+  }
+}
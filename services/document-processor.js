@@ -3,13 +3,23 @@
  *
  * This module handles document processing and embedding generation for the RAG system.
  * It provides functionality to:
- * - Split large documents into semantic chunks
- * - Generate embeddings using multilingual models
+ * - Split large documents into semantic chunks, following per-format chunking hints
+ * - Split source files along their functions and classes
+ * - Split Markdown and reStructuredText pages along their headings
+ * - Generate embeddings in process or with an embedding server, in batches
+ * - Size chunks, prefix inputs and check vectors according to the embedding model profile
+ * - Reuse the embeddings of unchanged chunks from an on-disk cache
+ * - Encode chunks and questions as BM25 sparse vectors for lexical search
  * - Process and prepare documents for vector storage
  *
  * The processor uses:
  * - TokenTextSplitter for intelligent document chunking
- * - Xenova Transformers for embedding generation
+ * - CodeSplitter for syntax-aware chunking of source files
+ * - MarkdownSplitter for heading-aware chunking of documentation
+ * - Embedding providers running Xenova Transformers, optionally on worker threads, or
+ *   calling an OpenAI-compatible, text-embeddings-inference or Ollama server
+ * - EmbeddingCache to skip inference for texts embedded by a previous run
+ * - Bm25Encoder for the sparse vectors of hybrid search
  * - LangChain's Document structure for consistency
  *
  * @module DocumentProcessor
@@ -17,34 +27,120 @@
 
 import { TokenTextSplitter } from 'langchain/text_splitter';
 import { Document } from 'langchain/document';
-import { pipeline } from '@xenova/transformers';
+import { CodeSplitter } from './code-splitter.js';
+import { MarkdownSplitter } from './markdown-splitter.js';
+import { createEmbeddingProvider } from './embedding-providers.js';
+import { EmbeddingCache } from './embedding-cache.js';
+import { getEmbeddingProfile } from './embedding-models.js';
+import { Bm25Encoder } from './bm25-encoder.js';
+import { findLineRanges } from '../utils.js';
+
+/**
+ * Default chunking settings, in tokens, for models accepting long enough inputs
+ */
+const DEFAULT_CHUNKING = {
+  chunkSize: 1000, // Target size for each chunk
+  chunkOverlap: 200, // Overlap between chunks to maintain context
+};
+
+/**
+ * Text embedded to detect the dimension of a model
+ */
+const DIMENSION_PROBE = 'dimension probe';
 
 /**
  * Represents a processed document chunk
  * @typedef {Object} DocumentChunk
  * @property {string} pageContent - The text content of the chunk
- * @property {Object} metadata - Original document metadata
+ * @property {Object} metadata - Original document metadata, plus `symbol` and `symbolKind` for
+ * chunks of source files split along their declarations, and `breadcrumb` for chunks of
+ * documentation pages split along their headings. Chunks of files read as is also get the
+ * `startLine` and `endLine` they span, from 1
+ * @property {{chunkSize: number, chunkOverlap: number}} [chunking] - Chunking hints of the
+ * document format, overriding the default chunk size and overlap
  */
 
 export class DocumentProcessor {
   /**
    * Creates a new DocumentProcessor instance
    *
-   * @param {string} embeddingModel - Identifier of the embedding model to use
+   * @param {string} embeddingModel - Identifier of the embedding model to use, see
+   * `embedding-models.js` for the known ones
+   * @param {Object} [options]
+   * @param {string} [options.provider='transformers'] - Embedding provider: `transformers` to
+   * run the model in process, or `openai`, `tei` or `ollama` to call an embedding server
+   * @param {string} [options.providerUrl] - Base URL of the embedding server
+   * @param {string} [options.apiKey] - API key of the embedding server
+   * @param {number} [options.timeout] - Timeout of a request to the embedding server, in ms
+   * @param {number} [options.retries] - Number of retries of a failed request
+   * @param {number} [options.workers=0] - Number of worker threads generating embeddings in
+   * process, 0 to generate them on the main thread
+   * @param {number} [options.embeddingBatchSize] - Number of texts embedded by a single
+   * pipeline call or request, defaults to the provider's
+   * @param {string|null} [options.cacheDir=null] - Directory of the embedding cache, null to
+   * embed every text
    * @example
-   * const processor = new DocumentProcessor('Xenova/multilingual-e5-large');
+   * const processor = new DocumentProcessor('Xenova/multilingual-e5-large', {
+   *   workers: 4,
+   *   cacheDir: './github_repos/.embedding-cache',
+   * });
+   * const remote = new DocumentProcessor('nomic-embed-text', { provider: 'ollama' });
    */
-  constructor(embeddingModel) {
+  constructor(
+    embeddingModel,
+    {
+      provider = 'transformers',
+      providerUrl,
+      apiKey,
+      timeout,
+      retries,
+      workers = 0,
+      embeddingBatchSize,
+      cacheDir = null,
+    } = {}
+  ) {
     this.embeddingModel = embeddingModel;
-    this.embedder = null;
+    this.profile = getEmbeddingProfile(embeddingModel);
+    this.provider = createEmbeddingProvider(provider, embeddingModel, {
+      url: providerUrl,
+      apiKey,
+      timeout,
+      retries,
+      workers,
+      batchSize: embeddingBatchSize,
+      embeddingOptions: { pooling: this.profile.pooling, normalize: this.profile.normalize },
+    });
+    // The prefix changes the vectors of every chunk, cached entries depend on it too. Servers
+    // pool and normalize as they are configured, the vectors of each server are cached apart
+    this.cache = cacheDir
+      ? new EmbeddingCache(cacheDir, {
+          embeddingModel,
+          embeddingOptions:
+            provider === 'transformers'
+              ? { ...this.provider.embeddingOptions, prefix: this.profile.documentPrefix }
+              : { provider, url: this.provider.url, prefix: this.profile.documentPrefix },
+        })
+      : null;
+    this.bm25Encoder = new Bm25Encoder();
     this.isInitialized = false;
+    this.chunking = getChunking(this.profile);
+    this.splitter = new TokenTextSplitter(this.chunking);
+    // Splitters following the structure of the files they support, tried in order
+    this.structuredSplitters = [
+      new CodeSplitter(this.chunking),
+      new MarkdownSplitter(this.chunking),
+    ];
+    this.hintedSplitters = new Map();
   }
 
   /**
    * Initializes the embedding pipeline
    *
+   * The dimension of the vectors is checked against the model profile, or detected for
+   * models missing from the registry.
+   *
    * @async
-   * @throws {Error} If model loading fails
+   * @throws {Error} If model loading fails or the vectors do not have the expected dimension
    * @example
    * await processor.initialize();
    */
@@ -52,14 +148,38 @@ export class DocumentProcessor {
     if (this.isInitialized) return;
 
     try {
-      console.log('Loading embedding model:', this.embeddingModel);
-      this.embedder = await pipeline('feature-extraction', this.embeddingModel);
-      this.isInitialized = true;
-      console.log('✅ Embedding model loaded successfully');
+      console.log(`Loading embedding model: ${this.embeddingModel} (${this.provider.name})`);
+      await this.provider.initialize();
     } catch (error) {
       console.error('❌ Failed to load embedding model:', error);
       throw new Error('Embedding model initialization failed');
     }
+
+    // Also makes sure an embedding server is reachable before indexing starts
+    const [probe] = await this.embedTexts([DIMENSION_PROBE]).catch(async (error) => {
+      await this.provider.close();
+      throw error;
+    });
+    if (this.profile.dimension === null) {
+      this.profile.dimension = probe.length;
+      console.log(`📐 Detected ${probe.length} dimensions for ${this.embeddingModel}`);
+    } else if (probe.length !== this.profile.dimension) {
+      await this.provider.close();
+      throw new Error(
+        `${this.embeddingModel} outputs ${probe.length} dimensions, ` +
+          `its profile declares ${this.profile.dimension}`
+      );
+    }
+    this.isInitialized = true;
+  }
+
+  /**
+   * Returns the dimension of the vectors of the model
+   *
+   * @returns {number|null} Vector size, null for an unknown model not initialized yet
+   */
+  getDimension() {
+    return this.profile.dimension;
   }
 
   /**
@@ -75,26 +195,10 @@ export class DocumentProcessor {
    * ]);
    */
   async processDocuments(documents) {
-    const splitter = new TokenTextSplitter({
-      chunkSize: 1000, // Target size for each chunk
-      chunkOverlap: 200, // Overlap between chunks to maintain context
-    });
-
     const processedDocs = [];
 
     for (const doc of documents) {
-      try {
-        const splits = await splitter.splitDocuments([
-          new Document({
-            pageContent: doc.pageContent,
-            metadata: doc.metadata,
-          }),
-        ]);
-        processedDocs.push(...splits);
-      } catch (error) {
-        console.warn('⚠️ Failed to process document:', error);
-        // Continue processing other documents
-      }
+      processedDocs.push(...(await this.splitDocument(doc)));
     }
 
     console.log(`📄 Processed ${processedDocs.length} document chunks`);
@@ -102,39 +206,191 @@ export class DocumentProcessor {
   }
 
   /**
-   * Generates an embedding vector for given text
+   * Splits a single document into chunks
+   *
+   * Source files in a supported language are split along their declarations, and
+   * Markdown and reStructuredText pages along their headings, falling back to token
+   * windows when no declaration or heading is found.
+   *
+   * @async
+   * @param {DocumentChunk} doc - Document to split
+   * @returns {Promise<Array<DocumentChunk>>} Document chunks, empty if splitting failed
+   *
+   * @example
+   * const chunks = await processor.splitDocument({ pageContent: '...', metadata: {} });
+   */
+  async splitDocument(doc) {
+    try {
+      const structuredSplitter =
+        !doc.chunking &&
+        this.structuredSplitters.find((splitter) => splitter.supports(doc.metadata?.path));
+      if (structuredSplitter) {
+        const chunks = await structuredSplitter.splitDocument(doc);
+        if (chunks) return chunks;
+      }
+
+      const splitter = doc.chunking ? this.getHintedSplitter(doc.chunking) : this.splitter;
+      const texts = await splitter.splitText(doc.pageContent);
+
+      // Commits, issues and extracted sections are not the text of a file, they have no lines
+      const lineRanges =
+        doc.metadata?.kind === 'file' && !doc.metadata.format
+          ? findLineRanges(doc.pageContent, texts)
+          : [];
+      return texts.map(
+        (pageContent, i) =>
+          new Document({ pageContent, metadata: { ...doc.metadata, ...lineRanges[i] } })
+      );
+    } catch (error) {
+      console.warn('⚠️ Failed to process document:', error);
+      // Continue processing other documents
+      return [];
+    }
+  }
+
+  /**
+   * Returns a splitter following the chunking hints of a document format, created once
+   * @private
+   * @param {{chunkSize: number, chunkOverlap: number}} chunking - Chunking hints
+   * @returns {TokenTextSplitter} Splitter for these hints
+   */
+  getHintedSplitter(chunking) {
+    // Hints never exceed what the model reads of an input
+    const chunkSize = Math.min(chunking.chunkSize, this.chunking.chunkSize);
+    const chunkOverlap = Math.min(chunking.chunkOverlap, this.chunking.chunkOverlap);
+    const key = `${chunkSize}/${chunkOverlap}`;
+    if (!this.hintedSplitters.has(key)) {
+      this.hintedSplitters.set(key, new TokenTextSplitter({ chunkSize, chunkOverlap }));
+    }
+    return this.hintedSplitters.get(key);
+  }
+
+  /**
+   * Generates an embedding vector for a question, with the query prefix of the model, and
+   * its BM25 vector
    *
    * @async
    * @param {string} text - Text to convert to embedding
-   * @returns {Promise<{data: Float32Array}>} Normalized embedding vector
+   * @returns {Promise<{data: Float32Array, sparse: import('./bm25-encoder.js').SparseVector}>}
+   * Normalized embedding vector and BM25 vector
    * @throws {Error} If embedder is not initialized or generation fails
    *
    * @example
    * const embedding = await processor.generateEmbedding('Sample text');
-   * // embedding.data contains the vector representation
+   * // embedding.data contains the vector representation, embedding.sparse its terms
    */
   async generateEmbedding(text) {
-    if (!this.isInitialized || !this.embedder) {
+    if (!this.isReady()) {
+      throw new Error('Embedding model not initialized. Call initialize() first.');
+    }
+
+    // Questions are rarely asked twice, keep them out of the cache
+    const [data] = await this.embedTexts([this.profile.queryPrefix + text]);
+    return { data, sparse: this.bm25Encoder.encodeQuery(text) };
+  }
+
+  /**
+   * Generates the BM25 vectors of several chunks
+   *
+   * @param {string[]} texts - Texts of the chunks
+   * @returns {Array<import('./bm25-encoder.js').SparseVector>} One sparse vector per text
+   */
+  generateSparseVectors(texts) {
+    return texts.map((text) => this.bm25Encoder.encodeDocument(text));
+  }
+
+  /**
+   * Generates embedding vectors for several chunks, with the document prefix of the model
+   *
+   * Texts found in the cache are not embedded again. The others are embedded by the
+   * provider in batches of `embeddingBatchSize`, then added to the cache.
+   *
+   * @async
+   * @param {string[]} texts - Texts to convert to embeddings
+   * @returns {Promise<Float32Array[]>} One normalized vector per text, in the same order
+   * @throws {Error} If embedder is not initialized or generation fails
+   *
+   * @example
+   * const vectors = await processor.generateEmbeddings(chunks.map((c) => c.pageContent));
+   */
+  async generateEmbeddings(texts) {
+    if (!this.isReady()) {
       throw new Error('Embedding model not initialized. Call initialize() first.');
     }
 
+    const prefix = this.profile.documentPrefix;
+    if (!this.cache) return this.embedTexts(texts.map((text) => prefix + text));
+
+    const cached = await this.cache.get(texts, this.profile.dimension);
+    const missing = texts.filter((_, i) => !cached[i]);
+    if (missing.length === 0) return cached;
+
+    const embedded = await this.embedTexts(missing.map((text) => prefix + text));
+    await this.cache.set(missing, embedded);
+
+    let next = 0;
+    return cached.map((vector) => vector ?? embedded[next++]);
+  }
+
+  /**
+   * Reports how many embeddings were read from the cache and how many were generated
+   *
+   * @returns {{hits: number, misses: number}|null} Cache counters, null without a cache
+   */
+  getCacheStats() {
+    return this.cache && { hits: this.cache.hits, misses: this.cache.misses };
+  }
+
+  /**
+   * Embeds texts with the provider, which batches them
+   * @private
+   * @param {string[]} texts - Texts to convert to embeddings
+   * @returns {Promise<Float32Array[]>} One vector per text, in the same order
+   */
+  async embedTexts(texts) {
     try {
-      return await this.embedder(text, {
-        pooling: 'mean', // Use mean pooling for sentence embeddings
-        normalize: true, // Normalize vectors for cosine similarity
-      });
+      return await this.provider.embed(texts);
     } catch (error) {
       console.error('❌ Embedding generation failed:', error);
-      throw new Error('Failed to generate embedding');
+      throw new Error(`Failed to generate embedding: ${error.message}`);
     }
   }
 
+  /**
+   * Stops the embedding worker threads or releases the provider
+   *
+   * @async
+   */
+  async close() {
+    await this.provider.close();
+    this.isInitialized = false;
+  }
+
   /**
    * Checks if the processor is ready to generate embeddings
    *
    * @returns {boolean} True if the processor is initialized
    */
   isReady() {
-    return this.isInitialized && this.embedder !== null;
+    return this.isInitialized;
   }
 }
+
+/**
+ * Returns chunking settings fitting the inputs of an embedding model
+ *
+ * Chunks are measured with another tokenizer than the model's, so the size is only an
+ * approximation of what the model reads.
+ *
+ * @param {import('./embedding-models.js').EmbeddingModelProfile} profile - Model profile
+ * @returns {{chunkSize: number, chunkOverlap: number}} Chunk size and overlap, in tokens
+ */
+function getChunking({ maxTokens, documentPrefix }) {
+  // Leave room for the prefix and the special tokens added around each input
+  const chunkSize = Math.min(
+    DEFAULT_CHUNKING.chunkSize,
+    maxTokens - Math.ceil(documentPrefix.length / 4) - 2
+  );
+  const overlapRatio = DEFAULT_CHUNKING.chunkOverlap / DEFAULT_CHUNKING.chunkSize;
+  return { chunkSize, chunkOverlap: Math.round(chunkSize * overlapRatio) };
+}
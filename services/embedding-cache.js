@@ -0,0 +1,337 @@
+/**
+ * Embedding Cache
+ *
+ * This module keeps the embeddings generated for each chunk on disk, so that
+ * rebuilding the collection or changing chunking parameters only embeds the
+ * chunks whose text actually changed. It provides functionality to:
+ * - Look up and store vectors keyed by the embedding model, its options and
+ *   a hash of the embedded text
+ * - Report the number and size of the entries of each model
+ * - Prune entries unused for a while or beyond a size budget, least recently used first
+ * - Invalidate the entries of models no longer in use
+ *
+ * Entries of a model and options live in a directory of their own, one file of
+ * raw float32 values per text, sharded by the first characters of the text hash.
+ *
+ * @module EmbeddingCache
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * File describing the model and options of a cache directory
+ */
+const META_FILE = 'meta.json';
+
+/**
+ * Extension of entry files
+ */
+const ENTRY_EXTENSION = '.bin';
+
+/**
+ * Usage of the entries of a model and options
+ * @typedef {Object} CacheNamespaceStats
+ * @property {string} namespace - Directory of the entries
+ * @property {string|null} embeddingModel - Embedding model, null if the directory is not described
+ * @property {Object} options - Options of the embedding pipeline
+ * @property {number} entries - Number of cached embeddings
+ * @property {number} bytes - Size of the cached embeddings
+ * @property {Date|null} lastUsed - Last time an entry was stored or read
+ */
+
+/**
+ * A cached embedding on disk
+ * @typedef {Object} CacheEntry
+ * @property {string} file - Entry file
+ * @property {number} size - Size in bytes
+ * @property {number} usedAt - Last time the entry was stored or read, in ms since the epoch
+ */
+
+export class EmbeddingCache {
+  /**
+   * Creates a new EmbeddingCache instance
+   *
+   * The model and options are only needed to read and store embeddings, not to
+   * report on or clean up the cache.
+   *
+   * @param {string} cacheDir - Directory of the cache
+   * @param {Object} [options]
+   * @param {string} [options.embeddingModel] - Embedding model the vectors come from
+   * @param {Object} [options.embeddingOptions={}] - Options of the embedding pipeline, such as
+   * pooling and normalization
+   * @example
+   * const cache = new EmbeddingCache('./github_repos/.embedding-cache', {
+   *   embeddingModel: 'Xenova/multilingual-e5-large',
+   *   embeddingOptions: { pooling: 'mean', normalize: true },
+   * });
+   * const vectors = await cache.get(['some text']); // [Float32Array] or [null]
+   */
+  constructor(cacheDir, { embeddingModel = null, embeddingOptions = {} } = {}) {
+    this.cacheDir = cacheDir;
+    this.embeddingModel = embeddingModel;
+    this.embeddingOptions = embeddingOptions;
+    this.hits = 0;
+    this.misses = 0;
+    this.namespaceReady = false;
+  }
+
+  /**
+   * Looks up the embeddings of texts
+   *
+   * Reading an entry marks it as used, so that pruning keeps it. Entries whose size does not
+   * match the dimension of the model, e.g. truncated or copied from another cache, are
+   * reported and treated as missing, so that they get embedded and stored again.
+   *
+   * @async
+   * @param {string[]} texts - Embedded texts
+   * @param {number|null} [dimension=null] - Size of the vectors of the model, null to skip the
+   * check
+   * @returns {Promise<Array<Float32Array|null>>} Cached vector of each text, null if missing
+   */
+  async get(texts, dimension = null) {
+    const expectedBytes = dimension && dimension * Float32Array.BYTES_PER_ELEMENT;
+    return Promise.all(
+      texts.map(async (text) => {
+        const file = this.getEntryFile(text);
+        try {
+          const buffer = await fs.promises.readFile(file);
+          if (expectedBytes && buffer.byteLength !== expectedBytes) {
+            console.warn(
+              `⚠️ Ignoring embedding cache entry ${file}: ${buffer.byteLength} bytes, ` +
+                `${expectedBytes} expected`
+            );
+            this.misses++;
+            return null;
+          }
+
+          const now = new Date();
+          await fs.promises.utimes(file, now, now);
+          this.hits++;
+          return new Float32Array(
+            buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+          );
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Failed to read embedding cache entry ${file}:`, error.message);
+          }
+          this.misses++;
+          return null;
+        }
+      })
+    );
+  }
+
+  /**
+   * Stores the embeddings of texts
+   *
+   * Entries are written to a temporary file first, so that an interrupted run
+   * never leaves a truncated vector behind. Write failures are only reported, the
+   * cache being an optimization.
+   *
+   * @async
+   * @param {string[]} texts - Embedded texts
+   * @param {Float32Array[]} vectors - Vector of each text
+   */
+  async set(texts, vectors) {
+    try {
+      await this.ensureNamespace();
+      await Promise.all(
+        texts.map(async (text, i) => {
+          const file = this.getEntryFile(text);
+          const temporaryFile = `${file}.${process.pid}.tmp`;
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          await fs.promises.writeFile(
+            temporaryFile,
+            Buffer.from(vectors[i].buffer, vectors[i].byteOffset, vectors[i].byteLength)
+          );
+          await fs.promises.rename(temporaryFile, file);
+        })
+      );
+    } catch (error) {
+      console.warn('⚠️ Failed to write the embedding cache:', error.message);
+    }
+  }
+
+  /**
+   * Reports the entries of each model and options
+   *
+   * @async
+   * @returns {Promise<CacheNamespaceStats[]>} Usage per namespace, largest first
+   */
+  async stats() {
+    const stats = [];
+    for (const namespace of await this.listNamespaces()) {
+      const meta = await this.readMeta(namespace);
+      const entries = await this.listEntries(namespace);
+      const lastUsed = entries.reduce((latest, entry) => Math.max(latest, entry.usedAt), 0);
+      stats.push({
+        namespace,
+        embeddingModel: meta?.embeddingModel ?? null,
+        options: meta?.embeddingOptions ?? {},
+        entries: entries.length,
+        bytes: entries.reduce((total, entry) => total + entry.size, 0),
+        lastUsed: lastUsed ? new Date(lastUsed) : null,
+      });
+    }
+    return stats.sort((a, b) => b.bytes - a.bytes);
+  }
+
+  /**
+   * Removes entries unused for a while, then the least recently used ones until the
+   * cache fits in a size budget
+   *
+   * @async
+   * @param {Object} options
+   * @param {number} [options.olderThanDays] - Remove entries unused for this many days
+   * @param {number} [options.maxBytes] - Maximum total size of the cache
+   * @returns {Promise<{entries: number, bytes: number}>} Removed entries and freed bytes
+   */
+  async prune({ olderThanDays, maxBytes } = {}) {
+    const entries = [];
+    for (const namespace of await this.listNamespaces()) {
+      entries.push(...(await this.listEntries(namespace)));
+    }
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+
+    const cutoff = olderThanDays === undefined ? -Infinity : Date.now() - olderThanDays * 86400000;
+    let totalBytes = entries.reduce((total, entry) => total + entry.size, 0);
+    const removed = { entries: 0, bytes: 0 };
+
+    for (const entry of entries) {
+      const overBudget = maxBytes !== undefined && totalBytes > maxBytes;
+      if (entry.usedAt >= cutoff && !overBudget) break;
+
+      await fs.promises.rm(entry.file, { force: true });
+      totalBytes -= entry.size;
+      removed.entries++;
+      removed.bytes += entry.size;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Removes every entry of some embedding models
+   *
+   * @async
+   * @param {Object} options
+   * @param {string} [options.embeddingModel] - Remove the entries of this model only
+   * @param {string} [options.exceptModel] - Remove the entries of every model but this one
+   * @returns {Promise<CacheNamespaceStats[]>} Namespaces removed
+   */
+  async invalidate({ embeddingModel, exceptModel } = {}) {
+    const removed = [];
+    for (const namespaceStats of await this.stats()) {
+      const model = namespaceStats.embeddingModel;
+      if (embeddingModel !== undefined && model !== embeddingModel) continue;
+      if (exceptModel !== undefined && model === exceptModel) continue;
+
+      await fs.promises.rm(path.join(this.cacheDir, namespaceStats.namespace), {
+        recursive: true,
+        force: true,
+      });
+      removed.push(namespaceStats);
+    }
+    return removed;
+  }
+
+  /**
+   * Returns the entry file of a text, in the namespace of the model and options
+   * @private
+   */
+  getEntryFile(text) {
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    return path.join(
+      this.cacheDir,
+      this.getNamespace(),
+      hash.slice(0, 2),
+      `${hash.slice(2)}${ENTRY_EXTENSION}`
+    );
+  }
+
+  /**
+   * Returns the directory name of the model and options, readable and unique
+   * @private
+   */
+  getNamespace() {
+    if (!this.embeddingModel) {
+      throw new Error('Embedding cache used without an embedding model');
+    }
+
+    const digest = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ model: this.embeddingModel, options: this.embeddingOptions }))
+      .digest('hex');
+    return `${this.embeddingModel.replace(/[^\w.-]+/g, '_')}-${digest.slice(0, 12)}`;
+  }
+
+  /**
+   * Describes the namespace of the model and options, once per instance
+   * @private
+   */
+  async ensureNamespace() {
+    if (this.namespaceReady) return;
+
+    const namespaceDir = path.join(this.cacheDir, this.getNamespace());
+    await fs.promises.mkdir(namespaceDir, { recursive: true });
+    const meta = { embeddingModel: this.embeddingModel, embeddingOptions: this.embeddingOptions };
+    await fs.promises.writeFile(path.join(namespaceDir, META_FILE), JSON.stringify(meta, null, 2));
+    this.namespaceReady = true;
+  }
+
+  /**
+   * Lists the namespace directories of the cache
+   * @private
+   */
+  async listNamespaces() {
+    try {
+      const entries = await fs.promises.readdir(this.cacheDir, { withFileTypes: true });
+      return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the description of a namespace
+   * @private
+   */
+  async readMeta(namespace) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(path.join(this.cacheDir, namespace, META_FILE), 'utf-8')
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Lists the entries of a namespace
+   * @private
+   * @param {string} namespace - Namespace directory
+   * @returns {Promise<CacheEntry[]>} Entries, in no particular order
+   */
+  async listEntries(namespace) {
+    const namespaceDir = path.join(this.cacheDir, namespace);
+    const entries = [];
+
+    for (const shard of await fs.promises.readdir(namespaceDir, { withFileTypes: true })) {
+      if (!shard.isDirectory()) continue;
+
+      const shardDir = path.join(namespaceDir, shard.name);
+      for (const name of await fs.promises.readdir(shardDir)) {
+        if (!name.endsWith(ENTRY_EXTENSION)) continue;
+
+        const file = path.join(shardDir, name);
+        const stats = await fs.promises.stat(file);
+        entries.push({ file, size: stats.size, usedAt: stats.mtimeMs });
+      }
+    }
+
+    return entries;
+  }
+}
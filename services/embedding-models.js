@@ -0,0 +1,140 @@
+/**
+ * Embedding Model Profiles
+ *
+ * This module describes the embedding models the assistant knows how to use, so
+ * that the collection, the chunkers and the embedding pipeline configure
+ * themselves from `EMBEDDING_MODEL`. Each profile gives:
+ * - The dimension of the vectors, used to create the collection
+ * - The prefixes the model expects in front of queries and indexed passages
+ * - The maximum number of tokens of an input, beyond which the model truncates
+ * - The pooling of token embeddings into one vector
+ *
+ * Models are found by identifier, or by name whatever their organization or tag,
+ * so that `intfloat/multilingual-e5-large` served by an embedding server gets the
+ * profile of `Xenova/multilingual-e5-large`. Models missing from the registry get a
+ * generic profile, whose dimension is detected once the model is loaded.
+ *
+ * @module EmbeddingModels
+ */
+
+/**
+ * Settings of an embedding model
+ * @typedef {Object} EmbeddingModelProfile
+ * @property {string} embeddingModel - Identifier of the model
+ * @property {number|null} dimension - Size of the vectors, null until detected for unknown models
+ * @property {string} queryPrefix - Text prepended to questions before embedding them
+ * @property {string} documentPrefix - Text prepended to chunks before embedding them
+ * @property {number} maxTokens - Maximum number of tokens of an input
+ * @property {'mean'|'cls'|null} pooling - Pooling of token embeddings, null for models only
+ * served by embedding servers, which pool as they are configured
+ * @property {boolean} normalize - Whether vectors are normalized for cosine similarity
+ */
+
+/**
+ * Prefixes of the E5 family, trained on "query: " and "passage: " inputs
+ */
+const E5 = { queryPrefix: 'query: ', documentPrefix: 'passage: ', maxTokens: 512, pooling: 'mean' };
+
+/**
+ * Prefixes of the English BGE v1.5 family, which only instructs queries
+ */
+const BGE = {
+  queryPrefix: 'Represent this sentence for searching relevant passages: ',
+  documentPrefix: '',
+  maxTokens: 512,
+  pooling: 'cls',
+};
+
+/**
+ * Sentence Transformers models, used without prefixes
+ */
+const SENTENCE_TRANSFORMERS = { queryPrefix: '', documentPrefix: '', pooling: 'mean' };
+
+/**
+ * Models only served by embedding servers, used without prefixes unless stated
+ */
+const SERVED = { queryPrefix: '', documentPrefix: '', pooling: null };
+
+/**
+ * Known embedding models, by identifier
+ */
+const EMBEDDING_MODELS = {
+  'Xenova/multilingual-e5-large': { ...E5, dimension: 1024 },
+  'Xenova/multilingual-e5-base': { ...E5, dimension: 768 },
+  'Xenova/multilingual-e5-small': { ...E5, dimension: 384 },
+  'Xenova/e5-large-v2': { ...E5, dimension: 1024 },
+  'Xenova/e5-base-v2': { ...E5, dimension: 768 },
+  'Xenova/e5-small-v2': { ...E5, dimension: 384 },
+  'Xenova/bge-large-en-v1.5': { ...BGE, dimension: 1024 },
+  'Xenova/bge-base-en-v1.5': { ...BGE, dimension: 768 },
+  'Xenova/bge-small-en-v1.5': { ...BGE, dimension: 384 },
+  'Xenova/all-MiniLM-L6-v2': { ...SENTENCE_TRANSFORMERS, dimension: 384, maxTokens: 256 },
+  'Xenova/all-MiniLM-L12-v2': { ...SENTENCE_TRANSFORMERS, dimension: 384, maxTokens: 256 },
+  'Xenova/all-mpnet-base-v2': { ...SENTENCE_TRANSFORMERS, dimension: 768, maxTokens: 384 },
+  'Xenova/paraphrase-multilingual-MiniLM-L12-v2': {
+    ...SENTENCE_TRANSFORMERS,
+    dimension: 384,
+    maxTokens: 128,
+  },
+  'Xenova/gte-small': { ...SENTENCE_TRANSFORMERS, dimension: 384, maxTokens: 512 },
+  'Xenova/gte-base': { ...SENTENCE_TRANSFORMERS, dimension: 768, maxTokens: 512 },
+  // Served by OpenAI-compatible APIs and Ollama
+  'text-embedding-3-small': { ...SERVED, dimension: 1536, maxTokens: 8191 },
+  'text-embedding-3-large': { ...SERVED, dimension: 3072, maxTokens: 8191 },
+  'text-embedding-ada-002': { ...SERVED, dimension: 1536, maxTokens: 8191 },
+  'nomic-embed-text': {
+    ...SERVED,
+    queryPrefix: 'search_query: ',
+    documentPrefix: 'search_document: ',
+    dimension: 768,
+    maxTokens: 8192,
+  },
+  'mxbai-embed-large': { ...SERVED, queryPrefix: BGE.queryPrefix, dimension: 1024, maxTokens: 512 },
+  'bge-m3': { ...SERVED, dimension: 1024, maxTokens: 8192 },
+};
+
+/**
+ * Profile of models missing from the registry
+ */
+const GENERIC_PROFILE = {
+  dimension: null,
+  queryPrefix: '',
+  documentPrefix: '',
+  maxTokens: 512,
+  pooling: 'mean',
+};
+
+/**
+ * Returns the profile of an embedding model
+ *
+ * @param {string} embeddingModel - Identifier of the model
+ * @returns {EmbeddingModelProfile} Profile of the model, generic if it is unknown
+ * @example
+ * const { dimension, queryPrefix } = getEmbeddingProfile('Xenova/multilingual-e5-large');
+ * // 1024, 'query: '
+ */
+export function getEmbeddingProfile(embeddingModel) {
+  const profile =
+    EMBEDDING_MODELS[embeddingModel] ?? EMBEDDING_MODELS[findModelByName(embeddingModel)];
+  if (!profile) {
+    console.warn(
+      `⚠️ Unknown embedding model ${embeddingModel}: no prefixes, ` +
+        `${GENERIC_PROFILE.maxTokens} tokens per input, dimension detected on load`
+    );
+  }
+
+  return { embeddingModel, normalize: true, ...(profile ?? GENERIC_PROFILE) };
+}
+
+/**
+ * Finds a known model with the same name, ignoring organizations and tags
+ * @private
+ * @param {string} embeddingModel - Identifier such as `intfloat/e5-large-v2` or
+ * `nomic-embed-text:latest`
+ * @returns {string|undefined} Identifier of the known model
+ */
+function findModelByName(embeddingModel) {
+  const getName = (identifier) => identifier.split('/').pop().split(':')[0].toLowerCase();
+  const name = getName(embeddingModel);
+  return Object.keys(EMBEDDING_MODELS).find((identifier) => getName(identifier) === name);
+}
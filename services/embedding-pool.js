@@ -0,0 +1,204 @@
+/**
+ * Embedding Worker Pool
+ *
+ * This module spreads embedding generation across worker threads, so that
+ * indexing uses several CPU cores and the main thread stays free to read and
+ * split files. It provides functionality to:
+ * - Start a fixed number of workers, each loading the embedding model once
+ * - Queue batches of texts and hand them to the first idle worker
+ * - Return the vectors of each batch in the order of its texts
+ *
+ * @module EmbeddingPool
+ */
+
+import { Worker } from 'worker_threads';
+
+/**
+ * Script run by each worker
+ */
+const WORKER_URL = new URL('./embedding-worker.js', import.meta.url);
+
+/**
+ * Default options of the feature extraction pipeline
+ */
+const DEFAULT_EMBEDDING_OPTIONS = {
+  pooling: 'mean', // Use mean pooling for sentence embeddings
+  normalize: true, // Normalize vectors for cosine similarity
+};
+
+/**
+ * A batch of texts waiting for, or being embedded by, a worker
+ * @typedef {Object} EmbeddingTask
+ * @property {string[]} texts - Texts to embed
+ * @property {(vectors: Float32Array[]) => void} resolve - Called with one vector per text
+ * @property {(error: Error) => void} reject - Called if embedding fails
+ */
+
+/**
+ * A worker of the pool
+ * @typedef {Object} PoolWorker
+ * @property {Worker} worker - Worker thread
+ * @property {EmbeddingTask|null} task - Batch being embedded, null when idle
+ */
+
+export class EmbeddingPool {
+  /**
+   * Creates a new EmbeddingPool instance
+   *
+   * @param {string} embeddingModel - Identifier of the embedding model to load in each worker
+   * @param {Object} [options]
+   * @param {number} [options.size=1] - Number of worker threads
+   * @param {{pooling: string, normalize: boolean}} [options.embeddingOptions] - Options of the
+   * feature extraction pipeline
+   * @example
+   * const pool = new EmbeddingPool('Xenova/multilingual-e5-large', {
+   *   size: 4,
+   *   embeddingOptions: { pooling: 'mean', normalize: true },
+   * });
+   * await pool.initialize();
+   * const vectors = await pool.embed(['first text', 'second text']);
+   * await pool.close();
+   */
+  constructor(embeddingModel, { size = 1, embeddingOptions = DEFAULT_EMBEDDING_OPTIONS } = {}) {
+    this.embeddingModel = embeddingModel;
+    this.size = size;
+    this.embeddingOptions = embeddingOptions;
+    this.workers = [];
+    this.queue = [];
+  }
+
+  /**
+   * Starts the workers and waits for each of them to load the model
+   *
+   * @async
+   * @throws {Error} If a worker fails to load the model
+   */
+  async initialize() {
+    const results = await Promise.allSettled(
+      Array.from({ length: this.size }, () => this.startWorker())
+    );
+    this.workers = results.filter(({ status }) => status === 'fulfilled').map(({ value }) => value);
+
+    const failure = results.find(({ status }) => status === 'rejected');
+    if (failure) {
+      await this.close();
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * Embeds a batch of texts on the first idle worker
+   *
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<Float32Array[]>} One normalized vector per text, in the same order
+   * @throws {Error} If the pool is not started or embedding fails
+   */
+  embed(texts) {
+    if (this.workers.length === 0) {
+      return Promise.reject(new Error('Embedding pool not started. Call initialize() first.'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ texts, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Stops the workers, failing the batches still queued
+   *
+   * @async
+   */
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    this.failQueue(new Error('Embedding pool closed'));
+    await Promise.all(workers.map(({ worker }) => worker.terminate()));
+  }
+
+  /**
+   * Starts a worker and resolves once its model is loaded
+   * @private
+   * @returns {Promise<PoolWorker>} Idle worker
+   */
+  startWorker() {
+    const poolWorker = {
+      worker: new Worker(WORKER_URL, {
+        workerData: {
+          embeddingModel: this.embeddingModel,
+          embeddingOptions: this.embeddingOptions,
+        },
+      }),
+      task: null,
+    };
+
+    return new Promise((resolve, reject) => {
+      const { worker } = poolWorker;
+      worker.once('error', reject);
+      worker.once('message', (message) => {
+        worker.off('error', reject);
+        if (message.error) {
+          worker.terminate();
+          reject(new Error(`Embedding worker failed to load the model: ${message.error}`));
+          return;
+        }
+
+        worker.on('message', (result) => this.handleResult(poolWorker, result));
+        worker.on('error', (error) => this.handleWorkerError(poolWorker, error));
+        resolve(poolWorker);
+      });
+    });
+  }
+
+  /**
+   * Hands queued batches to idle workers
+   * @private
+   */
+  dispatch() {
+    for (const poolWorker of this.workers) {
+      if (this.queue.length === 0) return;
+      if (poolWorker.task) continue;
+
+      poolWorker.task = this.queue.shift();
+      poolWorker.worker.postMessage({ texts: poolWorker.task.texts });
+    }
+  }
+
+  /**
+   * Settles the batch of a worker and gives it the next one
+   * @private
+   */
+  handleResult(poolWorker, { vectors, error }) {
+    const { task } = poolWorker;
+    poolWorker.task = null;
+
+    if (error) {
+      task?.reject(new Error(`Embedding generation failed: ${error}`));
+    } else {
+      task?.resolve(vectors);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Removes a crashed worker from the pool, failing its batch
+   * @private
+   */
+  handleWorkerError(poolWorker, error) {
+    console.error('❌ Embedding worker crashed:', error);
+    poolWorker.task?.reject(error);
+    this.workers = this.workers.filter((candidate) => candidate !== poolWorker);
+
+    if (this.workers.length === 0) {
+      this.failQueue(new Error('All embedding workers crashed'));
+    }
+  }
+
+  /**
+   * Rejects the batches still queued
+   * @private
+   */
+  failQueue(error) {
+    for (const task of this.queue.splice(0)) task.reject(error);
+  }
+}
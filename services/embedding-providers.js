@@ -0,0 +1,374 @@
+/**
+ * Embedding Providers
+ *
+ * This module abstracts where embeddings are computed, so that the document
+ * processor can run the model itself or reuse an embedding server. It provides:
+ * - An in-process provider running Xenova Transformers, optionally on worker threads
+ * - HTTP providers for OpenAI-compatible `/v1/embeddings` APIs, Hugging Face
+ *   text-embeddings-inference (TEI) and Ollama
+ * - A factory selecting a provider by name
+ *
+ * Every provider exposes the same interface: `initialize()`, `embed(texts)`
+ * returning one vector per text in order, and `close()`. Each one splits texts
+ * into batches of its own size, and HTTP providers time out and retry failed
+ * requests with exponential backoff.
+ *
+ * @module EmbeddingProviders
+ */
+
+import { pipeline } from '@xenova/transformers';
+import { EmbeddingPool } from './embedding-pool.js';
+import { delay } from '../utils.js';
+
+/**
+ * Options of an embedding provider
+ * @typedef {Object} EmbeddingProviderOptions
+ * @property {string} [url] - Base URL of the embedding server, for HTTP providers
+ * @property {string} [apiKey] - API key sent as a bearer token, for HTTP providers
+ * @property {number} [batchSize] - Number of texts per model call or request
+ * @property {number} [timeout] - Timeout of a request in ms, for HTTP providers
+ * @property {number} [retries] - Number of retries of a failed request, for HTTP providers
+ * @property {number} [workers=0] - Number of worker threads, for the in-process provider
+ * @property {{pooling: string, normalize: boolean}} [embeddingOptions] - Options of the feature
+ * extraction pipeline, for the in-process provider
+ */
+
+/**
+ * Initial delay before retrying a failed request, doubled at each attempt
+ */
+const RETRY_DELAY = 1000;
+
+/**
+ * Splits texts into batches
+ * @private
+ */
+function toBatches(texts, batchSize) {
+  const batches = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    batches.push(texts.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * Runs the embedding model in the current process with Xenova Transformers
+ *
+ * Inference is local, so batches are neither timed out nor retried.
+ */
+export class TransformersEmbeddingProvider {
+  /**
+   * Creates a new in-process provider
+   *
+   * @param {string} embeddingModel - Identifier of the model on the Hugging Face Hub
+   * @param {EmbeddingProviderOptions} [options]
+   * @example
+   * const provider = new TransformersEmbeddingProvider('Xenova/multilingual-e5-large', {
+   *   workers: 4,
+   * });
+   */
+  constructor(embeddingModel, { batchSize = 16, workers = 0, embeddingOptions } = {}) {
+    this.name = 'transformers';
+    this.embeddingModel = embeddingModel;
+    this.batchSize = batchSize;
+    this.embeddingOptions = embeddingOptions ?? { pooling: 'mean', normalize: true };
+    this.embedder = null;
+    this.pool =
+      workers > 0
+        ? new EmbeddingPool(embeddingModel, {
+            size: workers,
+            embeddingOptions: this.embeddingOptions,
+          })
+        : null;
+  }
+
+  /**
+   * Loads the model, in each worker thread if there are some
+   *
+   * @async
+   * @throws {Error} If model loading fails
+   */
+  async initialize() {
+    if (this.pool) {
+      await this.pool.initialize();
+      console.log(`✅ Embedding model loaded in ${this.pool.size} worker threads`);
+    } else {
+      this.embedder = await pipeline('feature-extraction', this.embeddingModel);
+      console.log('✅ Embedding model loaded successfully');
+    }
+  }
+
+  /**
+   * Embeds texts in batches, spread across the worker threads when there are some
+   *
+   * @async
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<Float32Array[]>} One vector per text, in the same order
+   */
+  async embed(texts) {
+    const batches = toBatches(texts, this.batchSize);
+    if (this.pool) {
+      return (await Promise.all(batches.map((batch) => this.pool.embed(batch)))).flat();
+    }
+
+    const vectors = [];
+    for (const batch of batches) {
+      const output = await this.embedder(batch, this.embeddingOptions);
+      const dimension = output.dims[output.dims.length - 1];
+      batch.forEach((_, i) => {
+        vectors.push(output.data.slice(i * dimension, (i + 1) * dimension));
+      });
+    }
+    return vectors;
+  }
+
+  /**
+   * Stops the worker threads, if any
+   *
+   * @async
+   */
+  async close() {
+    await this.pool?.close();
+  }
+}
+
+/**
+ * Base class of the providers calling an embedding server over HTTP
+ *
+ * Subclasses give the path of the endpoint, the body of a request and how to read the
+ * vectors from its response. Requests failing with a network error, a timeout, a 429 or
+ * a 5xx status are retried.
+ */
+export class HttpEmbeddingProvider {
+  /**
+   * Creates a new HTTP provider
+   *
+   * @param {string} embeddingModel - Identifier of the model on the server
+   * @param {EmbeddingProviderOptions} options
+   */
+  constructor(embeddingModel, { url, apiKey, batchSize, timeout = 30000, retries = 3 }) {
+    this.embeddingModel = embeddingModel;
+    this.url = url.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.batchSize = batchSize;
+    this.timeout = timeout;
+    this.retries = retries;
+  }
+
+  /**
+   * Nothing to load, the server is only reached by the first request
+   *
+   * @async
+   */
+  async initialize() {
+    console.log(`✅ Embedding model served by ${this.url}`);
+  }
+
+  /**
+   * Embeds texts in batches, one request per batch
+   *
+   * @async
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<Float32Array[]>} One vector per text, in the same order
+   * @throws {Error} If a request still fails after its retries
+   */
+  async embed(texts) {
+    const vectors = [];
+    for (const batch of toBatches(texts, this.batchSize)) {
+      const embeddings = this.parseResponse(await this.post(this.buildRequest(batch)));
+      if (embeddings.length !== batch.length) {
+        throw new Error(
+          `Embedding server returned ${embeddings.length} vectors for ${batch.length} texts`
+        );
+      }
+      vectors.push(...embeddings.map((embedding) => Float32Array.from(embedding)));
+    }
+    return vectors;
+  }
+
+  /**
+   * Nothing to release
+   *
+   * @async
+   */
+  async close() {}
+
+  /**
+   * Sends a request to the endpoint, retrying transient failures
+   * @private
+   */
+  async post(body) {
+    const endpoint = `${this.url}${this.getEndpoint()}`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(this.timeout),
+        });
+        if (response.ok) return await response.json();
+
+        const error = new Error(
+          `${response.status} ${response.statusText} ${(await response.text()).slice(0, 200)}`
+        );
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+      } catch (error) {
+        // Network errors and timeouts have no status, they are worth another try
+        if (error.retryable === false || attempt >= this.retries) {
+          throw new Error(`Embedding request to ${endpoint} failed: ${error.message}`);
+        }
+
+        const wait = RETRY_DELAY * 2 ** attempt;
+        console.warn(`⚠️ Embedding request failed (${error.message}), retrying in ${wait} ms`);
+        await delay(wait);
+      }
+    }
+  }
+}
+
+/**
+ * Calls an OpenAI-compatible `/v1/embeddings` endpoint: OpenAI, vLLM, LocalAI, LiteLLM...
+ */
+export class OpenAIEmbeddingProvider extends HttpEmbeddingProvider {
+  /**
+   * @param {string} embeddingModel - Identifier of the model on the server
+   * @param {EmbeddingProviderOptions} [options]
+   * @example
+   * const provider = new OpenAIEmbeddingProvider('text-embedding-3-small', {
+   *   apiKey: process.env.EMBEDDING_API_KEY,
+   * });
+   */
+  constructor(embeddingModel, { url = 'https://api.openai.com', batchSize = 64, ...options } = {}) {
+    // Base URLs are often given with their version, e.g. http://localhost:8000/v1
+    super(embeddingModel, { url: url.replace(/\/v1\/*$/, ''), batchSize, ...options });
+    this.name = 'openai';
+  }
+
+  /** @private */
+  getEndpoint() {
+    return '/v1/embeddings';
+  }
+
+  /** @private */
+  buildRequest(texts) {
+    return { model: this.embeddingModel, input: texts };
+  }
+
+  /** @private */
+  parseResponse({ data }) {
+    return [...data].sort((a, b) => a.index - b.index).map(({ embedding }) => embedding);
+  }
+}
+
+/**
+ * Calls the `/embed` endpoint of Hugging Face text-embeddings-inference, which serves
+ * a single model
+ */
+export class TeiEmbeddingProvider extends HttpEmbeddingProvider {
+  /**
+   * @param {string} embeddingModel - Identifier of the model served
+   * @param {EmbeddingProviderOptions} [options]
+   * @example
+   * const provider = new TeiEmbeddingProvider('intfloat/multilingual-e5-large', {
+   *   url: 'http://localhost:8080',
+   * });
+   */
+  constructor(embeddingModel, { url = 'http://localhost:8080', batchSize = 32, ...options } = {}) {
+    super(embeddingModel, { url, batchSize, ...options });
+    this.name = 'tei';
+  }
+
+  /** @private */
+  getEndpoint() {
+    return '/embed';
+  }
+
+  /** @private */
+  buildRequest(texts) {
+    return { inputs: texts, normalize: true, truncate: true };
+  }
+
+  /** @private */
+  parseResponse(embeddings) {
+    return embeddings;
+  }
+}
+
+/**
+ * Calls the `/api/embed` endpoint of Ollama
+ */
+export class OllamaEmbeddingProvider extends HttpEmbeddingProvider {
+  /**
+   * @param {string} embeddingModel - Name of the model pulled in Ollama
+   * @param {EmbeddingProviderOptions} [options]
+   * @example
+   * const provider = new OllamaEmbeddingProvider('nomic-embed-text');
+   */
+  constructor(
+    embeddingModel,
+    { url = 'http://localhost:11434', batchSize = 16, timeout = 60000, ...options } = {}
+  ) {
+    // Ollama loads the model on the first request, which takes longer
+    super(embeddingModel, { url, batchSize, timeout, ...options });
+    this.name = 'ollama';
+  }
+
+  /** @private */
+  getEndpoint() {
+    return '/api/embed';
+  }
+
+  /** @private */
+  buildRequest(texts) {
+    return { model: this.embeddingModel, input: texts, truncate: true };
+  }
+
+  /** @private */
+  parseResponse({ embeddings }) {
+    return embeddings;
+  }
+}
+
+/**
+ * Embedding providers, by name
+ */
+const EMBEDDING_PROVIDERS = {
+  transformers: TransformersEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  tei: TeiEmbeddingProvider,
+  ollama: OllamaEmbeddingProvider,
+};
+
+/**
+ * Creates an embedding provider by name
+ *
+ * Options left undefined fall back to the defaults of the provider.
+ *
+ * @param {string} name - `transformers`, `openai`, `tei` or `ollama`
+ * @param {string} embeddingModel - Identifier of the model
+ * @param {EmbeddingProviderOptions} [options]
+ * @returns {TransformersEmbeddingProvider|HttpEmbeddingProvider} Provider, not initialized
+ * @throws {Error} If the provider is unknown
+ * @example
+ * const provider = createEmbeddingProvider('ollama', 'nomic-embed-text', {
+ *   url: 'http://localhost:11434',
+ * });
+ */
+export function createEmbeddingProvider(name, embeddingModel, options = {}) {
+  const Provider = EMBEDDING_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unknown embedding provider ${name}, expected one of ` +
+        Object.keys(EMBEDDING_PROVIDERS).join(', ')
+    );
+  }
+
+  const definedOptions = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+  );
+  return new Provider(embeddingModel, definedOptions);
+}
@@ -0,0 +1,36 @@
+/**
+ * Embedding Worker
+ *
+ * Worker thread script of the embedding pool. It loads the embedding model
+ * given in its worker data, reports when it is ready, then embeds each batch
+ * of texts it receives and sends back one vector per text.
+ *
+ * @module EmbeddingWorker
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { pipeline } from '@xenova/transformers';
+
+let embedder;
+try {
+  embedder = await pipeline('feature-extraction', workerData.embeddingModel);
+  parentPort.postMessage({ ready: true });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
+
+parentPort.on('message', async ({ texts }) => {
+  try {
+    const output = await embedder(texts, workerData.embeddingOptions);
+    const dimension = output.dims[output.dims.length - 1];
+    const vectors = texts.map((_, i) => output.data.slice(i * dimension, (i + 1) * dimension));
+
+    // Hand the vectors over without copying them
+    parentPort.postMessage(
+      { vectors },
+      vectors.map(({ buffer }) => buffer)
+    );
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
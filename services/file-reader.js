@@ -0,0 +1,225 @@
+/**
+ * Safe File Reader
+ *
+ * This module reads repository files as text before they get indexed. It protects
+ * the index against files that would only produce noise:
+ * - Files larger than a configurable size cap
+ * - Binary files, detected by sniffing their first bytes
+ * - Minified or generated files, detected by their name, markers and line lengths
+ *
+ * Text that is not valid UTF-8 is decoded with the detected charset (Latin-1,
+ * UTF-16, Shift_JIS...) and transcoded to UTF-8.
+ *
+ * @module FileReader
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chardet from 'chardet';
+import iconv from 'iconv-lite';
+
+/**
+ * Default maximum size of an indexed file
+ */
+export const DEFAULT_MAX_FILE_SIZE = 1024 * 1024; // 1MB
+
+/**
+ * Number of leading bytes inspected to tell binary files from text
+ */
+const SNIFF_LENGTH = 8000;
+
+/**
+ * Byte order marks and the encoding they announce
+ */
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' },
+];
+
+/**
+ * File names of build outputs and lock files
+ */
+const GENERATED_FILE_PATTERNS = [
+  /\.min\.(js|css)$/i,
+  /[.-]bundle\.js$/i,
+  /\.(js|css)\.map$/i,
+  /(^|[/\\])(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock)$/,
+  /\.pb\.go$/,
+  /_pb2\.py$/,
+];
+
+/**
+ * Markers that code generators put at the top of their output
+ */
+const GENERATED_MARKERS = [
+  /@generated\b/,
+  /\bDO NOT EDIT\b/i,
+  /\bauto-?generated\b/i,
+  /\bCode generated by\b/,
+];
+
+/**
+ * Line length limits beyond which a file is considered minified
+ */
+const MINIFIED_MAX_LINE_LENGTH = 5000;
+const MINIFIED_AVERAGE_LINE_LENGTH = 300;
+
+/**
+ * Files whose long lines are expected, as their content gets extracted before indexing:
+ * notebooks embedding base64 images in their outputs, which get stripped, and compact
+ * JSON, YAML or TOML data such as generated OpenAPI specs, which get flattened to key paths
+ */
+const LONG_LINES_ALLOWED_PATTERNS = [/\.ipynb$/i, /\.json$/i, /\.ya?ml$/i, /\.toml$/i];
+
+/**
+ * Result of reading a file
+ * @typedef {Object} FileReadResult
+ * @property {string|null} content - UTF-8 text, or null if the file was skipped
+ * @property {string} [encoding] - Charset the file was decoded from
+ * @property {string} [reason] - Why the file was skipped
+ */
+
+export class FileReader {
+  /**
+   * Creates a new FileReader instance
+   *
+   * @param {Object} [options]
+   * @param {number} [options.maxFileSize] - Files larger than this many bytes are skipped
+   * @example
+   * const reader = new FileReader({ maxFileSize: 512 * 1024 });
+   * const { content, reason } = await reader.read('src/app.js', fs.statSync('src/app.js'));
+   */
+  constructor({ maxFileSize = DEFAULT_MAX_FILE_SIZE } = {}) {
+    this.maxFileSize = maxFileSize;
+  }
+
+  /**
+   * Reads a file as UTF-8 text, unless it should not be indexed
+   *
+   * @param {string} filePath - Path to the file
+   * @param {fs.Stats} stats - File stats
+   * @param {Object} [options]
+   * @param {number} [options.maxFileSize] - Overrides the size cap for this file
+   * @returns {Promise<FileReadResult>} Decoded content, or the reason the file was skipped
+   */
+  async read(filePath, stats, { maxFileSize = this.maxFileSize } = {}) {
+    if (stats.size > maxFileSize) {
+      return this.skip(`too large: ${stats.size} bytes (max ${maxFileSize})`);
+    }
+
+    if (GENERATED_FILE_PATTERNS.some((pattern) => pattern.test(filePath))) {
+      return this.skip(`generated file name: ${path.basename(filePath)}`);
+    }
+
+    const buffer = await fs.promises.readFile(filePath);
+    const bom = this.detectBom(buffer);
+    if (!bom && this.isBinary(buffer)) {
+      return this.skip('binary content');
+    }
+
+    const { content, encoding } = this.decode(buffer, bom);
+
+    const generatedReason = this.detectGenerated(content, filePath);
+    if (generatedReason) {
+      return this.skip(generatedReason);
+    }
+
+    return { content, encoding };
+  }
+
+  /**
+   * Decodes a buffer to a string, detecting its charset when it is not UTF-8
+   * @private
+   * @param {Buffer} buffer - Raw file content
+   * @param {{bytes: number[], encoding: string}|undefined} bom - Byte order mark found
+   * @returns {{content: string, encoding: string}} Decoded text and source charset
+   */
+  decode(buffer, bom) {
+    if (bom) {
+      return {
+        content: iconv.decode(buffer.subarray(bom.bytes.length), bom.encoding),
+        encoding: bom.encoding,
+      };
+    }
+
+    try {
+      return {
+        content: new TextDecoder('utf-8', { fatal: true }).decode(buffer),
+        encoding: 'utf-8',
+      };
+    } catch {
+      // Not valid UTF-8, fall back to charset detection
+    }
+
+    const detected = chardet.detect(buffer);
+    const encoding = detected && iconv.encodingExists(detected) ? detected : 'latin1';
+    return { content: iconv.decode(buffer, encoding), encoding: encoding.toLowerCase() };
+  }
+
+  /**
+   * Finds the byte order mark at the start of a buffer
+   * @private
+   */
+  detectBom(buffer) {
+    return BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  }
+
+  /**
+   * Tells binary content from text by looking for NUL bytes and control characters
+   * @private
+   * @param {Buffer} buffer - Raw file content
+   * @returns {boolean} True if the content looks binary
+   */
+  isBinary(buffer) {
+    const sample = buffer.subarray(0, SNIFF_LENGTH);
+    let controlChars = 0;
+
+    for (const byte of sample) {
+      if (byte === 0) return true;
+      // Control characters other than tab, line feed, form feed and carriage return
+      if (byte < 32 && ![9, 10, 12, 13].includes(byte)) controlChars++;
+    }
+
+    return sample.length > 0 && controlChars / sample.length > 0.1;
+  }
+
+  /**
+   * Detects minified code and files written by code generators
+   * @private
+   * @param {string} content - Decoded file content
+   * @param {string} filePath - Path to the file
+   * @returns {string|null} Reason to skip the file, or null if it looks hand-written
+   */
+  detectGenerated(content, filePath) {
+    const lines = content.split('\n');
+
+    // Generators announce themselves in a comment at the very top of the file
+    const header = lines.slice(0, 5).join('\n');
+    const marker = GENERATED_MARKERS.find((pattern) => pattern.test(header));
+    if (marker) {
+      return `generated file: ${header.match(marker)[0]} marker`;
+    }
+
+    if (LONG_LINES_ALLOWED_PATTERNS.some((pattern) => pattern.test(filePath))) return null;
+
+    const maxLineLength = lines.reduce((max, line) => Math.max(max, line.length), 0);
+    const averageLineLength = content.length / lines.length;
+    if (
+      maxLineLength > MINIFIED_MAX_LINE_LENGTH ||
+      averageLineLength > MINIFIED_AVERAGE_LINE_LENGTH
+    ) {
+      return `minified content: lines up to ${maxLineLength} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds the result of a skipped file
+   * @private
+   */
+  skip(reason) {
+    return { content: null, reason };
+  }
+}
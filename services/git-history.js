@@ -0,0 +1,209 @@
+/**
+ * Git History Reader
+ *
+ * This module turns the history of a git repository into text, so that questions
+ * such as "why was this changed" or "when was X introduced" can be answered
+ * from the index. For each commit it reads:
+ * - The message, author and date
+ * - The list of touched files, with their change status
+ * - A short diff, truncated to a line budget
+ *
+ * Merge commits are left out, since their changes are already described by
+ * the commits they merge.
+ *
+ * @module GitHistory
+ */
+
+import { execFile, GIT_MAX_BUFFER } from '../utils.js';
+
+/**
+ * Default limits of the history read from a repository
+ */
+export const DEFAULT_MAX_COMMITS = 500;
+export const DEFAULT_MAX_DIFF_LINES = 200;
+
+/**
+ * Separators of the fields and records printed by `git log`
+ */
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+/**
+ * A commit listed from the history
+ * @typedef {Object} CommitInfo
+ * @property {string} sha - Commit SHA
+ * @property {string} author - Author name
+ * @property {string} date - Author date, in ISO 8601 format
+ * @property {string} message - Full commit message
+ */
+
+/**
+ * A file touched by a commit
+ * @typedef {Object} TouchedFile
+ * @property {string} status - Change status: `A`, `M`, `D`, `R`, `C` or `T`
+ * @property {string} path - Path of the file after the commit
+ * @property {string} [previousPath] - Path of the file before a rename or copy
+ * @property {string[]} hunks - Diff hunk lines, without the file headers
+ */
+
+export class GitHistoryReader {
+  /**
+   * Creates a new GitHistoryReader instance
+   *
+   * @param {Object} [options]
+   * @param {number} [options.maxCommits=500] - Maximum number of commits read per run
+   * @param {number} [options.maxDiffLines=200] - Maximum number of diff lines kept per commit
+   * @example
+   * const history = new GitHistoryReader({ maxCommits: 100 });
+   * const commits = await history.listCommits('./github_repos/my-repo', { since: 'a1b2c3d' });
+   */
+  constructor({ maxCommits = DEFAULT_MAX_COMMITS, maxDiffLines = DEFAULT_MAX_DIFF_LINES } = {}) {
+    this.maxCommits = maxCommits;
+    this.maxDiffLines = maxDiffLines;
+  }
+
+  /**
+   * Lists the commits of a repository, most recent first
+   *
+   * @param {string} repoPath - Local repository path
+   * @param {Object} [options]
+   * @param {string|null} [options.since] - Only list commits made after this one
+   * @param {string} [options.until='HEAD'] - Last commit to list
+   * @param {string[]} [options.paths] - Only list commits touching these directories
+   * @param {number} [options.maxCommits] - Overrides the maximum number of commits
+   * @returns {Promise<CommitInfo[]>} Listed commits
+   */
+  async listCommits(
+    repoPath,
+    { since = null, until = 'HEAD', paths = [], maxCommits = this.maxCommits } = {}
+  ) {
+    const format = ['%H', '%an', '%aI', '%B'].join('%x1f') + '%x1e';
+    const range = since ? `${since}..${until}` : until;
+
+    const { stdout } = await execFile(
+      'git',
+      [
+        'log',
+        '--no-merges',
+        `--max-count=${maxCommits}`,
+        `--format=${format}`,
+        range,
+        '--',
+        ...paths,
+      ],
+      { cwd: repoPath, maxBuffer: GIT_MAX_BUFFER }
+    );
+
+    return stdout
+      .split(RECORD_SEPARATOR)
+      .map((record) => record.trim())
+      .filter(Boolean)
+      .map((record) => {
+        const [sha, author, date, message] = record.split(FIELD_SEPARATOR);
+        return { sha, author, date, message: message.trim() };
+      });
+  }
+
+  /**
+   * Reads the files touched by a commit and their diff
+   *
+   * @param {string} repoPath - Local repository path
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<TouchedFile[]>} Touched files, in the order git reports them
+   */
+  async readChanges(repoPath, sha) {
+    const { stdout } = await execFile(
+      'git',
+      [
+        '-c',
+        'core.quotePath=false',
+        'show',
+        '--format=',
+        '--patch-with-raw',
+        '-M',
+        '--unified=2',
+        '--no-color',
+        '--no-ext-diff',
+        sha,
+      ],
+      { cwd: repoPath, maxBuffer: GIT_MAX_BUFFER }
+    );
+
+    const lines = stdout.split('\n');
+    const files = lines
+      .filter((line) => line.startsWith(':'))
+      .map((line) => {
+        const [summary, ...paths] = line.split('\t');
+        const status = summary.split(' ').pop()[0];
+        return ['R', 'C'].includes(status)
+          ? { status, previousPath: paths[0], path: paths[1], hunks: [] }
+          : { status, path: paths[0], hunks: [] };
+      });
+
+    // Each touched file gets one `diff --git` section, in the same order as the raw listing
+    let fileIndex = -1;
+    let inHunks = false;
+    for (const line of lines) {
+      if (line.startsWith('diff --git ')) {
+        fileIndex++;
+        inHunks = false;
+      } else if (line.startsWith('@@')) {
+        inHunks = true;
+      }
+
+      if (inHunks && files[fileIndex]) files[fileIndex].hunks.push(line);
+    }
+
+    return files;
+  }
+
+  /**
+   * Formats a commit as the text of a document
+   *
+   * Diff lines are kept up to the line budget, for the files accepted by `includeDiff`
+   * only, so that changes to lock files or vendored code do not crowd out the rest.
+   *
+   * @param {CommitInfo} commit - Commit to format
+   * @param {TouchedFile[]} files - Files touched by the commit
+   * @param {Object} [options]
+   * @param {(path: string) => boolean} [options.includeDiff] - Whether to show a file's diff
+   * @param {number} [options.maxDiffLines] - Overrides the maximum number of diff lines
+   * @returns {string} Commit message, touched files and truncated diff
+   *
+   * @example
+   * const files = await history.readChanges(repoPath, commit.sha);
+   * const text = history.formatCommit(commit, files, { includeDiff: (p) => p.endsWith('.js') });
+   */
+  formatCommit(commit, files, { includeDiff = () => true, maxDiffLines = this.maxDiffLines } = {}) {
+    const sections = [
+      `Commit ${commit.sha} by ${commit.author} on ${commit.date}`,
+      commit.message,
+      'Files changed:\n' +
+        files
+          .map(({ status, path, previousPath }) =>
+            previousPath ? `${status} ${previousPath} -> ${path}` : `${status} ${path}`
+          )
+          .join('\n'),
+    ];
+
+    let budget = maxDiffLines;
+    const diffs = [];
+    for (const file of files.filter(({ path, hunks }) => hunks.length && includeDiff(path))) {
+      if (budget <= 0) {
+        diffs.push('(diffs of the remaining files omitted)');
+        break;
+      }
+
+      const kept = file.hunks.slice(0, budget);
+      const omitted = file.hunks.length - kept.length;
+      budget -= kept.length;
+      diffs.push(
+        [`${file.path}:`, ...kept, ...(omitted ? [`... (${omitted} more lines)`] : [])].join('\n')
+      );
+    }
+
+    if (diffs.length) sections.push(`Diff:\n${diffs.join('\n\n')}`);
+
+    return sections.join('\n\n');
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Indexing Report
+ *
+ * This module collects what happened to the files of each repository during
+ * an indexing run, so that users can tell why a path is missing from the index:
+ * - Skipped paths, with the rule that excluded them
+ * - Secrets found in files, commits and issues, with the line holding them
+ *
+ * The report is summarized on the console and saved as JSON.
+ *
+ * @module IndexReport
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * A path left out of the index
+ * @typedef {Object} SkippedPath
+ * @property {string} path - Path relative to the repository root, directories ending with `/`
+ * @property {string} reason - Rule or check that excluded the path
+ */
+
+/**
+ * A secret found while indexing, without the secret itself
+ * @typedef {Object} SecretLocation
+ * @property {string} path - File path relative to the repository root, `commit <short SHA>` or
+ * `#<issue number>`
+ * @property {number} line - Line number where the secret starts, from 1
+ * @property {string} rule - Kind of secret, e.g. `AWS access key`
+ * @property {string} preview - First characters of the secret, the rest masked
+ */
+
+export class IndexReport {
+  constructor() {
+    this.skipped = [];
+    this.findings = [];
+  }
+
+  /**
+   * Records the paths skipped in a repository
+   *
+   * @param {string} source - Repository label, e.g. `my-repo@v2.0.0`
+   * @param {SkippedPath[]} skippedPaths - Paths left out of the index
+   */
+  addSkipped(source, skippedPaths) {
+    this.skipped.push(...skippedPaths.map((entry) => ({ source, ...entry })));
+  }
+
+  /**
+   * Records the secrets found in a repository
+   *
+   * @param {string} source - Repository label, e.g. `my-repo@v2.0.0`
+   * @param {SecretLocation[]} findings - Secrets found
+   */
+  addFindings(source, findings) {
+    this.findings.push(...findings.map((finding) => ({ source, ...finding })));
+  }
+
+  /**
+   * Logs how many paths each rule excluded, per repository, and where secrets were found
+   */
+  printSummary() {
+    const counts = new Map();
+    for (const { source, reason } of this.skipped) {
+      const key = `${source}\t${reason}`;
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+
+    if (counts.size > 0) {
+      console.log('\n🚫 Skipped paths:');
+      for (const [key, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+        const [source, reason] = key.split('\t');
+        console.log(`  ${source}: ${count} × ${reason}`);
+      }
+    }
+
+    if (this.findings.length > 0) {
+      console.log(`\n🔐 Secrets found (${this.findings.length}):`);
+      for (const { source, path: location, line, rule, preview } of this.findings) {
+        console.log(`  ${source}/${location}:${line}: ${rule} (${preview})`);
+      }
+    }
+  }
+
+  /**
+   * Writes the full report as JSON
+   *
+   * @async
+   * @param {string} filePath - Destination file
+   * @returns {Promise<void>}
+   */
+  async save(filePath) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify(
+        { generatedAt: new Date().toISOString(), skipped: this.skipped, findings: this.findings },
+        null,
+        2
+      )
+    );
+    console.log(`📝 Indexing report saved to ${filePath}`);
+  }
+}
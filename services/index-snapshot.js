@@ -0,0 +1,305 @@
+/**
+ * Index Snapshots
+ *
+ * This module ships an index built once, e.g. in CI, to other environments
+ * instead of re-indexing there. A snapshot is a single gzipped JSON Lines file
+ * holding:
+ * - A header: format version, embedding model profile, vector size, and the commit
+ *   indexed for each repository and ref
+ * - The points of the collection, with their dense and BM25 vectors and payload
+ * - A trailer counting the points, so that truncated files are noticed
+ *
+ * Snapshots are imported into any vector store, as a new generation of the index
+ * served once it passes its checks. A snapshot built with another embedding model
+ * than the running one is refused, as its vectors could not be compared with the
+ * questions'.
+ *
+ * @module IndexSnapshot
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { decodeVector, encodeVector } from '../utils.js';
+
+/**
+ * Identifier of the snapshot format, and version written
+ *
+ * The version is increased when the format changes in a way older versions of the
+ * assistant cannot read.
+ */
+const SNAPSHOT_FORMAT = 'github-rag-index';
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Number of points per line of a snapshot
+ */
+const POINTS_PER_LINE = 256;
+
+/**
+ * Settings of the embedding model that must match between a snapshot and the running
+ * model
+ */
+const PROFILE_FIELDS = ['embeddingModel', 'queryPrefix', 'documentPrefix', 'normalize'];
+
+/**
+ * Header of a snapshot
+ * @typedef {Object} SnapshotHeader
+ * @property {string} format - Always `github-rag-index`
+ * @property {number} version - Version of the format
+ * @property {string} createdAt - Export date, in ISO 8601 format
+ * @property {string} collection - Collection the snapshot was exported from
+ * @property {number} vectorSize - Size of the dense vectors
+ * @property {import('./embedding-models.js').EmbeddingModelProfile} embedding - Profile of the
+ * embedding model the points were embedded with
+ * @property {{repos: Object, issues: Object}} sources - Indexed commit of each repository and
+ * ref, and fingerprint of the issue exports, as kept in the index state
+ */
+
+export class IndexSnapshot {
+  /**
+   * Creates a new IndexSnapshot instance
+   *
+   * @param {import('./vector-store.js').VectorStore} vectorStore - Vector store to export from
+   * or import into
+   * @example
+   * const snapshot = new IndexSnapshot(vectorStore);
+   * await snapshot.export('github_code', './index.snapshot.jsonl.gz', {
+   *   embeddingProfile: getEmbeddingProfile('Xenova/multilingual-e5-large'),
+   *   sources: indexState.getSources(),
+   * });
+   */
+  constructor(vectorStore) {
+    this.vectorStore = vectorStore;
+  }
+
+  /**
+   * Writes every point of a collection to a snapshot file
+   *
+   * The file is written next to its destination and renamed once complete.
+   *
+   * @async
+   * @param {string} collectionName - Collection, or alias, to export
+   * @param {string} filePath - Path of the snapshot file
+   * @param {Object} options
+   * @param {import('./embedding-models.js').EmbeddingModelProfile} options.embeddingProfile -
+   * Profile of the model the collection was built with
+   * @param {{repos: Object, issues: Object}} options.sources - Indexed commits and issue export
+   * fingerprints of the collection
+   * @returns {Promise<SnapshotHeader & {points: number}>} Header written and number of points
+   * @throws {Error} If the collection has no BM25 vectors, or holds points of another model
+   */
+  async export(collectionName, filePath, { embeddingProfile, sources }) {
+    if (!(await this.vectorStore.hasLexicalIndex(collectionName))) {
+      throw new Error(`Collection ${collectionName} has no BM25 vectors, rebuild it to export it`);
+    }
+
+    const header = {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      collection: collectionName,
+      vectorSize: await this.vectorStore.getVectorSize(collectionName),
+      embedding: embeddingProfile,
+      sources,
+    };
+
+    let points = 0;
+    const vectorStore = this.vectorStore;
+    async function* generateLines() {
+      yield `${JSON.stringify({ type: 'header', ...header })}\n`;
+      for await (const batch of vectorStore.scrollPoints(collectionName, {
+        batchSize: POINTS_PER_LINE,
+      })) {
+        const mismatch = batch.find(
+          ({ payload }) =>
+            payload.embeddingModel && payload.embeddingModel !== embeddingProfile.embeddingModel
+        );
+        if (mismatch) {
+          throw new Error(
+            `Collection ${collectionName} holds points embedded with ` +
+              `${mismatch.payload.embeddingModel}, not ${embeddingProfile.embeddingModel}`
+          );
+        }
+
+        points += batch.length;
+        const entries = batch.map(({ id, vector, sparseVector, payload }) => ({
+          id,
+          vector: encodeVector(vector),
+          sparseVector,
+          payload,
+        }));
+        yield `${JSON.stringify({ type: 'points', points: entries })}\n`;
+      }
+      yield `${JSON.stringify({ type: 'end', points })}\n`;
+    }
+
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(
+        Readable.from(generateLines()),
+        zlib.createGzip(),
+        fs.createWriteStream(temporaryPath)
+      );
+      await fs.promises.rename(temporaryPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(temporaryPath, { force: true });
+      throw error;
+    }
+
+    return { ...header, points };
+  }
+
+  /**
+   * Reads the header of a snapshot file
+   *
+   * @async
+   * @param {string} filePath - Path of the snapshot file
+   * @returns {Promise<SnapshotHeader>} Header of the snapshot
+   * @throws {Error} If the file is not a snapshot, or of a newer version
+   */
+  async readHeader(filePath) {
+    for await (const entry of this.readEntries(filePath)) {
+      return this.checkHeader(entry);
+    }
+    throw new Error(`${filePath} is empty`);
+  }
+
+  /**
+   * Imports a snapshot as a new generation of the index, served once checked
+   *
+   * @async
+   * @param {string} filePath - Path of the snapshot file
+   * @param {Object} options
+   * @param {import('./embedding-models.js').EmbeddingModelProfile} options.embeddingProfile -
+   * Profile of the running embedding model
+   * @param {import('./collection-generations.js').CollectionGenerations} options.generations -
+   * Generations of the served index
+   * @param {{batchSize?: number, concurrency?: number}} [options.upsertOptions] - Options of
+   * the upserts
+   * @returns {Promise<{header: SnapshotHeader, collectionName: string, points: number}>}
+   * Header of the snapshot, and generation it was imported into
+   * @throws {Error} If the snapshot does not match the running embedding model, or is
+   * truncated
+   */
+  async import(filePath, { embeddingProfile, generations, upsertOptions }) {
+    const header = await this.readHeader(filePath);
+    this.checkEmbeddingProfile(header, embeddingProfile);
+
+    const collectionName = await generations.create(header.vectorSize);
+    let points = 0;
+    try {
+      let trailer = null;
+      for await (const entry of this.readEntries(filePath)) {
+        if (entry.type === 'points') {
+          const batch = entry.points.map(({ vector, ...point }) => ({
+            ...point,
+            vector: decodeVector(vector),
+          }));
+          await this.vectorStore.upsertDocuments(collectionName, batch, upsertOptions);
+          points += batch.length;
+        } else if (entry.type === 'end') {
+          trailer = entry;
+        }
+      }
+
+      if (!trailer) {
+        throw new Error(`Snapshot ${filePath} is truncated`);
+      }
+      if (trailer.points !== points) {
+        throw new Error(`Snapshot ${filePath} holds ${points} points, ${trailer.points} expected`);
+      }
+
+      await generations.validate(collectionName);
+    } catch (error) {
+      await this.vectorStore.deleteCollection(collectionName);
+      throw error;
+    }
+
+    // Once served, the generation is kept even if older ones cannot be pruned
+    await generations.promote(collectionName);
+    await generations.prune();
+    return { header, collectionName, points };
+  }
+
+  /**
+   * Refuses a snapshot whose embedding model differs from the running one
+   * @private
+   * @param {SnapshotHeader} header - Header of the snapshot
+   * @param {import('./embedding-models.js').EmbeddingModelProfile} embeddingProfile - Profile
+   * of the running embedding model
+   * @throws {Error} If the models, their settings or vector sizes differ
+   */
+  checkEmbeddingProfile(header, embeddingProfile) {
+    const differences = PROFILE_FIELDS.filter(
+      (field) => header.embedding[field] !== embeddingProfile[field]
+    ).map(
+      (field) =>
+        `${field} ${JSON.stringify(header.embedding[field])} instead of ` +
+        JSON.stringify(embeddingProfile[field])
+    );
+    if (embeddingProfile.dimension !== null && embeddingProfile.dimension !== header.vectorSize) {
+      differences.push(
+        `${header.vectorSize}-dimension vectors instead of ${embeddingProfile.dimension}`
+      );
+    }
+
+    if (differences.length) {
+      throw new Error(
+        `Snapshot was built with another embedding model: ${differences.join(', ')}. ` +
+          `Set EMBEDDING_MODEL=${header.embedding.embeddingModel} to import it.`
+      );
+    }
+  }
+
+  /**
+   * Checks the header of a snapshot
+   * @private
+   */
+  checkHeader(entry) {
+    if (entry.type !== 'header' || entry.format !== SNAPSHOT_FORMAT) {
+      throw new Error('Not an index snapshot');
+    }
+    if (entry.version > SNAPSHOT_VERSION) {
+      throw new Error(
+        `Snapshot format version ${entry.version} is newer than the supported ` +
+          `${SNAPSHOT_VERSION}, update the assistant to import it`
+      );
+    }
+
+    const { type, ...header } = entry;
+    return header;
+  }
+
+  /**
+   * Reads the entries of a snapshot file, one per line
+   * @private
+   */
+  async *readEntries(filePath) {
+    const file = fs.createReadStream(filePath);
+    const gunzip = zlib.createGunzip();
+    // `pipe` does not forward errors, such as a missing file, to the stream read below
+    file.on('error', (error) => gunzip.destroy(error));
+    const lines = readline.createInterface({
+      input: file.pipe(gunzip),
+      crlfDelay: Infinity,
+    });
+    try {
+      for await (const line of lines) {
+        if (line) yield JSON.parse(line);
+      }
+    } catch (error) {
+      if (['Z_BUF_ERROR', 'Z_DATA_ERROR'].includes(error.code)) {
+        throw new Error(`Snapshot ${filePath} is truncated or corrupted: ${error.message}`);
+      }
+      throw error;
+    } finally {
+      // Reading may stop early, after the header
+      file.destroy();
+    }
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Index State Store
+ *
+ * This module persists what has already been indexed so that subsequent runs
+ * only re-embed what changed. It keeps track of:
+ * - The last indexed commit SHA of each repository and pinned ref, with a fingerprint of
+ *   the settings selecting its files
+ * - The fingerprint of the issue and pull request exports of each repository
+ * - The embedding model the collection was built with
+ * - The collection the state describes, so that a rollback to another one is noticed
+ *
+ * The state is stored as a small JSON file next to the cloned repositories.
+ *
+ * @module IndexState
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Shape of the persisted state file
+ * @typedef {Object} IndexState
+ * @property {string|null} embeddingModel - Model used to build the collection
+ * @property {string|null} collection - Collection the indexed commits are stored in
+ * @property {Object<string, {commit: string, filters: string, indexedAt: string}>} repos - Last
+ * indexed commit per repository, with the fingerprint of its file selection settings, keyed by
+ * `name` for the default branch and `name@ref` for pinned refs
+ * @property {Object<string, {fingerprint: string, indexedAt: string}>} issues - Fingerprint of the
+ * last indexed issue and pull request exports, keyed by repository name
+ */
+
+const EMPTY_STATE = {
+  embeddingModel: null,
+  collection: null,
+  repos: {},
+  issues: {},
+};
+
+export class IndexStateStore {
+  /**
+   * Creates a new IndexStateStore instance
+   *
+   * @param {string} filePath - Path of the JSON state file
+   * @example
+   * const state = new IndexStateStore('./github_repos/.index-state.json');
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = structuredClone(EMPTY_STATE);
+  }
+
+  /**
+   * Loads the state from disk, starting from an empty state if the file is missing
+   *
+   * @async
+   * @returns {Promise<IndexState>} Loaded state
+   */
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf-8');
+      this.state = { ...structuredClone(EMPTY_STATE), ...JSON.parse(raw) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read index state (${error.message}), starting fresh`);
+      }
+      this.state = structuredClone(EMPTY_STATE);
+    }
+    return this.state;
+  }
+
+  /**
+   * Writes the current state to disk
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(this.filePath, JSON.stringify(this.state, null, 2));
+  }
+
+  /**
+   * Forgets every indexed commit, forcing the next run to index everything
+   */
+  reset() {
+    this.state = structuredClone(EMPTY_STATE);
+  }
+
+  /**
+   * @returns {string|null} Embedding model the index was built with
+   */
+  getEmbeddingModel() {
+    return this.state.embeddingModel;
+  }
+
+  /**
+   * @param {string} embeddingModel - Embedding model the index is built with
+   */
+  setEmbeddingModel(embeddingModel) {
+    this.state.embeddingModel = embeddingModel;
+  }
+
+  /**
+   * @returns {string|null} Collection the indexed commits are stored in
+   */
+  getCollection() {
+    return this.state.collection;
+  }
+
+  /**
+   * @param {string} collection - Collection the index is built in
+   */
+  setCollection(collection) {
+    this.state.collection = collection;
+  }
+
+  /**
+   * @param {string} repoName - Repository name
+   * @param {string|null} [ref] - Pinned ref, or null for the default branch
+   * @returns {string|null} Last indexed commit SHA, or null if never indexed
+   */
+  getRepoCommit(repoName, ref = null) {
+    return this.state.repos[this.getRepoKey(repoName, ref)]?.commit ?? null;
+  }
+
+  /**
+   * @param {string} repoName - Repository name
+   * @param {string|null} [ref] - Pinned ref, or null for the default branch
+   * @returns {string|null} Fingerprint of the file selection settings of the last indexed
+   * commit, or null if unknown
+   */
+  getRepoFilters(repoName, ref = null) {
+    return this.state.repos[this.getRepoKey(repoName, ref)]?.filters ?? null;
+  }
+
+  /**
+   * @param {string} repoName - Repository name
+   * @param {string|null} ref - Pinned ref, or null for the default branch
+   * @param {string} commit - Commit SHA that has just been indexed
+   * @param {string} filters - Fingerprint of the file selection settings it was indexed with
+   */
+  setRepoCommit(repoName, ref, commit, filters) {
+    this.state.repos[this.getRepoKey(repoName, ref)] = {
+      commit,
+      filters,
+      indexedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * @param {string} repoName - Repository name
+   * @returns {string|null} Fingerprint of the last indexed exports, or null if never indexed
+   */
+  getIssuesFingerprint(repoName) {
+    return this.state.issues[repoName]?.fingerprint ?? null;
+  }
+
+  /**
+   * @param {string} repoName - Repository name
+   * @param {string} fingerprint - Fingerprint of the exports that have just been indexed
+   */
+  setIssuesFingerprint(repoName, fingerprint) {
+    this.state.issues[repoName] = { fingerprint, indexedAt: new Date().toISOString() };
+  }
+
+  /**
+   * @returns {{repos: Object, issues: Object}} Indexed commits and issue export fingerprints,
+   * keyed like the state file
+   */
+  getSources() {
+    return structuredClone({ repos: this.state.repos, issues: this.state.issues });
+  }
+
+  /**
+   * @param {{repos?: Object, issues?: Object}} sources - Indexed commits and issue export
+   * fingerprints, as returned by getSources
+   */
+  setSources({ repos = {}, issues = {} }) {
+    this.state.repos = structuredClone(repos);
+    this.state.issues = structuredClone(issues);
+  }
+
+  /**
+   * Builds the state key of a repository checkout
+   * @private
+   */
+  getRepoKey(repoName, ref) {
+    return ref ? `${repoName}@${ref}` : repoName;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Ingestion Pipeline
+ *
+ * This module streams documents into the vector database:
+ * - Splits each document into chunks as soon as it is read
+ * - Generates embeddings and BM25 vectors for batches of chunks, reporting progress and
+ *   throughput
+ * - Upserts them into a vector store collection in bulk, under ids derived from their
+ *   location and content, so that re-running an ingestion overwrites its points
+ * - Stores the copies of a file chunk once, with the location of every copy: exact
+ *   copies share an id derived from the content only, near-duplicates are found by the
+ *   similarity of their embeddings
+ *
+ * Documents are consumed lazily, so that only one batch of chunks is held in
+ * memory at a time and reading files is paced by embedding.
+ *
+ * @module IngestionPipeline
+ */
+
+import crypto from 'crypto';
+import { delay } from '../utils.js';
+import { DEDUPLICATED_KINDS } from './vector-store.js';
+
+/**
+ * Counters of an ingestion
+ * @typedef {Object} IngestionStats
+ * @property {number} documents - Documents read
+ * @property {number} chunks - Chunks embedded and stored
+ * @property {number} duplicates - Chunks stored as a copy of another chunk
+ * @property {number} seconds - Duration of the ingestion
+ */
+
+export class IngestionPipeline {
+  /**
+   * Creates a new ingestion pipeline
+   *
+   * @param {Object} options
+   * @param {import('./document-processor.js').DocumentProcessor} options.documentProcessor -
+   * Initialized document processor
+   * @param {import('./vector-store.js').VectorStore} options.vectorStore - Vector store
+   * @param {string} options.collectionName - Target collection
+   * @param {number} [options.batchSize=64] - Number of chunks per batch
+   * @param {number} [options.delayBetweenBatches=500] - Pause between batches in ms, to avoid overload
+   * @param {number} [options.upsertBatchSize] - Number of points per upsert request
+   * @param {number} [options.upsertConcurrency] - Maximum number of upsert requests in flight
+   * @param {number|null} [options.nearDuplicateThreshold=0.98] - Cosine similarity from which
+   * file chunks with nearly the same text are stored as copies of each other, null to only
+   * merge identical ones
+   * @example
+   * const pipeline = new IngestionPipeline({
+   *   documentProcessor,
+   *   vectorStore,
+   *   collectionName: 'github_code',
+   * });
+   * const { chunks } = await pipeline.ingest(documents);
+   */
+  constructor({
+    documentProcessor,
+    vectorStore,
+    collectionName,
+    batchSize = 64,
+    delayBetweenBatches = 500,
+    upsertBatchSize,
+    upsertConcurrency,
+    nearDuplicateThreshold = 0.98,
+  }) {
+    this.documentProcessor = documentProcessor;
+    this.vectorStore = vectorStore;
+    this.collectionName = collectionName;
+    this.batchSize = batchSize;
+    this.delayBetweenBatches = delayBetweenBatches;
+    this.upsertOptions = { batchSize: upsertBatchSize, concurrency: upsertConcurrency };
+    this.nearDuplicateThreshold = nearDuplicateThreshold;
+    this.batchCount = 0;
+    this.chunkCount = 0;
+    this.startedAt = null;
+  }
+
+  /**
+   * Chunks, embeds and stores documents as they are produced
+   *
+   * @async
+   * @param {AsyncIterable<import('./document-processor.js').DocumentChunk>} documents - Documents
+   * to ingest
+   * @returns {Promise<IngestionStats>} Number of documents, chunks and duplicates ingested, and
+   * duration
+   * @throws {Error} If reading, embedding or storing fails
+   */
+  async ingest(documents) {
+    const startedAt = Date.now();
+    const stats = { documents: 0, chunks: 0, duplicates: 0, seconds: 0 };
+    let batch = [];
+
+    for await (const document of documents) {
+      stats.documents++;
+
+      for (const chunk of await this.documentProcessor.splitDocument(document)) {
+        batch.push(chunk);
+        if (batch.length >= this.batchSize) {
+          stats.duplicates += await this.processBatch(batch);
+          stats.chunks += batch.length;
+          batch = [];
+        }
+      }
+    }
+
+    if (batch.length > 0) {
+      stats.duplicates += await this.processBatch(batch);
+      stats.chunks += batch.length;
+    }
+
+    stats.seconds = (Date.now() - startedAt) / 1000;
+    return stats;
+  }
+
+  /**
+   * Embeds and upserts a batch of chunks
+   * @private
+   * @param {Array<import('./document-processor.js').DocumentChunk>} batch - Chunks to store
+   * @returns {Promise<number>} Number of chunks stored as a copy of another chunk
+   */
+  async processBatch(batch) {
+    // Wait between batches to avoid overload
+    if (this.batchCount > 0) {
+      await delay(this.delayBetweenBatches);
+    }
+
+    this.startedAt ??= Date.now();
+
+    const texts = batch.map((doc) => doc.pageContent);
+    const vectors = await this.documentProcessor.generateEmbeddings(texts);
+    const sparseVectors = this.documentProcessor.generateSparseVectors(texts);
+    const points = batch.map((doc, i) => ({
+      id: createPointId(doc),
+      vector: vectors[i],
+      sparseVector: sparseVectors[i],
+      payload: {
+        content: doc.pageContent,
+        ...doc.metadata,
+        embeddingModel: this.documentProcessor.embeddingModel,
+      },
+    }));
+    const duplicates = await this.vectorStore.mergeDocuments(this.collectionName, points, {
+      ...this.upsertOptions,
+      nearDuplicateThreshold: this.nearDuplicateThreshold,
+    });
+
+    // Throughput is measured since the first batch, pauses between batches included
+    this.batchCount++;
+    this.chunkCount += batch.length;
+    const chunksPerSecond = this.chunkCount / Math.max((Date.now() - this.startedAt) / 1000, 0.001);
+    console.log(
+      `✅ Batch ${this.batchCount} processed (${batch.length} chunks, ` +
+        `${duplicates ? `${duplicates} duplicates, ` : ''}` +
+        `${this.chunkCount} in total, ${chunksPerSecond.toFixed(1)} chunks/s)`
+    );
+    return duplicates;
+  }
+}
+
+/**
+ * Derives the id of a chunk's point from its repository, ref, location and content
+ *
+ * The location is the path of files, the SHA of commits and the number of issues and
+ * pull requests. File chunks are identified by their content only, so that their copies
+ * share a point. The hash is formatted as a UUID, as Qdrant requires.
+ *
+ * @private
+ * @param {import('./document-processor.js').DocumentChunk} chunk - Chunk to store
+ * @returns {string} Stable point id
+ */
+function createPointId({ pageContent, metadata }) {
+  const location = metadata.path ?? metadata.commit ?? metadata.number ?? null;
+  const contentHash = crypto.createHash('sha256').update(pageContent).digest('hex');
+  const key = DEDUPLICATED_KINDS.includes(metadata.kind)
+    ? [metadata.kind, contentHash]
+    : [metadata.repo, metadata.ref ?? null, metadata.kind, location, contentHash];
+  const hex = crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex');
+
+  // Mark the UUID as name-based (version 5, RFC 4122 variant)
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `5${hex.slice(13, 16)}`,
+    `${variant}${hex.slice(17, 20)}`,
+    hex.slice(20, 32),
+  ].join('-');
+}
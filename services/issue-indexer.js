@@ -0,0 +1,315 @@
+/**
+ * GitHub Issue and Pull Request Indexer
+ *
+ * This module reads offline exports of GitHub issues and pull requests, so that
+ * the design discussions they hold can be retrieved alongside the code.
+ * It provides functionality to:
+ * - Read JSON exports from files or directories, as produced by `gh issue list --json`,
+ *   `gh pr list --json` or the REST API (arrays, single objects or JSON lines)
+ * - Normalize both export formats into threads with their comments and reviews
+ * - Detect whether the exports changed since the last run
+ * - Redact secrets pasted in discussions, or drop the threads holding them
+ *
+ * Each thread becomes one document, with its number, state, labels and URL as metadata.
+ *
+ * @module IssueIndexer
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { SecretScanner } from './secret-scanner.js';
+
+/**
+ * Document kinds produced from issue and pull request exports
+ */
+export const THREAD_KINDS = ['issue', 'pull_request'];
+
+/**
+ * Extensions of the export files read from a directory
+ */
+const EXPORT_EXTENSIONS = ['.json', '.jsonl', '.ndjson'];
+
+/**
+ * A message posted on a thread
+ * @typedef {Object} ThreadComment
+ * @property {string} author - Login of the author
+ * @property {string} body - Markdown content
+ * @property {string} [createdAt] - Creation date, in ISO 8601 format
+ * @property {string} [state] - Review state, e.g. `APPROVED` (pull request reviews only)
+ */
+
+/**
+ * An issue or pull request, normalized from an export
+ * @typedef {Object} Thread
+ * @property {number} number - Issue or pull request number
+ * @property {string} kind - `issue` or `pull_request`
+ * @property {string} title - Title
+ * @property {string} body - Markdown description
+ * @property {string} state - `open`, `closed` or `merged`
+ * @property {string[]} labels - Label names
+ * @property {string} [url] - Web page of the thread
+ * @property {string} [author] - Login of the author
+ * @property {string} [createdAt] - Creation date, in ISO 8601 format
+ * @property {ThreadComment[]} comments - Comments and reviews, oldest first
+ */
+
+/**
+ * Represents a document extracted from an issue or pull request
+ * @typedef {Object} ThreadDocument
+ * @property {string} pageContent - Title, description and discussion of the thread
+ * @property {Object} metadata - Thread metadata
+ * @property {string} metadata.kind - `issue` or `pull_request`
+ * @property {string} metadata.repo - Repository name
+ * @property {string} metadata.project - Project name, the repository name
+ * @property {null} metadata.ref - Threads do not belong to a ref
+ * @property {string} metadata.sourceType - Always `github-export`
+ * @property {number} metadata.number - Issue or pull request number
+ * @property {string} metadata.title - Title
+ * @property {string} metadata.state - `open`, `closed` or `merged`
+ * @property {string[]} metadata.labels - Label names
+ * @property {string} [metadata.url] - Web page of the thread
+ * @property {string} [metadata.author] - Login of the author
+ * @property {string} [metadata.createdAt] - Creation date, in ISO 8601 format
+ */
+
+/**
+ * Result of reading the exports of a repository
+ * @typedef {Object} ExportResult
+ * @property {ThreadDocument[]} documents - One document per thread, empty if nothing changed
+ * @property {string} fingerprint - Digest of the export files
+ * @property {import('./index-report.js').SecretLocation[]} findings - Secrets found in threads,
+ * located by thread number such as `#123`
+ * @property {boolean} changed - False if the exports are the ones indexed by the previous run
+ */
+
+export class IssueIndexer {
+  /**
+   * Creates a new IssueIndexer instance
+   *
+   * @param {Object} [options]
+   * @param {string} [options.secretsMode='redact'] - `redact` secrets, `drop` the threads holding
+   * them, or `off`
+   */
+  constructor({ secretsMode = 'redact' } = {}) {
+    this.secretScanner = new SecretScanner({ mode: secretsMode });
+  }
+
+  /**
+   * Reads the issue and pull request exports of a repository
+   *
+   * @param {Object} repo - Repository configuration object
+   * @param {string} repo.name - Repository name
+   * @param {string|string[]} repo.issues - Export files, or directories of export files
+   * @param {Object} [options]
+   * @param {string|null} [options.sinceFingerprint] - Fingerprint of the last indexed exports
+   * @returns {Promise<ExportResult>} Thread documents and fingerprint of the exports
+   * @throws {Error} If an export path cannot be read
+   *
+   * @example
+   * const indexer = new IssueIndexer();
+   * const { documents } = await indexer.indexExports({
+   *   name: 'my-repo',
+   *   issues: ['exports/issues.json', 'exports/pulls.json'],
+   * });
+   */
+  async indexExports(repo, { sinceFingerprint = null } = {}) {
+    const files = [];
+    for (const exportPath of [].concat(repo.issues)) {
+      files.push(...(await this.listExportFiles(path.resolve(exportPath))));
+    }
+
+    const hash = crypto.createHash('sha256');
+    const contents = [];
+    for (const filePath of files.sort()) {
+      const content = await fs.promises.readFile(filePath, 'utf-8');
+      hash.update(`${filePath}\0${content}\0`);
+      contents.push({ filePath, content });
+    }
+    const fingerprint = hash.digest('hex');
+
+    if (fingerprint === sinceFingerprint) {
+      console.log(`🔁 ${repo.name}: issue exports unchanged since the last run`);
+      return { documents: [], fingerprint, findings: [], changed: false };
+    }
+
+    // The same thread may appear in several exports, keep its most complete version
+    const threads = new Map();
+    for (const { filePath, content } of contents) {
+      for (const thread of this.parseExport(filePath, content)) {
+        const known = threads.get(thread.number);
+        if (!known || thread.comments.length >= known.comments.length) {
+          threads.set(thread.number, thread);
+        }
+      }
+    }
+
+    console.log(`📚 ${repo.name}: ${threads.size} issues and pull requests read from exports`);
+
+    const documents = [];
+    const findings = [];
+    for (const thread of threads.values()) {
+      const document = this.createDocument(thread, repo);
+      const scan = this.secretScanner.scan(document.pageContent);
+      findings.push(...scan.findings.map((finding) => ({ path: `#${thread.number}`, ...finding })));
+      if (scan.content === null) continue;
+
+      // The title is also stored on its own, shown as the title of the source of answers;
+      // its findings are already part of the content's
+      const { content: title } = this.secretScanner.scan(document.metadata.title);
+      documents.push({
+        ...document,
+        pageContent: scan.content,
+        metadata: { ...document.metadata, title },
+      });
+    }
+
+    return { documents, fingerprint, findings, changed: true };
+  }
+
+  /**
+   * Lists the export files of a path, walking directories recursively
+   * @private
+   * @param {string} exportPath - Export file or directory
+   * @returns {Promise<string[]>} Export files
+   */
+  async listExportFiles(exportPath) {
+    const stats = await fs.promises.stat(exportPath);
+    if (stats.isFile()) return [exportPath];
+
+    const files = [];
+    for (const entry of await fs.promises.readdir(exportPath, { withFileTypes: true })) {
+      const entryPath = path.join(exportPath, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await this.listExportFiles(entryPath)));
+      } else if (EXPORT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Parses an export file into threads
+   *
+   * Accepts a JSON array or object, pages of arrays as produced by
+   * `gh api --paginate --slurp`, and JSON lines.
+   *
+   * @private
+   * @param {string} filePath - Export file, for error messages
+   * @param {string} content - Raw file content
+   * @returns {Thread[]} Threads of the export, entries without a number are ignored
+   */
+  parseExport(filePath, content) {
+    let entries;
+    try {
+      entries = [JSON.parse(content)];
+    } catch {
+      try {
+        entries = content
+          .split('\n')
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️ Failed to parse export ${filePath}:`, error.message);
+        return [];
+      }
+    }
+
+    const raws = entries.flat(Infinity);
+    const threads = raws
+      .filter((raw) => Number.isInteger(raw?.number))
+      .map((raw) => this.normalizeThread(raw));
+    if (threads.length < raws.length) {
+      console.warn(`⚠️ ${raws.length - threads.length} entries without a number in ${filePath}`);
+    }
+    return threads;
+  }
+
+  /**
+   * Normalizes an issue or pull request from the `gh` CLI or REST API format
+   * @private
+   * @param {Object} raw - Exported issue or pull request
+   * @returns {Thread} Normalized thread
+   */
+  normalizeThread(raw) {
+    const url = raw.html_url ?? raw.url;
+    const isPullRequest = Boolean(
+      raw.pull_request || 'isDraft' in raw || 'mergedAt' in raw || url?.includes('/pull/')
+    );
+    const merged = raw.mergedAt || raw.merged_at || raw.pull_request?.merged_at;
+    const toComment = (comment) => ({
+      author: comment.author?.login ?? comment.user?.login ?? 'unknown',
+      body: comment.body ?? '',
+      createdAt: comment.createdAt ?? comment.created_at ?? comment.submittedAt,
+      state: comment.state,
+    });
+
+    // REST API exports only hold comment counts, the `gh` CLI embeds the comments themselves
+    const comments = [
+      ...(Array.isArray(raw.comments) ? raw.comments : []),
+      ...(Array.isArray(raw.reviews) ? raw.reviews : []),
+    ]
+      .map(toComment)
+      .filter((comment) => comment.body.trim())
+      .sort((a, b) => (a.createdAt ?? '').localeCompare(b.createdAt ?? ''));
+
+    return {
+      number: raw.number,
+      kind: isPullRequest ? 'pull_request' : 'issue',
+      title: raw.title ?? '',
+      body: raw.body ?? '',
+      state: merged ? 'merged' : String(raw.state ?? 'open').toLowerCase(),
+      labels: (raw.labels ?? []).map((label) => (typeof label === 'string' ? label : label.name)),
+      url,
+      author: raw.author?.login ?? raw.user?.login,
+      createdAt: raw.createdAt ?? raw.created_at,
+      comments,
+    };
+  }
+
+  /**
+   * Creates the document of a thread
+   * @private
+   * @param {Thread} thread - Normalized thread
+   * @param {Object} repo - Repository configuration object
+   * @returns {ThreadDocument} Thread document
+   */
+  createDocument(thread, repo) {
+    const heading = thread.kind === 'pull_request' ? 'Pull request' : 'Issue';
+    const details = [
+      `State: ${thread.state}`,
+      thread.author && `Author: ${thread.author}`,
+      thread.labels.length && `Labels: ${thread.labels.join(', ')}`,
+    ].filter(Boolean);
+
+    const sections = [
+      `${heading} #${thread.number}: ${thread.title}\n${details.join(' | ')}` +
+        (thread.url ? `\nURL: ${thread.url}` : ''),
+      thread.body.trim(),
+      ...thread.comments.map(
+        ({ author, body, createdAt, state }) =>
+          `${state ? `Review (${state.toLowerCase()})` : 'Comment'} by ${author}` +
+          `${createdAt ? ` on ${createdAt.slice(0, 10)}` : ''}:\n${body.trim()}`
+      ),
+    ].filter(Boolean);
+
+    return {
+      pageContent: sections.join('\n\n'),
+      metadata: {
+        kind: thread.kind,
+        repo: repo.name,
+        project: repo.name,
+        ref: null,
+        sourceType: 'github-export',
+        number: thread.number,
+        title: thread.title,
+        state: thread.state,
+        labels: thread.labels,
+        url: thread.url,
+        author: thread.author,
+        createdAt: thread.createdAt,
+      },
+    };
+  }
+}
@@ -11,6 +11,7 @@
  */
 
 import { HfInference } from '@huggingface/inference';
+import { getRepoProjects } from '../utils.js';
 
 /**
  * Default generation parameters for the language model
@@ -22,6 +23,28 @@ const DEFAULT_PARAMETERS = {
   do_sample: true, // Enable sampling for more natural responses
 };
 
+/**
+ * Number of other locations of a chunk listed in the context, the others being counted
+ */
+const MAX_LISTED_COPIES = 20;
+
+/**
+ * A search result cited by an answer
+ * @typedef {Object} Source
+ * @property {string} kind - `file`, `commit`, `issue` or `pull_request`
+ * @property {string} repo - Repository name
+ * @property {string} [project] - Project name
+ * @property {string} location - `repo/path:L10-L42` for files, `repo@a1b2c3d` for commits,
+ * `repo#123` for issues and pull requests
+ * @property {string} [url] - Web page of the source, pinned to the indexed commit for files
+ * @property {string} [path] - File path (files only)
+ * @property {string|null} [ref] - Branch, tag or commit the source was read from
+ * @property {string} [commit] - Commit SHA
+ * @property {number} [startLine] - First line of the chunk (files only)
+ * @property {number} [endLine] - Last line of the chunk (files only)
+ * @property {number} [number] - Issue or pull request number
+ */
+
 /**
  * Service class for handling LLM interactions
  */
@@ -95,6 +118,203 @@ export class LLMService {
     }
   }
 
+  /**
+   * Formats vector search results into the context section of the prompt
+   *
+   * Files are introduced by their path and lines, commits by their short SHA, author and date,
+   * issues and pull requests by their number, title and state, so that answers can cite them.
+   * A chunk found in several files is shown once, followed by the other files holding it.
+   *
+   * @param {Array<{payload: Object}>} searchResults - Results from vector search
+   * @returns {string} Context listing each source file, commit or thread with its content
+   *
+   * @example
+   * const context = llm.formatContext(await vectorStore.searchSimilar('github_code', vector));
+   */
+  formatContext(searchResults) {
+    return searchResults
+      .map(({ payload }) => {
+        const details = [
+          payload.project && payload.project !== payload.repo && `project: ${payload.project}`,
+          payload.ref && `ref: ${payload.ref}`,
+        ].filter(Boolean);
+        const source = details.length ? ` (${details.join(', ')})` : '';
+        return (
+          `${this.formatSourceTitle(payload)}${source}${this.formatCopies(payload)}\n\n` +
+          `Content:\n${payload.content}\n---`
+        );
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Formats the line introducing a search result in the context
+   * @private
+   */
+  formatSourceTitle(payload) {
+    switch (payload.kind) {
+      case 'commit':
+        return (
+          `Commit: ${payload.repo}@${payload.commit.slice(0, 7)} by ${payload.author} ` +
+          `on ${payload.date.slice(0, 10)}`
+        );
+      case 'issue':
+      case 'pull_request': {
+        const heading = payload.kind === 'issue' ? 'Issue' : 'Pull request';
+        const url = payload.url ? ` ${payload.url}` : '';
+        return `${heading}: ${payload.repo}#${payload.number} "${payload.title}" [${payload.state}]${url}`;
+      }
+      default:
+        return `File: ${this.formatFileLocation(payload)}`;
+    }
+  }
+
+  /**
+   * Lists the other locations of a chunk, those holding a slightly different text being
+   * marked as similar
+   * @private
+   */
+  formatCopies(payload) {
+    const copies = (payload.locations ?? []).slice(1);
+    if (copies.length === 0 && !payload.unlistedLocations) return '';
+
+    const lines = copies.slice(0, MAX_LISTED_COPIES).map((location) => {
+      const details = [
+        location.ref && location.ref !== payload.ref && `ref: ${location.ref}`,
+        location.content && 'similar',
+      ].filter(Boolean);
+      const suffix = details.length ? ` (${details.join(', ')})` : '';
+      return `- ${this.formatFileLocation(location)}${suffix}`;
+    });
+    if (payload.unlistedLocations) {
+      lines.push('- and more locations, not listed');
+    } else if (copies.length > MAX_LISTED_COPIES) {
+      lines.push(`- and ${copies.length - MAX_LISTED_COPIES} other locations`);
+    }
+    return `\nAlso found in:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Lists the sources of search results, so that answers can link to them
+   *
+   * Files and commits of repositories cloned from a URL get a permalink to their web page,
+   * pinned to the commit they were indexed at and highlighting the lines of the chunk.
+   *
+   * @param {Array<{payload: Object}>} searchResults - Results from vector search
+   * @param {Array<{name: string, url?: string}>} repos - Repository configurations
+   * @returns {Source[]} Sources in result order, each location listed once
+   *
+   * @example
+   * const sources = llm.formatSources(searchResults, config.repos);
+   * // [{ location: 'my-repo/src/auth.js:L10-L42',
+   * //    url: 'https://github.com/owner/repo/blob/a1b2c3d.../src/auth.js#L10-L42', ... }]
+   */
+  formatSources(searchResults, repos) {
+    const webUrls = new Map(
+      repos.filter((repo) => repo.url).map((repo) => [repo.name, repo.url.replace(/\.git$/, '')])
+    );
+
+    const sources = new Map();
+    for (const { payload } of searchResults) {
+      const source = this.formatSource(payload, webUrls.get(payload.repo));
+      if (!sources.has(source.location)) sources.set(source.location, source);
+    }
+    return [...sources.values()];
+  }
+
+  /**
+   * Describes the source of a search result
+   * @private
+   * @param {Object} payload - Search result payload
+   * @param {string} [webUrl] - Web page of the repository
+   * @returns {Source} Source of the result
+   */
+  formatSource(payload, webUrl) {
+    const { kind = 'file', repo, project, ref, commit } = payload;
+
+    switch (kind) {
+      case 'commit':
+        return {
+          kind,
+          repo,
+          project,
+          ref,
+          commit,
+          location: `${repo}@${commit.slice(0, 7)}`,
+          url: webUrl && `${webUrl}/commit/${commit}`,
+        };
+      case 'issue':
+      case 'pull_request':
+        return {
+          kind,
+          repo,
+          project,
+          number: payload.number,
+          location: `${repo}#${payload.number}`,
+          url: payload.url,
+        };
+      default: {
+        const { path: filePath, startLine, endLine } = payload;
+        const lines = this.formatLineRange(payload);
+        const encodedPath = filePath?.split('/').map(encodeURIComponent).join('/');
+        return {
+          kind,
+          repo,
+          project,
+          path: filePath,
+          ref,
+          commit,
+          startLine,
+          endLine,
+          location: this.formatFileLocation(payload),
+          url:
+            webUrl &&
+            commit &&
+            `${webUrl}/blob/${commit}/${encodedPath}${lines ? `#${lines}` : ''}`,
+        };
+      }
+    }
+  }
+
+  /**
+   * Formats the location of a file chunk as `repo/path:L10-L42`, for chunks whose copies are
+   * all unlisted as a note saying so
+   * @private
+   */
+  formatFileLocation(payload) {
+    if (!payload.path) return 'unlisted copies';
+    const lines = this.formatLineRange(payload);
+    return `${payload.repo}/${payload.path}${lines ? `:${lines}` : ''}`;
+  }
+
+  /**
+   * Formats the lines of a file chunk as `L10-L42`, or an empty string if they are unknown
+   * @private
+   */
+  formatLineRange({ startLine, endLine }) {
+    if (!startLine) return '';
+    return endLine && endLine !== startLine ? `L${startLine}-L${endLine}` : `L${startLine}`;
+  }
+
+  /**
+   * Formats the configured repositories for the prompt instructions
+   *
+   * Monorepo subpaths are listed as projects of their own.
+   *
+   * @param {Array<{name: string, ref?: string|string[]}>} repos - Repository configurations
+   * @returns {string} One line per project, listing its pinned refs
+   */
+  formatRepoList(repos) {
+    return getRepoProjects(repos)
+      .map((project) => {
+        const location = project.path ? ` (${project.repo}/${project.path})` : '';
+        const refs =
+          project.ref === undefined ? '' : ` (refs: ${[].concat(project.ref).join(', ')})`;
+        return `- ${project.name}${location}${refs}`;
+      })
+      .join('\n');
+  }
+
   /**
    * Constructs a formatted prompt for the LLM
    * @private
@@ -102,13 +322,15 @@ export class LLMService {
   constructPrompt(question, context, repoList) {
     return `
     <instructions>
-    You are an expert programming assistant with deep knowledge of the following GitHub repositories:
+    You are an expert programming assistant with deep knowledge of the following GitHub projects:
     ${repoList}
     
     Based solely on the provided context and your general programming knowledge:
     1. Answer the question clearly and concisely
-    2. Always cite relevant source files
+    2. Always cite relevant source files with their lines, such as repo/path:L10-L42, commits by their short SHA when explaining why or when something changed, and issues or pull requests as #123
     3. If information is not in the context, say so explicitly
+    4. When sources come from several refs (branches, tags or commits), say which ref your answer applies to
+    5. A source "also found in" other files is shared by all of them, cite the ones relevant to the question
     </instructions>
     
     <context>
@@ -0,0 +1,640 @@
+/**
+ * Local Vector Store
+ *
+ * This module implements the vector store in the current process, persisted to a
+ * local directory, so that the assistant runs without a Qdrant server: on laptops,
+ * in demos and in tests. It provides:
+ * - Collections held in memory, each one persisted to an append-only log file
+ * - Aliases persisted to a small JSON file
+ * - Exact search: cosine similarity over every dense vector, and BM25 over the sparse
+ *   vectors with inverse document frequencies computed like Qdrant does
+ * - Payload filters evaluated on every point, including nested filters on locations
+ *
+ * Each write appends to the log of its collection, so that an interrupted run keeps
+ * what it already stored, and logs are compacted once they are mostly made of
+ * overwritten points. Before each operation, entries appended by another process are
+ * replayed, so that the API sees what the indexer stores while it runs. A collection
+ * must only be written by one process at a time.
+ *
+ * Search time grows linearly with the number of points, which suits indexes of up to
+ * a few hundred thousand chunks.
+ *
+ * @module LocalVectorStore
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { VectorStore } from './vector-store.js';
+import { decodeVector, encodeVector } from '../utils.js';
+
+/**
+ * Extension of collection logs
+ */
+const LOG_EXTENSION = '.jsonl';
+
+/**
+ * File of the aliases, mapping each alias to its collection
+ */
+const ALIASES_FILE = 'aliases.json';
+
+/**
+ * A log is compacted once it holds more overwritten or deleted points than this, and
+ * more than live ones
+ */
+const MIN_GARBAGE_TO_COMPACT = 1000;
+
+/**
+ * Number of points per entry of a compacted log
+ */
+const POINTS_PER_ENTRY = 256;
+
+/**
+ * Collection names become file names
+ */
+const COLLECTION_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * A point held in memory
+ * @typedef {Object} StoredPoint
+ * @property {string|number} id - Point identifier
+ * @property {Float32Array} vector - Dense vector
+ * @property {number} norm - Euclidean norm of the dense vector
+ * @property {import('./bm25-encoder.js').SparseVector|null} sparseVector - BM25 vector
+ * @property {Object} payload - Document metadata
+ */
+
+/**
+ * A collection held in memory, and how much of its log has been read
+ * @typedef {Object} LoadedCollection
+ * @property {string} name - Name of the collection, aliases resolved
+ * @property {number} vectorSize - Size of the dense vectors
+ * @property {Map<string|number, StoredPoint>} points - Points by id
+ * @property {Map<number, number>} documentFrequencies - Number of points holding each term
+ * @property {number} garbage - Number of log entries for points since overwritten or deleted
+ * @property {number} offset - Bytes of the log read so far
+ * @property {number} inode - Inode of the log, which changes when it is compacted
+ */
+
+export class LocalVectorStore extends VectorStore {
+  /**
+   * Creates a new local vector store
+   *
+   * @param {string} storePath - Directory of the collection logs, created on first write
+   * @example
+   * const vectorStore = new LocalVectorStore('./github_repos/.vector-store');
+   */
+  constructor(storePath) {
+    super();
+    this.storePath = storePath;
+    this.collections = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Initializes or reinitializes a collection
+   *
+   * @param {string} collectionName - Name of the collection
+   * @param {number} vectorSize - Size of the embedding vectors, from the model profile
+   * @returns {Promise<void>}
+   */
+  async initializeCollection(collectionName, vectorSize) {
+    await this.exclusive(async () => {
+      await fs.promises.mkdir(this.storePath, { recursive: true });
+      await fs.promises.writeFile(
+        this.getLogPath(collectionName),
+        `${JSON.stringify({ op: 'create', vectorSize })}\n`
+      );
+      this.collections.delete(collectionName);
+      console.log(`✅ Collection ${collectionName} initialized in ${this.storePath}`);
+    });
+  }
+
+  /**
+   * Checks whether a collection exists
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<boolean>} True if the collection exists
+   */
+  async collectionExists(collectionName) {
+    return (await this.listCollections()).includes(collectionName);
+  }
+
+  /**
+   * Lists the collections of the store
+   *
+   * @returns {Promise<string[]>} Collection names
+   */
+  async listCollections() {
+    try {
+      const files = await fs.promises.readdir(this.storePath);
+      return files
+        .filter((file) => file.endsWith(LOG_EXTENSION))
+        .map((file) => file.slice(0, -LOG_EXTENSION.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a collection, and the aliases pointing to it
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<void>}
+   */
+  async deleteCollection(collectionName) {
+    await this.exclusive(async () => {
+      await fs.promises.rm(this.getLogPath(collectionName), { force: true });
+      this.collections.delete(collectionName);
+
+      const aliases = await this.readAliases();
+      const remaining = Object.fromEntries(
+        Object.entries(aliases).filter(([, target]) => target !== collectionName)
+      );
+      if (Object.keys(remaining).length !== Object.keys(aliases).length) {
+        await this.writeAliases(remaining);
+      }
+    });
+  }
+
+  /**
+   * Returns the collection an alias points to
+   *
+   * @param {string} alias - Name of the alias
+   * @returns {Promise<string|null>} Collection name, null if the alias does not exist
+   */
+  async getAliasTarget(alias) {
+    return (await this.readAliases())[alias] ?? null;
+  }
+
+  /**
+   * Points an alias to a collection, atomically for the processes reading through it
+   *
+   * @param {string} alias - Name of the alias, created if missing
+   * @param {string} collectionName - Collection to point to
+   * @returns {Promise<void>}
+   */
+  async switchAlias(alias, collectionName) {
+    await this.exclusive(async () => {
+      await this.writeAliases({ ...(await this.readAliases()), [alias]: collectionName });
+    });
+  }
+
+  /**
+   * Counts the points of a collection
+   *
+   * @param {string} collectionName - Name of the collection, or an alias
+   * @returns {Promise<number>} Number of points
+   */
+  async countPoints(collectionName) {
+    return this.exclusive(async () => (await this.load(collectionName)).points.size);
+  }
+
+  /**
+   * Returns the id and dense vector of one point of a collection
+   *
+   * @param {string} collectionName - Name of the collection, or an alias
+   * @returns {Promise<{id: string|number, vector: number[]}|null>} A point, null if the
+   * collection is empty
+   */
+  async getSamplePoint(collectionName) {
+    return this.exclusive(async () => {
+      const [point] = (await this.load(collectionName)).points.values();
+      return point ? { id: point.id, vector: Array.from(point.vector) } : null;
+    });
+  }
+
+  /**
+   * Reads the points of a collection, with their vectors and payload
+   *
+   * @param {string} collectionName - Name of the collection, or an alias
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=256] - Number of points per batch
+   * @param {import('./vector-store.js').Filter|null} [options.filter] - Only read the points
+   * matching this filter
+   * @param {boolean} [options.withVectors=true] - Whether to read the vectors, or only ids and
+   * payloads
+   * @yields {import('./vector-store.js').Point[]} Batches of points
+   */
+  async *scrollPoints(collectionName, { batchSize = 256, filter = null, withVectors = true } = {}) {
+    const points = await this.exclusive(async () =>
+      [...(await this.load(collectionName)).points.values()].filter(
+        ({ payload }) => !filter || matchesFilter(payload, filter)
+      )
+    );
+    for (let i = 0; i < points.length; i += batchSize) {
+      yield points
+        .slice(i, i + batchSize)
+        .map((point) => (withVectors ? toPoint(point) : { id: point.id, payload: point.payload }));
+    }
+  }
+
+  /**
+   * Reads points by id, with their vectors and payload
+   *
+   * @param {string} collectionName - Name of the collection, or an alias
+   * @param {Array<string|number>} ids - Point identifiers
+   * @returns {Promise<import('./vector-store.js').Point[]>} Points found, missing ids are
+   * left out
+   */
+  async retrievePoints(collectionName, ids) {
+    return this.exclusive(async () => {
+      const { points } = await this.load(collectionName);
+      return ids.filter((id) => points.has(id)).map((id) => toPoint(points.get(id)));
+    });
+  }
+
+  /**
+   * Deletes points by id
+   *
+   * @param {string} collectionName - Target collection, or an alias
+   * @param {Array<string|number>} ids - Point identifiers
+   * @returns {Promise<void>}
+   */
+  async deletePoints(collectionName, ids) {
+    await this.exclusive(async () => {
+      const collection = await this.load(collectionName);
+      const stored = ids.filter((id) => collection.points.has(id));
+      if (stored.length === 0) return;
+
+      await this.append(collection, { op: 'delete', ids: stored });
+    });
+  }
+
+  /**
+   * Describes a collection, which always has named dense and BM25 vectors. Its points are
+   * filterable once they list their locations.
+   * @private
+   */
+  async getCollectionLayout(collectionName) {
+    return this.exclusive(async () => {
+      const { vectorSize, points } = await this.load(collectionName);
+      const [sample] = points.values();
+      return {
+        vectorSize,
+        named: true,
+        lexical: true,
+        filterable: !sample || Array.isArray(sample.payload.locations),
+      };
+    });
+  }
+
+  /**
+   * Appends a batch of points to the log of a collection
+   * @private
+   */
+  async upsertPoints(collectionName, points) {
+    await this.exclusive(async () => {
+      const collection = await this.load(collectionName);
+      for (const { vector } of points) {
+        if (vector.length !== collection.vectorSize) {
+          throw new Error(
+            `Upsert failed: ${collectionName} holds ${collection.vectorSize}-dimension ` +
+              `vectors, got ${vector.length}`
+          );
+        }
+      }
+
+      await this.append(collection, {
+        op: 'upsert',
+        points: points.map(({ id, vector, sparseVector, payload }) => ({
+          id,
+          vector: encodeVector(vector),
+          sparseVector: sparseVector ?? null,
+          payload,
+        })),
+      });
+    });
+  }
+
+  /**
+   * Scores every matching point by cosine similarity
+   * @private
+   */
+  async searchDense(collectionName, vector, limit, filter) {
+    return this.exclusive(async () => {
+      const query = Float32Array.from(vector);
+      const queryNorm = getNorm(query);
+      return this.rank(await this.load(collectionName), filter, limit, (point) => {
+        let dot = 0;
+        for (let i = 0; i < query.length; i++) dot += query[i] * point.vector[i];
+        return dot / (queryNorm * point.norm || 1);
+      });
+    });
+  }
+
+  /**
+   * Scores every matching point by BM25, weighting the terms of the query by their
+   * inverse document frequency
+   * @private
+   */
+  async searchLexical(collectionName, sparseVector, limit, filter) {
+    return this.exclusive(async () => {
+      const collection = await this.load(collectionName);
+      const total = collection.points.size;
+      const weights = new Map(
+        sparseVector.indices.map((index, i) => {
+          const frequency = collection.documentFrequencies.get(index) ?? 0;
+          const idf = Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+          return [index, sparseVector.values[i] * idf];
+        })
+      );
+
+      // Points sharing no term with the query are left out, as Qdrant does
+      return this.rank(collection, filter, limit, ({ sparseVector: terms }) => {
+        let score = null;
+        terms?.indices.forEach((index, i) => {
+          if (weights.has(index)) score += weights.get(index) * terms.values[i];
+        });
+        return score;
+      });
+    });
+  }
+
+  /**
+   * Returns the best scored points matching a filter, leaving out those scored null
+   * @private
+   */
+  rank(collection, filter, limit, score) {
+    const results = [];
+    for (const point of collection.points.values()) {
+      if (filter && !matchesFilter(point.payload, filter)) continue;
+      const value = score(point);
+      if (value !== null) results.push({ id: point.id, score: value, payload: point.payload });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Returns a collection, reading the log entries appended since it was last read
+   * @private
+   * @param {string} collectionName - Name of the collection, or an alias
+   * @returns {Promise<LoadedCollection>} Collection up to date with its log
+   * @throws {Error} If the collection does not exist
+   */
+  async load(collectionName) {
+    const name = (await this.readAliases())[collectionName] ?? collectionName;
+    const logPath = this.getLogPath(name);
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(logPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.collections.delete(name);
+      throw new Error(`Collection ${collectionName} not found in ${this.storePath}`);
+    }
+
+    let collection = this.collections.get(name);
+    if (!collection || collection.inode !== stats.ino || stats.size < collection.offset) {
+      collection = {
+        name,
+        vectorSize: null,
+        points: new Map(),
+        documentFrequencies: new Map(),
+        garbage: 0,
+        offset: 0,
+        inode: stats.ino,
+      };
+      this.collections.set(name, collection);
+    }
+
+    if (stats.size > collection.offset) await this.replay(logPath, collection);
+    return collection;
+  }
+
+  /**
+   * Applies the log entries found after the offset of a collection
+   * @private
+   */
+  async replay(logPath, collection) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(logPath, { start: collection.offset }),
+      crlfDelay: Infinity,
+    });
+
+    let pending = null;
+    for await (const line of lines) {
+      // A line that does not parse is only expected last, while it is being written
+      if (pending !== null) throw new Error(`Corrupted entry in ${logPath}`);
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        pending = line;
+        continue;
+      }
+      this.apply(collection, entry);
+      collection.offset += Buffer.byteLength(line) + 1;
+    }
+  }
+
+  /**
+   * Applies a log entry to a collection held in memory
+   * @private
+   */
+  apply(collection, entry) {
+    switch (entry.op) {
+      case 'create':
+        collection.vectorSize = entry.vectorSize;
+        break;
+
+      case 'upsert':
+        for (const { id, vector, sparseVector, payload } of entry.points) {
+          this.removePoint(collection, id);
+          const decoded = decodeVector(vector);
+          collection.points.set(id, {
+            id,
+            vector: decoded,
+            norm: getNorm(decoded),
+            sparseVector,
+            payload,
+          });
+          for (const index of sparseVector?.indices ?? []) {
+            collection.documentFrequencies.set(
+              index,
+              (collection.documentFrequencies.get(index) ?? 0) + 1
+            );
+          }
+        }
+        break;
+
+      case 'delete':
+        for (const id of entry.ids) this.removePoint(collection, id);
+        break;
+
+      default:
+        throw new Error(`Unknown log entry ${entry.op}`);
+    }
+  }
+
+  /**
+   * Removes a point from a collection held in memory, if it is there
+   * @private
+   */
+  removePoint(collection, id) {
+    const point = collection.points.get(id);
+    if (!point) return;
+
+    collection.points.delete(id);
+    collection.garbage++;
+    for (const index of point.sparseVector?.indices ?? []) {
+      const frequency = collection.documentFrequencies.get(index) - 1;
+      if (frequency > 0) collection.documentFrequencies.set(index, frequency);
+      else collection.documentFrequencies.delete(index);
+    }
+  }
+
+  /**
+   * Appends an entry to the log of a collection and applies it, compacting the log when
+   * it is mostly made of outdated points
+   *
+   * Only writers compact, so that a log is never renamed over while being appended to.
+   *
+   * @private
+   */
+  async append(collection, entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    await fs.promises.appendFile(this.getLogPath(collection.name), line);
+    this.apply(collection, entry);
+    collection.offset += Buffer.byteLength(line);
+
+    if (
+      collection.garbage > MIN_GARBAGE_TO_COMPACT &&
+      collection.garbage > collection.points.size
+    ) {
+      await this.compact(collection);
+    }
+  }
+
+  /**
+   * Rewrites the log of a collection with its live points only
+   * @private
+   */
+  async compact(collection) {
+    const logPath = this.getLogPath(collection.name);
+    const temporaryPath = `${logPath}.${process.pid}.tmp`;
+    const points = [...collection.points.values()];
+
+    const file = await fs.promises.open(temporaryPath, 'w');
+    try {
+      await file.write(`${JSON.stringify({ op: 'create', vectorSize: collection.vectorSize })}\n`);
+      for (let i = 0; i < points.length; i += POINTS_PER_ENTRY) {
+        const entry = {
+          op: 'upsert',
+          points: points.slice(i, i + POINTS_PER_ENTRY).map((point) => ({
+            id: point.id,
+            vector: encodeVector(point.vector),
+            sparseVector: point.sparseVector,
+            payload: point.payload,
+          })),
+        };
+        await file.write(`${JSON.stringify(entry)}\n`);
+      }
+    } finally {
+      await file.close();
+    }
+    await fs.promises.rename(temporaryPath, logPath);
+
+    const stats = await fs.promises.stat(logPath);
+    Object.assign(collection, { garbage: 0, offset: stats.size, inode: stats.ino });
+    console.log(`🗜️ Compacted collection ${collection.name} (${points.length} points)`);
+  }
+
+  /**
+   * Reads the aliases, none if the file is missing
+   * @private
+   */
+  async readAliases() {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.storePath, ALIASES_FILE)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the aliases, renaming a new file over the previous one
+   * @private
+   */
+  async writeAliases(aliases) {
+    const aliasesPath = path.join(this.storePath, ALIASES_FILE);
+    const temporaryPath = `${aliasesPath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(this.storePath, { recursive: true });
+    await fs.promises.writeFile(temporaryPath, JSON.stringify(aliases, null, 2));
+    await fs.promises.rename(temporaryPath, aliasesPath);
+  }
+
+  /**
+   * Returns the path of the log of a collection
+   * @private
+   */
+  getLogPath(collectionName) {
+    if (!COLLECTION_NAME_PATTERN.test(collectionName)) {
+      throw new Error(`Invalid collection name ${collectionName}`);
+    }
+    return path.join(this.storePath, `${collectionName}${LOG_EXTENSION}`);
+  }
+
+  /**
+   * Runs operations one at a time, so that replaying and appending to logs never
+   * interleave
+   * @private
+   */
+  exclusive(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+/**
+ * Checks whether a payload matches a filter
+ * @private
+ * @param {Object} payload - Payload of a point
+ * @param {import('./vector-store.js').Filter} filter - Payload filter
+ * @returns {boolean} True if the payload matches
+ */
+function matchesFilter(payload, { must = [], should = [], must_not: mustNot = [] }) {
+  return (
+    must.every((condition) => matchesCondition(payload, condition)) &&
+    (should.length === 0 || should.some((condition) => matchesCondition(payload, condition))) &&
+    !mustNot.some((condition) => matchesCondition(payload, condition))
+  );
+}
+
+/**
+ * Checks a condition, or a nested filter, on a payload. A field holding a list matches
+ * when one of its values does, a `nested` condition when one of the objects it lists does.
+ * @private
+ */
+function matchesCondition(payload, condition) {
+  if (condition.nested) {
+    const { key, filter } = condition.nested;
+    return [].concat(payload[key] ?? []).some((item) => matchesFilter(item, filter));
+  }
+  if (!condition.key) return matchesFilter(payload, condition);
+
+  const accepted = condition.match.any ?? [condition.match.value];
+  return [].concat(payload[condition.key] ?? []).some((value) => accepted.includes(value));
+}
+
+/**
+ * Converts a point held in memory to a point of the vector store interface
+ * @private
+ */
+function toPoint({ id, vector, sparseVector, payload }) {
+  return { id, vector, sparseVector, payload };
+}
+
+/**
+ * Computes the Euclidean norm of a vector
+ * @private
+ */
+function getNorm(vector) {
+  let sum = 0;
+  for (const value of vector) sum += value * value;
+  return Math.sqrt(sum);
+}
@@ -0,0 +1,518 @@
+/**
+ * Heading-Aware Markdown and reStructuredText Splitter
+ *
+ * This module splits documentation pages along their heading hierarchy, so that
+ * every chunk knows which part of the page it comes from:
+ * - A section that fits in a chunk is kept whole, together with its subsections
+ * - Larger sections are split into their own text and their subsections
+ * - Text still too large for a chunk is packed by paragraphs, never cutting
+ *   through a fenced code block or a reStructuredText literal block
+ *
+ * Each chunk gets the breadcrumb of its headings, such as
+ * `Installation > Docker > Environment variables`, in its metadata and at the
+ * top of its text, so that it is embedded with its context.
+ *
+ * @module MarkdownSplitter
+ */
+
+import { TokenTextSplitter } from 'langchain/text_splitter';
+import { Document } from 'langchain/document';
+import { findLineRanges, getFileExtension } from '../utils.js';
+
+/**
+ * Formats of the supported extensions
+ */
+const FORMATS = {
+  '.md': 'markdown',
+  '.rst': 'rst',
+};
+
+/**
+ * Average number of characters per token of prose, used to size chunks without
+ * loading the tokenizer
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Separator of the headings of a breadcrumb
+ */
+const BREADCRUMB_SEPARATOR = ' > ';
+
+/**
+ * Markdown syntax: `# Heading` lines, setext underlines, fence openings and block-level
+ * lines that cannot be setext headings
+ */
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const BLOCK_START_PATTERN = /^(\s{4}|\s*([-*+>|]|\d+[.)])(\s|$))/;
+
+/**
+ * reStructuredText syntax: section adornments, made of a single repeated punctuation
+ * character, and directives
+ */
+const RST_ADORNMENT_PATTERN = /^([!-/:-@[-`{-~])\1+[ \t]*$/;
+const RST_DIRECTIVE_PATTERN = /^\.\. [\w:-]+::/;
+
+/**
+ * A heading of a page
+ * @typedef {Object} Heading
+ * @property {number} start - Index of the first line of the heading, overline included
+ * @property {number} end - Index after the last line of the heading, underline included
+ * @property {number} level - Depth of the heading, from 1
+ * @property {string} title - Heading text, without markup
+ */
+
+/**
+ * A line range of a page to chunk
+ * @typedef {Object} SectionRange
+ * @property {number} start - Index of the first line, the heading included
+ * @property {number} contentStart - Index of the first line after the heading
+ * @property {number} end - Index after the last line
+ * @property {string[]} path - Titles of the section and its parents
+ */
+
+/**
+ * A chunk of a section
+ * @typedef {Object} SectionChunk
+ * @property {string} text - Chunk text, without the breadcrumb
+ * @property {number} [startLine] - First line of the page spanned by the chunk, from 1
+ * @property {number} [endLine] - Last line of the page spanned by the chunk
+ */
+
+/**
+ * A section of a page and its subsections
+ * @typedef {Object} SectionNode
+ * @property {number} start - Index of the first line, the heading included
+ * @property {number} contentStart - Index of the first line after the heading
+ * @property {number} end - Index after the last line of the section and its subsections
+ * @property {number} level - Depth of the heading, 0 for the text before the first heading
+ * @property {string[]} path - Titles of the section and its parents
+ * @property {SectionNode[]} children - Subsections
+ */
+
+export class MarkdownSplitter {
+  /**
+   * Creates a new MarkdownSplitter instance
+   *
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize=1000] - Maximum size of a chunk, in tokens
+   * @param {number} [options.chunkOverlap=200] - Overlap of the token windows of large paragraphs
+   * @example
+   * const splitter = new MarkdownSplitter({ chunkSize: 800 });
+   * const chunks = await splitter.splitDocument({
+   *   pageContent: '# Installation\n\n## Docker\n\nRun `docker compose up`.\n',
+   *   metadata: { path: 'README.md' },
+   * });
+   * // chunks[0].metadata.breadcrumb => 'Installation'
+   */
+  constructor({ chunkSize = 1000, chunkOverlap = 200 } = {}) {
+    this.chunkSize = chunkSize;
+    this.fallbackSplitter = new TokenTextSplitter({ chunkSize, chunkOverlap });
+  }
+
+  /**
+   * Checks whether the format of a file is supported
+   *
+   * @param {string} [filePath] - File path
+   * @returns {boolean} True if the file can be split along its headings
+   */
+  supports(filePath) {
+    return Boolean(filePath && this.getFormat(filePath));
+  }
+
+  /**
+   * Splits a documentation page along its headings
+   *
+   * @async
+   * @param {{pageContent: string, metadata: Object}} doc - Document of a Markdown or
+   * reStructuredText file
+   * @returns {Promise<Document[]|null>} Chunks with `breadcrumb`, `startLine` and `endLine`
+   * metadata, or null if the format is not supported or the page has no heading
+   */
+  async splitDocument(doc) {
+    const format = this.getFormat(doc.metadata?.path);
+    if (!format) return null;
+
+    const lines = doc.pageContent.split('\n');
+    const headings =
+      format === 'rst' ? this.findRstHeadings(lines) : this.findMarkdownHeadings(lines);
+    if (headings.length === 0) return null;
+
+    const chunks = [];
+    for (const section of this.collectSections(lines, this.buildTree(lines, headings))) {
+      const breadcrumb = section.path.join(BREADCRUMB_SEPARATOR);
+      const metadata = { ...doc.metadata, ...(breadcrumb && { breadcrumb }) };
+      const budget = this.chunkSize - this.estimateTokens(breadcrumb);
+
+      for (const { text, ...lineRange } of await this.splitSection(
+        lines,
+        section,
+        format,
+        budget
+      )) {
+        const pageContent = breadcrumb ? `${breadcrumb}\n\n${text}` : text;
+        chunks.push(new Document({ pageContent, metadata: { ...metadata, ...lineRange } }));
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Finds the ATX (`## Title`) and setext (underlined) headings of a Markdown page,
+   * leaving out fenced code blocks and front matter
+   * @private
+   * @param {string[]} lines - Lines of the page
+   * @returns {Heading[]} Headings in page order
+   */
+  findMarkdownHeadings(lines) {
+    const headings = [];
+    let fence = null;
+    let i = 0;
+
+    if (lines[0]?.trim() === '---') {
+      const close = lines.findIndex((line, j) => j > 0 && /^(---|\.\.\.)\s*$/.test(line));
+      if (close > 0) i = close + 1;
+    }
+
+    for (; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (fence) {
+        if (this.closesFence(line, fence)) fence = null;
+        continue;
+      }
+
+      const opening = line.match(FENCE_PATTERN);
+      if (opening) {
+        fence = opening[1];
+        continue;
+      }
+
+      const atx = line.match(ATX_HEADING_PATTERN);
+      if (atx) {
+        headings.push({
+          start: i,
+          end: i + 1,
+          level: atx[1].length,
+          title: this.cleanTitle(atx[2]),
+        });
+        continue;
+      }
+
+      // Only single-line paragraphs are recognized as setext headings, so that `---`
+      // under a list or a table is not mistaken for one
+      const underline = lines[i + 1]?.match(SETEXT_UNDERLINE_PATTERN);
+      if (underline && line.trim() && !BLOCK_START_PATTERN.test(line) && !lines[i - 1]?.trim()) {
+        const level = underline[1].startsWith('=') ? 1 : 2;
+        headings.push({ start: i, end: i + 2, level, title: this.cleanTitle(line) });
+        i++;
+      }
+    }
+
+    return headings.filter(({ title }) => title);
+  }
+
+  /**
+   * Finds the section titles of a reStructuredText page
+   *
+   * reStructuredText has no fixed heading levels: each adornment style, an underline
+   * or an overline and underline of a given character, gets the next level the
+   * first time it is used.
+   *
+   * @private
+   * @param {string[]} lines - Lines of the page
+   * @returns {Heading[]} Headings in page order
+   */
+  findRstHeadings(lines) {
+    const headings = [];
+    const styles = [];
+    const isAdornment = (line, length) =>
+      RST_ADORNMENT_PATTERN.test(line ?? '') && line.trim().length >= length;
+
+    for (let i = 0; i < lines.length; i++) {
+      let heading = null;
+
+      if (
+        isAdornment(lines[i], 2) &&
+        lines[i + 1]?.trim() &&
+        lines[i + 2]?.trim() === lines[i].trim() &&
+        isAdornment(lines[i + 2], lines[i + 1].trim().length)
+      ) {
+        heading = { start: i, end: i + 3, title: lines[i + 1], style: `over${lines[i][0]}` };
+      } else if (
+        lines[i].trim() &&
+        !/^\s/.test(lines[i]) &&
+        !isAdornment(lines[i], 2) &&
+        !lines[i - 1]?.trim() &&
+        isAdornment(lines[i + 1], lines[i].trimEnd().length)
+      ) {
+        heading = { start: i, end: i + 2, title: lines[i], style: `under${lines[i + 1][0]}` };
+      }
+
+      if (heading) {
+        if (!styles.includes(heading.style)) styles.push(heading.style);
+        const { start, end, title, style } = heading;
+        headings.push({ start, end, level: styles.indexOf(style) + 1, title: title.trim() });
+        i = end - 1;
+      }
+    }
+
+    return headings;
+  }
+
+  /**
+   * Nests the sections of a page under their parent headings
+   * @private
+   * @param {string[]} lines - Lines of the page
+   * @param {Heading[]} headings - Headings of the page
+   * @returns {SectionNode} Root section, holding the text before the first heading
+   */
+  buildTree(lines, headings) {
+    const root = { start: 0, contentStart: 0, end: lines.length, level: 0, path: [], children: [] };
+    const stack = [root];
+
+    for (const { start, end, level, title } of headings) {
+      while (stack[stack.length - 1].level >= level) stack.pop().end = start;
+
+      const parent = stack[stack.length - 1];
+      const node = {
+        start,
+        contentStart: end,
+        end: lines.length,
+        level,
+        path: [...parent.path, title],
+        children: [],
+      };
+      parent.children.push(node);
+      stack.push(node);
+    }
+
+    return root;
+  }
+
+  /**
+   * Lists the line ranges to chunk, keeping whole the largest sections that fit in a chunk
+   * @private
+   * @param {string[]} lines - Lines of the page
+   * @param {SectionNode} node - Section to collect
+   * @param {SectionRange[]} [sections] - Ranges collected so far
+   * @returns {SectionRange[]} Ranges in page order
+   */
+  collectSections(lines, node, sections = []) {
+    const text = lines.slice(node.start, node.end).join('\n');
+    const range = { start: node.start, contentStart: node.contentStart, path: node.path };
+    if (node.level > 0 && (node.children.length === 0 || this.fits(text, node.path))) {
+      sections.push({ ...range, end: node.end });
+      return sections;
+    }
+
+    // The text of the section before its first subsection, unless it only holds the heading
+    const bodyEnd = node.children[0]?.start ?? node.end;
+    if (lines.slice(node.contentStart, bodyEnd).some((line) => line.trim())) {
+      sections.push({ ...range, end: bodyEnd });
+    }
+
+    for (const child of node.children) this.collectSections(lines, child, sections);
+    return sections;
+  }
+
+  /**
+   * Splits the text of a section into chunks of up to `budget` tokens, packing whole blocks
+   * @private
+   * @param {string[]} lines - Lines of the page
+   * @param {SectionRange} section - Line range of the section
+   * @param {string} format - `markdown` or `rst`
+   * @param {number} budget - Maximum size of a chunk, in tokens
+   * @returns {Promise<SectionChunk[]>} Chunk texts and the lines they span
+   */
+  async splitSection(lines, { start, contentStart, end }, format, budget) {
+    const excerpt = (from, to) => lines.slice(from, to).join('\n');
+    const locate = (from, to, texts) => {
+      const lineRanges = findLineRanges(excerpt(from, to), texts, from + 1);
+      return texts.map((text, i) => ({ text, ...lineRanges[i] }));
+    };
+
+    const text = excerpt(start, end).trim();
+    if (!text) return [];
+    if (this.estimateTokens(text) <= budget) return locate(start, end, [text]);
+
+    const chunks = [];
+    let packed = null;
+    // Blocks are packed until the next one does not fit, a heading is never left alone
+    const flush = () => {
+      if (packed && packed.end > contentStart) {
+        chunks.push(
+          ...locate(packed.start, packed.end, [excerpt(packed.start, packed.end).trim()])
+        );
+      }
+      packed = null;
+    };
+
+    for (const block of this.findBlocks(lines, start, end, format)) {
+      if (packed && this.estimateTokens(excerpt(packed.start, block.end)) <= budget) {
+        packed.end = block.end;
+      } else if (this.estimateTokens(excerpt(block.start, block.end)) <= budget) {
+        flush();
+        packed = { start: block.start, end: block.end };
+      } else if (block.fence) {
+        flush();
+        chunks.push(...this.splitFence(lines, block, budget));
+      } else {
+        const from = packed?.start ?? block.start;
+        chunks.push(
+          ...locate(
+            from,
+            block.end,
+            await this.fallbackSplitter.splitText(excerpt(from, block.end))
+          )
+        );
+        packed = null;
+      }
+    }
+    flush();
+
+    return chunks.filter((chunk) => chunk.text);
+  }
+
+  /**
+   * Cuts a line range into blocks separated by blank lines, each fenced code block or
+   * reStructuredText literal block making a single block
+   * @private
+   * @param {string[]} lines - Lines of the page
+   * @param {number} start - Index of the first line
+   * @param {number} end - Index after the last line
+   * @param {string} format - `markdown` or `rst`
+   * @returns {Array<{start: number, end: number, fence?: string}>} Blocks in page order
+   */
+  findBlocks(lines, start, end, format) {
+    const blocks = [];
+    let block = null;
+
+    for (let i = start; i < end; i++) {
+      const line = lines[i];
+
+      if (block?.fence && !block.closed) {
+        block.end = i + 1;
+        if (i > block.start && this.closesFence(line, block.fence)) block.closed = true;
+        continue;
+      }
+
+      if (!line.trim()) {
+        block = null;
+        continue;
+      }
+
+      const previous = blocks[blocks.length - 1];
+      const opening = format === 'markdown' && line.match(FENCE_PATTERN);
+      if (opening) {
+        block = { start: i, end: i + 1, fence: opening[1] };
+        blocks.push(block);
+      } else if (block && !block.fence) {
+        block.end = i + 1;
+      } else if (format === 'rst' && /^\s/.test(line) && previous?.literal) {
+        // Indented lines after `::` or a directive belong to the literal block, blank lines too
+        block = previous;
+        block.end = i + 1;
+      } else {
+        block = { start: i, end: i + 1 };
+        blocks.push(block);
+      }
+
+      if (format === 'rst' && !block.fence) {
+        block.literal ||= line.trimEnd().endsWith('::') || RST_DIRECTIVE_PATTERN.test(line);
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Splits a fenced code block too large for a chunk at line boundaries, each part
+   * wrapped in the fence of the block so that it stays a valid code block
+   * @private
+   * @param {string[]} lines - Lines of the page
+   * @param {{start: number, end: number, fence: string}} block - Fenced code block
+   * @param {number} budget - Maximum size of a part, in tokens
+   * @returns {SectionChunk[]} Parts of the block
+   */
+  splitFence(lines, { start, end, fence }, budget) {
+    const opening = lines[start];
+    const closed = end - 1 > start && this.closesFence(lines[end - 1], fence);
+    const codeEnd = closed ? end - 1 : end;
+    const wrapperLength = opening.length + fence.length + 2;
+
+    const ranges = [];
+    let partStart = start + 1;
+    let partLength = wrapperLength;
+    for (let i = start + 1; i < codeEnd; i++) {
+      partLength += lines[i].length + 1;
+      if (i > partStart && partLength / CHARS_PER_TOKEN > budget) {
+        ranges.push([partStart, i]);
+        partStart = i;
+        partLength = wrapperLength + lines[i].length + 1;
+      }
+    }
+    if (codeEnd > partStart) ranges.push([partStart, codeEnd]);
+
+    // The first and last parts also span the lines of the fences
+    return ranges.map(([from, to], i) => ({
+      text: [opening, ...lines.slice(from, to), fence].join('\n'),
+      startLine: i === 0 ? start + 1 : from + 1,
+      endLine: i === ranges.length - 1 ? end : to,
+    }));
+  }
+
+  /**
+   * Checks whether a line closes a fenced code block
+   * @private
+   */
+  closesFence(line, fence) {
+    const trimmed = line.trim();
+    return (
+      trimmed.length >= fence.length &&
+      /^ {0,3}\S/.test(line) &&
+      [...trimmed].every((char) => char === fence[0])
+    );
+  }
+
+  /**
+   * Removes inline markup and anchors from a heading
+   * @private
+   */
+  cleanTitle(title) {
+    return title
+      .replace(/\s*\{#[\w-]+\}\s*$/, '')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\*\*|__|`/g, '')
+      .trim();
+  }
+
+  /**
+   * Checks whether a text fits in a chunk once its breadcrumb is prepended
+   * @private
+   */
+  fits(text, path) {
+    return (
+      this.estimateTokens(text) + this.estimateTokens(path.join(BREADCRUMB_SEPARATOR)) <=
+      this.chunkSize
+    );
+  }
+
+  /**
+   * Finds the format of a file from its extension
+   * @private
+   */
+  getFormat(filePath) {
+    return FORMATS[getFileExtension(filePath)];
+  }
+
+  /**
+   * Estimates the number of tokens of a text
+   * @private
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Repository Path Filter
+ *
+ * This module decides which files of a repository get indexed. It combines:
+ * - The default file extensions and excluded directories
+ * - Per-repository `include`/`exclude` globs, written in .gitignore syntax
+ * - `.gitignore` and `.ragignore` files found anywhere in the repository
+ *
+ * Every rejection carries the rule that caused it, so that skipped paths
+ * can be reported.
+ *
+ * @module PathFilter
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ignore from 'ignore';
+import { getFileExtension, shouldProcessFile, shouldExcludeDirectory } from '../utils.js';
+
+/**
+ * Outcome of checking a path against the filter
+ * @typedef {Object} FilterDecision
+ * @property {boolean} included - True if the path should be indexed
+ * @property {string} [reason] - Rule that excluded the path, e.g. `.gitignore: *.log`
+ */
+
+/**
+ * Filter rules of a repository configuration
+ * @typedef {Object} FilterRules
+ * @property {string[]} [include] - Only index files matching one of these globs
+ * @property {string[]} [exclude] - Never index paths matching one of these globs
+ * @property {boolean} [respectGitignore=true] - Skip paths ignored by `.gitignore` files
+ */
+
+const INCLUDED = { included: true };
+
+export class PathFilter {
+  /**
+   * Creates a filter for a working tree
+   *
+   * @param {string} rootPath - Local path of the working tree
+   * @param {FilterRules} [rules] - Repository filter rules
+   * @example
+   * const filter = new PathFilter('./github_repos/my-repo', { exclude: ['fixtures/', '*.min.js'] });
+   * filter.checkFile('src/vendor/jquery.min.js'); // { included: false, reason: 'exclude: *.min.js' }
+   */
+  constructor(rootPath, { include, exclude, respectGitignore = true } = {}) {
+    this.rootPath = rootPath;
+    this.include = include?.length ? ignore().add(include) : null;
+    this.exclude = ignore().add(exclude ?? []);
+    this.ignoreFileNames = respectGitignore ? ['.gitignore', '.ragignore'] : ['.ragignore'];
+    this.ignoreFilesCache = new Map();
+  }
+
+  /**
+   * Checks whether a directory should be traversed
+   *
+   * @param {string} relativePath - Directory path relative to the root, using `/` separators
+   * @returns {FilterDecision} Decision for the directory
+   */
+  checkDirectory(relativePath) {
+    const name = path.posix.basename(relativePath);
+    if (shouldExcludeDirectory(name)) {
+      return { included: false, reason: `default exclude: ${name}` };
+    }
+
+    return this.checkIgnoreRules(`${relativePath}/`);
+  }
+
+  /**
+   * Checks whether a file should be indexed, assuming its directories are traversed
+   *
+   * @param {string} relativePath - File path relative to the root, using `/` separators
+   * @returns {FilterDecision} Decision for the file
+   */
+  checkFile(relativePath) {
+    const decision = this.checkIgnoreRules(relativePath);
+    if (!decision.included) return decision;
+
+    if (this.include) {
+      return this.include.ignores(relativePath)
+        ? INCLUDED
+        : { included: false, reason: 'include: no matching glob' };
+    }
+
+    return shouldProcessFile(relativePath)
+      ? INCLUDED
+      : {
+          included: false,
+          reason: `unsupported file type: ${getFileExtension(relativePath) || 'no extension'}`,
+        };
+  }
+
+  /**
+   * Checks a file and every directory leading to it
+   *
+   * Used for paths that are not reached by traversal, such as the files of a git diff.
+   *
+   * @param {string} relativePath - File path relative to the root, using `/` separators
+   * @returns {FilterDecision} Decision for the file
+   */
+  checkPath(relativePath) {
+    const segments = relativePath.split('/');
+
+    for (let i = 1; i < segments.length; i++) {
+      const decision = this.checkDirectory(segments.slice(0, i).join('/'));
+      if (!decision.included) return decision;
+    }
+
+    return this.checkFile(relativePath);
+  }
+
+  /**
+   * Applies the configured exclude globs, then the ignore files of every parent directory,
+   * from the root down
+   * @private
+   */
+  checkIgnoreRules(relativePath) {
+    const excluded = this.exclude.test(relativePath);
+    if (excluded.ignored) {
+      return { included: false, reason: `exclude: ${excluded.rule.pattern}` };
+    }
+
+    const trailingSlash = relativePath.endsWith('/') ? '/' : '';
+    const segments = relativePath.replace(/\/$/, '').split('/');
+
+    // Rules of a nested ignore file are relative to its own directory, and the deepest
+    // file with a matching rule decides, so that its `!negations` re-include paths
+    let decision = INCLUDED;
+    for (let i = 0; i < segments.length; i++) {
+      const dir = segments.slice(0, i).join('/');
+      const pathInDir = path.posix.relative(dir || '.', relativePath) + trailingSlash;
+
+      for (const { source, matcher } of this.loadIgnoreFiles(dir)) {
+        const result = matcher.test(pathInDir);
+        if (result.ignored) {
+          decision = { included: false, reason: `${source}: ${result.rule.pattern}` };
+        } else if (result.unignored) {
+          decision = INCLUDED;
+        }
+      }
+    }
+
+    return decision;
+  }
+
+  /**
+   * Loads the ignore files of a directory, once
+   * @private
+   * @param {string} dir - Directory path relative to the root
+   * @returns {Array<{source: string, matcher: Object}>} Parsed ignore files
+   */
+  loadIgnoreFiles(dir) {
+    if (!this.ignoreFilesCache.has(dir)) {
+      const ignoreFiles = [];
+
+      for (const fileName of this.ignoreFileNames) {
+        const source = dir ? `${dir}/${fileName}` : fileName;
+        try {
+          const rules = fs.readFileSync(path.join(this.rootPath, source), 'utf-8');
+          ignoreFiles.push({ source, matcher: ignore().add(rules) });
+        } catch {
+          // No ignore file of this kind in the directory
+        }
+      }
+
+      this.ignoreFilesCache.set(dir, ignoreFiles);
+    }
+
+    return this.ignoreFilesCache.get(dir);
+  }
+}
@@ -1,21 +1,46 @@
 /**
  * Qdrant Vector Database Service
  *
- * This module provides an interface to the Qdrant vector database for:
- * - Managing collections of vector embeddings
- * - Upserting documents with their embeddings
- * - Performing similarity searches
+ * This module implements the vector store on the Qdrant vector database:
+ * - Managing collections of vector embeddings, and the aliases pointing to them
+ * - Upserting points in batches, retried on dropped connections
+ * - Reading points by id or filter, and deleting them by id
+ * - Searching the dense and BM25 vectors, with the payload indexes of search filters
  *
  * Key features:
  * - Automatic retry mechanism
  * - Connection pooling
  * - Error handling
- * - Rate limiting
+ * - Bounded request parallelism
  *
  * @module QdrantService
  */
 
 import { QdrantClient } from '@qdrant/js-client-rest';
+import { VectorStore } from './vector-store.js';
+
+/**
+ * Names of the dense embedding and of the sparse BM25 vector of each point
+ */
+const DENSE_VECTOR = 'dense';
+const LEXICAL_VECTOR = 'lexical';
+
+/**
+ * Number of attempts of an upsert request failing on a dropped connection
+ */
+const MAX_UPSERT_ATTEMPTS = 3;
+
+/**
+ * Payload fields indexed for filtering, most of them in the locations of chunks.
+ * `directories` lists the parent directories of the path of a file, so that path
+ * prefixes are matched as keywords.
+ */
+const PAYLOAD_INDEXES = [
+  'kind',
+  ...['repo', 'ref', 'path', 'directories', 'language', 'fileType'].map(
+    (field) => `locations[].${field}`
+  ),
+];
 
 /**
  * Default client configuration for optimal performance
@@ -37,7 +62,7 @@ const DEFAULT_CLIENT_CONFIG = {
   },
 };
 
-export class QdrantService {
+export class QdrantService extends VectorStore {
   /**
    * Creates a new Qdrant service instance
    *
@@ -46,21 +71,26 @@ export class QdrantService {
    * const qdrant = new QdrantService('http://localhost:6333');
    */
   constructor(url = 'http://localhost:6333') {
+    super();
     this.client = new QdrantClient({ url, ...DEFAULT_CLIENT_CONFIG });
   }
 
   /**
    * Initializes or reinitializes a collection
    *
+   * Points get a dense vector and a sparse BM25 vector, whose inverse document
+   * frequencies Qdrant keeps up to date. The payload fields of search filters are
+   * indexed.
+   *
    * @param {string} collectionName - Name of the collection
-   * @param {number} vectorSize - Size of the embedding vectors
+   * @param {number} vectorSize - Size of the embedding vectors, from the model profile
    * @returns {Promise<void>}
    * @throws {Error} If collection creation fails
    *
    * @example
-   * await qdrant.initializeCollection('code_embeddings', 1024);
+   * await qdrant.initializeCollection('code_embeddings', documentProcessor.getDimension());
    */
-  async initializeCollection(collectionName, vectorSize = 1024) {
+  async initializeCollection(collectionName, vectorSize) {
     try {
       // Remove existing collection if any
       await this.client.deleteCollection(collectionName).catch(() => {
@@ -70,11 +100,24 @@ export class QdrantService {
       // Create new collection
       await this.client.createCollection(collectionName, {
         vectors: {
-          size: vectorSize,
-          distance: 'Cosine', // Cosine similarity for embeddings
+          [DENSE_VECTOR]: {
+            size: vectorSize,
+            distance: 'Cosine', // Cosine similarity for embeddings
+          },
+        },
+        sparse_vectors: {
+          [LEXICAL_VECTOR]: { modifier: 'idf' },
         },
       });
 
+      for (const field of PAYLOAD_INDEXES) {
+        await this.client.createPayloadIndex(collectionName, {
+          field_name: field,
+          field_schema: 'keyword',
+          wait: true,
+        });
+      }
+
       console.log(`✅ Collection ${collectionName} initialized`);
     } catch (error) {
       console.error(`❌ Failed to initialize collection: ${error.message}`);
@@ -83,22 +126,215 @@ export class QdrantService {
   }
 
   /**
-   * Inserts or updates a document with rate limiting and retry
+   * Checks whether a collection exists
    *
-   * @param {string} collectionName - Target collection
-   * @param {string|number} id - Unique document identifier
-   * @param {Float32Array|number[]} vector - Embedding vector
-   * @param {Object} payload - Document metadata
-   * @returns {Promise<Object>} Upsert operation result
-   * @throws {Error} If upsert fails after retries
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<boolean>} True if the collection exists
+   */
+  async collectionExists(collectionName) {
+    const { exists } = await this.client.collectionExists(collectionName);
+    return exists;
+  }
+
+  /**
+   * Lists the collections of the server
+   *
+   * @returns {Promise<string[]>} Collection names
+   */
+  async listCollections() {
+    const { collections } = await this.client.getCollections();
+    return collections.map(({ name }) => name);
+  }
+
+  /**
+   * Deletes a collection
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<void>}
+   */
+  async deleteCollection(collectionName) {
+    await this.client.deleteCollection(collectionName);
+  }
+
+  /**
+   * Returns the collection an alias points to
+   *
+   * @param {string} alias - Name of the alias
+   * @returns {Promise<string|null>} Collection name, null if the alias does not exist
+   */
+  async getAliasTarget(alias) {
+    const { aliases } = await this.client.getAliases();
+    return aliases.find(({ alias_name: name }) => name === alias)?.collection_name ?? null;
+  }
+
+  /**
+   * Points an alias to a collection, atomically for the clients reading through it
+   *
+   * @param {string} alias - Name of the alias, created if missing
+   * @param {string} collectionName - Collection to point to
+   * @returns {Promise<void>}
    *
    * @example
-   * await qdrant.upsertDocument('code_embeddings', 'file1',
-   *   embeddings,
-   *   { path: 'src/file1.js', content: '...' }
-   * );
+   * await qdrant.switchAlias('github_code', 'github_code_20250101120000');
+   */
+  async switchAlias(alias, collectionName) {
+    const actions = [{ create_alias: { alias_name: alias, collection_name: collectionName } }];
+    if (await this.getAliasTarget(alias)) {
+      actions.unshift({ delete_alias: { alias_name: alias } });
+    }
+    await this.client.updateCollectionAliases({ actions });
+  }
+
+  /**
+   * Counts the points of a collection
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<number>} Exact number of points
+   */
+  async countPoints(collectionName) {
+    const { count } = await this.client.count(collectionName, { exact: true });
+    return count;
+  }
+
+  /**
+   * Returns the id and dense vector of one point of a collection
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<{id: string|number, vector: number[]}|null>} A point, null if the
+   * collection is empty
+   */
+  async getSamplePoint(collectionName) {
+    const { points } = await this.client.scroll(collectionName, {
+      limit: 1,
+      with_payload: false,
+      with_vector: [DENSE_VECTOR],
+    });
+    const [point] = points;
+    return point ? { id: point.id, vector: point.vector[DENSE_VECTOR] } : null;
+  }
+
+  /**
+   * Reads the points of a collection, with their vectors and payload
+   *
+   * Collections built before hybrid search have no BM25 vectors, their points are read
+   * with a null `sparseVector`.
+   *
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=256] - Number of points per request
+   * @param {import('./vector-store.js').Filter|null} [options.filter] - Only read the points
+   * matching this filter
+   * @param {boolean} [options.withVectors=true] - Whether to read the vectors, or only ids and
+   * payloads
+   * @yields {import('./vector-store.js').Point[]} Batches of points, without the monitoring
+   * fields of their payload
+   */
+  async *scrollPoints(collectionName, { batchSize = 256, filter = null, withVectors = true } = {}) {
+    const { named } = await this.getCollectionLayout(collectionName);
+    let offset;
+    do {
+      const page = await this.client.scroll(collectionName, {
+        limit: batchSize,
+        offset,
+        with_payload: true,
+        with_vector: withVectors,
+        ...(filter && { filter }),
+      });
+      yield page.points.map((point) => this.fromQdrantPoint(point, named));
+      offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+  }
+
+  /**
+   * Reads points by id, with their vectors and payload
+   *
+   * @param {string} collectionName - Name of the collection
+   * @param {Array<string|number>} ids - Point identifiers
+   * @returns {Promise<import('./vector-store.js').Point[]>} Points found, missing ids are
+   * left out
    */
-  async upsertDocument(collectionName, id, vector, payload) {
+  async retrievePoints(collectionName, ids) {
+    if (ids.length === 0) return [];
+
+    const { named } = await this.getCollectionLayout(collectionName);
+    const points = await this.client.retrieve(collectionName, {
+      ids,
+      with_payload: true,
+      with_vector: true,
+    });
+    return points.map((point) => this.fromQdrantPoint(point, named));
+  }
+
+  /**
+   * Deletes points by id
+   *
+   * @param {string} collectionName - Target collection
+   * @param {Array<string|number>} ids - Point identifiers
+   * @returns {Promise<void>}
+   * @throws {Error} If deletion fails
+   */
+  async deletePoints(collectionName, ids) {
+    if (ids.length === 0) return;
+
+    try {
+      await this.client.delete(collectionName, { wait: true, points: ids });
+    } catch (error) {
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describes the vectors and payload indexes of a collection
+   * @private
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<import('./vector-store.js').CollectionLayout>} Collection layout
+   */
+  async getCollectionLayout(collectionName) {
+    const { config, payload_schema: payloadSchema } = await this.client.getCollection(
+      collectionName
+    );
+    const { vectors, sparse_vectors: sparseVectors } = config.params;
+    const named = vectors?.size === undefined;
+    return {
+      vectorSize: (named ? vectors?.[DENSE_VECTOR]?.size : vectors.size) ?? null,
+      named,
+      lexical: Boolean(sparseVectors?.[LEXICAL_VECTOR]),
+      filterable: PAYLOAD_INDEXES.every((field) => payloadSchema?.[field]),
+    };
+  }
+
+  /**
+   * Searches the dense vectors, by cosine similarity
+   * @private
+   */
+  async searchDense(collectionName, vector, limit, filter, layout) {
+    const query = Array.from(vector);
+    return this.client.search(collectionName, {
+      vector: layout.named ? { name: DENSE_VECTOR, vector: query } : query,
+      limit,
+      with_payload: true,
+      ...(filter && { filter }),
+    });
+  }
+
+  /**
+   * Searches the BM25 vectors, weighted by the inverse document frequencies of the terms
+   * @private
+   */
+  async searchLexical(collectionName, sparseVector, limit, filter) {
+    return this.client.search(collectionName, {
+      vector: { name: LEXICAL_VECTOR, vector: sparseVector },
+      limit,
+      with_payload: true,
+      ...(filter && { filter }),
+    });
+  }
+
+  /**
+   * Converts a point to the format of the Qdrant API, with monitoring fields
+   * @private
+   */
+  toQdrantPoint({ id, vector, sparseVector, payload }) {
     const dataSize = this.calculateDataSize({ id, vector, payload });
 
     // Warn about large documents
@@ -107,62 +343,55 @@ export class QdrantService {
       console.warn(`⚠️ Large document detected (${dataSize} bytes)`);
     }
 
-    try {
-      // Rate limiting delay
-      await this.rateLimit();
-
-      const response = await this.client.upsert(collectionName, {
-        wait: true,
-        points: [
-          {
-            id,
-            vector: Array.from(vector),
-            payload: {
-              ...payload,
-              _size: dataSize, // For monitoring
-              _timestamp: Date.now(),
-            },
-          },
-        ],
-      });
+    return {
+      id,
+      vector: { [DENSE_VECTOR]: Array.from(vector), [LEXICAL_VECTOR]: sparseVector },
+      payload: {
+        ...payload,
+        _size: dataSize, // For monitoring
+        _timestamp: Date.now(),
+      },
+    };
+  }
 
-      console.log(`✅ Document ${id} upserted (${dataSize} bytes)`);
-      return response;
-    } catch (error) {
-      if (this.isRetryableError(error)) {
-        console.warn(`⚠️ Retrying upsert for document ${id}`);
-        await this.delay(2000);
-        return this.upsertDocument(collectionName, id, vector, payload);
-      }
-      throw new Error(`Upsert failed: ${error.message}`);
-    }
+  /**
+   * Converts a point read from the Qdrant API, dropping the monitoring fields
+   * @private
+   */
+  fromQdrantPoint({ id, vector, payload: { _size, _timestamp, ...payload } }, named) {
+    return {
+      id,
+      vector: named ? vector?.[DENSE_VECTOR] : vector,
+      sparseVector: (named && vector?.[LEXICAL_VECTOR]) || null,
+      payload,
+    };
   }
 
   /**
-   * Searches for similar documents using vector similarity
-   *
-   * @param {string} collectionName - Collection to search in
-   * @param {Float32Array|number[]} vector - Query vector
-   * @param {number} limit - Maximum number of results
-   * @returns {Promise<Array>} Similar documents with scores
-   * @throws {Error} If search fails
-   *
-   * @example
-   * const results = await qdrant.searchSimilar('code_embeddings',
-   *   queryEmbeddings,
-   *   5
-   * );
+   * Upserts a batch of points in one request
+   * @private
+   */
+  async upsertPoints(collectionName, points) {
+    await this.sendUpsert(
+      collectionName,
+      points.map((point) => this.toQdrantPoint(point))
+    );
+  }
+
+  /**
+   * Sends one upsert request, retrying on dropped connections
+   * @private
    */
-  async searchSimilar(collectionName, vector, limit = 5) {
+  async sendUpsert(collectionName, points, attempt = 1) {
     try {
-      return await this.client.search(collectionName, {
-        vector: Array.from(vector),
-        limit,
-        with_payload: true,
-      });
+      await this.client.upsert(collectionName, { wait: true, points });
     } catch (error) {
-      console.error('Search failed:', error.message);
-      throw error;
+      if (this.isRetryableError(error) && attempt < MAX_UPSERT_ATTEMPTS) {
+        console.warn(`⚠️ Retrying upsert of ${points.length} points`);
+        await this.delay(2000 * attempt);
+        return this.sendUpsert(collectionName, points, attempt + 1);
+      }
+      throw new Error(`Upsert failed: ${error.message}`);
     }
   }
 
@@ -174,14 +403,6 @@ export class QdrantService {
     return JSON.stringify(data).length;
   }
 
-  /**
-   * Implements rate limiting delay
-   * @private
-   */
-  async rateLimit() {
-    await this.delay(100);
-  }
-
   /**
    * Utility method for delays
    * @private
@@ -0,0 +1,243 @@
+/**
+ * Secret Scanner
+ *
+ * This module keeps credentials out of the index, and therefore out of the
+ * context sent to the LLM and returned by the API. It detects:
+ * - Private key blocks
+ * - API keys and tokens of well-known services (AWS, GitHub, Slack, Google,
+ *   Stripe, Hugging Face, OpenAI) and JSON web tokens
+ * - Passwords and secrets assigned in code, configuration and `.env` files,
+ *   and credentials embedded in URLs
+ * - High-entropy strings that look like random keys
+ *
+ * Depending on its mode, the scanner redacts the secrets it finds or drops the
+ * whole content. Findings never include the secret itself.
+ *
+ * @module SecretScanner
+ */
+
+/**
+ * Supported modes: redact secrets, drop the content holding them, or skip scanning
+ */
+export const SECRETS_MODES = ['redact', 'drop', 'off'];
+
+/**
+ * Text replacing a redacted secret, chosen to remain a valid YAML or TOML value
+ */
+const REDACTED = 'REDACTED';
+
+/**
+ * Patterns of known secret formats, `group` selecting the secret part of the match, and the
+ * `skip` flags leaving out values that do not look like secrets
+ */
+const SECRET_RULES = [
+  {
+    rule: 'private key',
+    pattern:
+      /-----BEGIN ([A-Z]+ )?PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END ([A-Z]+ )?PRIVATE KEY( BLOCK)?-----/dg,
+  },
+  { rule: 'AWS access key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/dg },
+  { rule: 'GitHub token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{60,})\b/dg },
+  { rule: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/dg },
+  { rule: 'Google API key', pattern: /\bAIza[\w-]{35}/dg },
+  { rule: 'Stripe key', pattern: /\b[rs]k_live_[0-9A-Za-z]{20,}/dg },
+  { rule: 'Hugging Face token', pattern: /\bhf_[A-Za-z0-9]{30,}/dg },
+  { rule: 'OpenAI key', pattern: /\bsk-(proj-)?[\w-]{32,}/dg },
+  { rule: 'JSON web token', pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/dg },
+  {
+    rule: 'credentials in URL',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s:@/]{3,})@/dgi,
+    group: 1,
+    skipPlaceholders: true,
+  },
+  {
+    // Quoted values assigned to a key such as `password`, `api_key` or `clientSecret`
+    rule: 'password',
+    pattern:
+      /(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\w*["']?\s*[:=]\s*(["'])([^"'\s]{6,})\1/dgi,
+    group: 2,
+    skipPlaceholders: true,
+    skipWords: true,
+  },
+  {
+    // Unquoted values of `.env` style variables such as `DB_PASSWORD=...`
+    rule: 'password',
+    pattern:
+      /^[ \t]*(?:export[ \t]+)?\w*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|PRIVATE_KEY)\w*[ \t]*=[ \t]*([^\s#'"]{6,})/dgm,
+    group: 1,
+    skipPlaceholders: true,
+    skipWords: true,
+  },
+  {
+    // Unquoted YAML values, which in code would rather be references such as `config.password`
+    rule: 'password',
+    pattern:
+      /^[ \t]*[\w.-]*(?:password|passwd|secret|token|api_?key)[\w.-]*[ \t]*:[ \t]+([^\s#'"(){};,]{6,})[ \t]*$/dgim,
+    group: 1,
+    skipPlaceholders: true,
+    skipWords: true,
+    skipIdentifiers: true,
+  },
+];
+
+/**
+ * Values that are obviously not real secrets: references, templates and examples
+ */
+const PLACEHOLDER_PATTERN =
+  /^(\$|<|%|\{\{|\*+$|x+$|\.\.\.|your|change_?me|example|dummy|sample|placeholder|redacted|fake|test|password$|secret$|none$|null$|undefined$|todo)/i;
+
+/**
+ * Identifiers and property accesses, e.g. `hashedPassword` or `process.env.API_KEY`
+ */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+/**
+ * Short plain words, e.g. the `redact` of `secretsMode = 'redact'`, which name a setting
+ * rather than hold a secret
+ */
+const PLAIN_WORD_PATTERN = /^[A-Za-z][A-Za-z_-]{0,10}$/;
+
+/**
+ * Candidates of the high-entropy check: long runs of base64 or URL-safe characters, `=`
+ * only as trailing base64 padding so that assignments such as `threshold=0` are left out
+ */
+const HIGH_ENTROPY_PATTERN = /(?<![\w+/=-])[\w+/-]{24,}={0,2}(?![\w+/=-])/dg;
+
+/**
+ * Fraction of the highest possible entropy of a string above which it looks random
+ */
+const HIGH_ENTROPY_RATIO = 0.85;
+
+/**
+ * A secret found in a text
+ * @typedef {Object} SecretFinding
+ * @property {number} line - Line number where the secret starts, from 1
+ * @property {string} rule - Kind of secret, e.g. `AWS access key` or `high-entropy string`
+ * @property {string} preview - First characters of the secret, the rest masked
+ */
+
+/**
+ * Result of scanning a text
+ * @typedef {Object} ScanResult
+ * @property {string|null} content - Text with its secrets redacted, or null if it was dropped
+ * @property {SecretFinding[]} findings - Secrets found, in text order
+ */
+
+export class SecretScanner {
+  /**
+   * Creates a new SecretScanner instance
+   *
+   * @param {Object} [options]
+   * @param {string} [options.mode='redact'] - `redact` secrets, `drop` the content holding them,
+   * or `off` to index content as is
+   * @example
+   * const scanner = new SecretScanner({ mode: 'drop' });
+   * const { content, findings } = scanner.scan('AWS_SECRET_ACCESS_KEY=wJalrXUtnFEMI/K7MDENG');
+   * // content === null, findings[0].rule === 'password'
+   */
+  constructor({ mode = 'redact' } = {}) {
+    if (!SECRETS_MODES.includes(mode)) {
+      throw new Error(`Invalid secrets mode: ${mode} (expected ${SECRETS_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Finds the secrets of a text, then redacts them or drops the text according to the mode
+   *
+   * @param {string} content - Text to scan
+   * @returns {ScanResult} Redacted text and findings
+   */
+  scan(content) {
+    if (this.mode === 'off') return { content, findings: [] };
+
+    const matches = this.findSecrets(content);
+    if (matches.length === 0) return { content, findings: [] };
+
+    const findings = matches.map(({ start, end, rule }) => ({
+      line: content.slice(0, start).split('\n').length,
+      rule,
+      preview: this.mask(content.slice(start, end)),
+    }));
+
+    if (this.mode === 'drop') return { content: null, findings };
+
+    // Replace from the end so that the offsets of earlier matches stay valid, and keep the line
+    // breaks of multi-line secrets so that the lines that follow keep their numbers
+    let redacted = content;
+    for (const { start, end } of [...matches].reverse()) {
+      const lineBreaks = '\n'.repeat(content.slice(start, end).split('\n').length - 1);
+      redacted = `${redacted.slice(0, start)}${REDACTED}${lineBreaks}${redacted.slice(end)}`;
+    }
+    return { content: redacted, findings };
+  }
+
+  /**
+   * Lists the secrets of a text, without overlaps
+   * @private
+   * @param {string} content - Text to scan
+   * @returns {Array<{start: number, end: number, rule: string}>} Secret offsets, in text order
+   */
+  findSecrets(content) {
+    const matches = [];
+    const overlaps = (start, end) =>
+      matches.some((match) => start < match.end && end > match.start);
+
+    for (const {
+      rule,
+      pattern,
+      group = 0,
+      skipPlaceholders,
+      skipWords,
+      skipIdentifiers,
+    } of SECRET_RULES) {
+      for (const match of content.matchAll(pattern)) {
+        const [start, end] = match.indices[group];
+        if (skipPlaceholders && PLACEHOLDER_PATTERN.test(match[group])) continue;
+        if (skipWords && PLAIN_WORD_PATTERN.test(match[group])) continue;
+        if (skipIdentifiers && IDENTIFIER_PATTERN.test(match[group])) continue;
+        if (!overlaps(start, end)) matches.push({ start, end, rule });
+      }
+    }
+
+    for (const match of content.matchAll(HIGH_ENTROPY_PATTERN)) {
+      const [start, end] = match.indices[0];
+      if (this.looksRandom(match[0]) && !overlaps(start, end)) {
+        matches.push({ start, end, rule: 'high-entropy string' });
+      }
+    }
+
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Tells random keys from identifiers, paths and words by their character mix and entropy
+   * @private
+   * @param {string} value - Candidate string
+   * @returns {boolean} True if the string looks like a random key
+   */
+  looksRandom(value) {
+    if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value)) return false;
+
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) ?? 0) + 1);
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+      const probability = count / value.length;
+      entropy -= probability * Math.log2(probability);
+    }
+
+    // A string cannot use more distinct characters than its length or the 64 base64 characters
+    return entropy >= HIGH_ENTROPY_RATIO * Math.log2(Math.min(value.length, 64));
+  }
+
+  /**
+   * Masks a secret for reports, keeping its first characters
+   * @private
+   */
+  mask(secret) {
+    const visible = secret.slice(0, Math.min(4, Math.floor(secret.length / 4)));
+    return `${visible}${'*'.repeat(Math.min(secret.length - visible.length, 16))}`;
+  }
+}
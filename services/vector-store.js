@@ -0,0 +1,881 @@
+/**
+ * Vector Store
+ *
+ * This module defines what the indexer and the query side expect from a vector
+ * store, and implements the parts that do not depend on where vectors are kept:
+ * - Upserting points in bulk, with bounded request parallelism
+ * - Storing exact and near-duplicate file chunks once, with the location of every copy
+ * - Removing outdated documents by repository, path or kind
+ * - Performing hybrid searches, fusing dense and BM25 rankings
+ * - Restricting searches by repository, ref, path prefix, language and file type
+ * - Refusing to search a collection built with another embedding model
+ *
+ * Stores extend `VectorStore` and implement the storage itself: collections and
+ * the aliases pointing to them (`initializeCollection`, `collectionExists`,
+ * `listCollections`, `deleteCollection`, `getAliasTarget`, `switchAlias`),
+ * `countPoints`, `getSamplePoint`, `scrollPoints`, `retrievePoints`, `deletePoints`,
+ * and the private `getCollectionLayout`, `upsertPoints`, `searchDense` and
+ * `searchLexical`.
+ *
+ * Each point lists in `locations` where its chunk occurs, the first location being
+ * the one described by the rest of the payload. Search filters and deletions match
+ * locations, so that a chunk shared by several files is found from any of them, and
+ * stays stored until its last copy is removed. Only the first copies are listed, so that
+ * chunks found in many files, such as license headers, keep a bounded payload: a chunk
+ * with unlisted copies is kept once its listed ones are removed, left without locations
+ * until a copy is stored again.
+ *
+ * Filters use the syntax of Qdrant, restricted to `must`, `should` and `must_not`
+ * lists of conditions, each one a nested filter, a `{ key, match }` condition
+ * matching a `value` or `any` of several values, or a `{ nested: { key, filter } }`
+ * condition matching one of the objects listed in a field.
+ *
+ * @module VectorStore
+ */
+
+import { FILE_TYPES, mapConcurrent } from '../utils.js';
+
+/**
+ * Default share of the lexical ranking in hybrid search, from 0 (dense only) to 1
+ */
+const DEFAULT_LEXICAL_WEIGHT = 0.5;
+
+/**
+ * Rank constant of reciprocal rank fusion, damping the weight of top ranks
+ */
+const RRF_K = 60;
+
+/**
+ * Number of candidates fetched from each ranking per result, before fusion
+ */
+const CANDIDATES_PER_RESULT = 4;
+
+/**
+ * Default number of points per upsert request, and of requests in flight
+ */
+const DEFAULT_UPSERT_BATCH_SIZE = 16;
+const DEFAULT_UPSERT_CONCURRENCY = 4;
+
+/**
+ * Kinds of documents whose copies are stored once. Commits, issues and pull requests
+ * are never merged, even when their texts are alike.
+ */
+export const DEDUPLICATED_KINDS = ['file'];
+
+/**
+ * Payload fields describing where a chunk occurs, and those identifying a location
+ */
+const LOCATION_FIELDS = [
+  'repo',
+  'project',
+  'ref',
+  'sourceType',
+  'path',
+  'startLine',
+  'endLine',
+  'commit',
+  'language',
+  'fileType',
+];
+const LOCATION_KEY_FIELDS = ['repo', 'ref', 'path', 'startLine', 'endLine'];
+
+/**
+ * Number of locations listed by a point, further copies only setting `unlistedLocations`
+ */
+const MAX_STORED_LOCATIONS = 32;
+
+/**
+ * Jaccard similarity of their word shingles from which chunks with close embeddings are
+ * merged, as embeddings alone barely tell apart functions differing by a few names
+ */
+const NEAR_DUPLICATE_TEXT_SIMILARITY = 0.9;
+
+/**
+ * Number of consecutive tokens of a shingle
+ */
+const SHINGLE_SIZE = 3;
+
+/**
+ * Number of points read per request when removing locations
+ */
+const RETRIEVE_BATCH_SIZE = 256;
+
+/**
+ * Search filters holding lists of values, and the location field each one matches
+ */
+const LIST_FILTERS = {
+  repos: 'repo',
+  refs: 'ref',
+  languages: 'language',
+  fileTypes: 'fileType',
+};
+
+/**
+ * Restrictions of a search, all of which must be met. Chunks missing a filtered field
+ * are left out, e.g. issues and commits when filtering by path prefix.
+ * @typedef {Object} SearchFilters
+ * @property {string[]} [repos] - Repository names
+ * @property {string[]} [refs] - Branches, tags or commits
+ * @property {string} [pathPrefix] - Directory or file, relative to the repository root
+ * @property {string[]} [languages] - Languages, e.g. `python`
+ * @property {string[]} [fileTypes] - `code`, `docs` or `config`
+ */
+
+/**
+ * Condition on a field of the payload, or on one of the objects a field lists
+ * @typedef {Object} Condition
+ * @property {string} [key] - Payload field
+ * @property {{value?: *, any?: Array}} [match] - Value the field must hold, or values one of
+ * which it must hold
+ * @property {{key: string, filter: Filter}} [nested] - Filter one of the objects listed in a
+ * field must match
+ */
+
+/**
+ * Filter on the payload of points, in the syntax of Qdrant
+ * @typedef {Object} Filter
+ * @property {Array<Filter|Condition>} [must] - Conditions all of which must be met
+ * @property {Array<Filter|Condition>} [should] - Conditions one of which must be met
+ * @property {Array<Filter|Condition>} [must_not] - Conditions none of which may be met
+ */
+
+/**
+ * A place where a chunk occurs
+ * @typedef {Object} Location
+ * @property {string} repo - Repository name
+ * @property {string} [project] - Project name
+ * @property {string|null} [ref] - Branch, tag or commit
+ * @property {string} [commit] - Commit SHA the location was read from
+ * @property {string} [path] - File path, relative to the repository root
+ * @property {string[]} [directories] - Parent directories of the path, matched by path
+ * prefix filters
+ * @property {number} [startLine] - First line of the chunk
+ * @property {number} [endLine] - Last line of the chunk
+ * @property {string} [language] - Language of the file
+ * @property {string} [fileType] - `code`, `docs` or `config`
+ * @property {string} [content] - Text of the chunk at this location, when it differs from
+ * the text stored for the point
+ */
+
+/**
+ * A point to store
+ * @typedef {Object} Point
+ * @property {string|number} id - Unique point identifier
+ * @property {Float32Array|number[]} vector - Embedding vector
+ * @property {import('./bm25-encoder.js').SparseVector} sparseVector - BM25 vector
+ * @property {Object} payload - Document metadata
+ */
+
+/**
+ * A search result
+ * @typedef {Object} ScoredPoint
+ * @property {string|number} id - Point identifier
+ * @property {number} score - Similarity, or fused rank for hybrid searches
+ * @property {Object} payload - Document metadata
+ */
+
+/**
+ * Vector and payload layout of a collection
+ * @typedef {Object} CollectionLayout
+ * @property {number|null} vectorSize - Size of the dense vectors
+ * @property {boolean} named - Whether the dense vector is named, false for collections built
+ * before hybrid search
+ * @property {boolean} lexical - Whether points have a sparse BM25 vector
+ * @property {boolean} filterable - Whether the payload fields of search filters are indexed
+ */
+
+export class VectorStore {
+  /**
+   * Creates a new vector store, to be called by the implementations
+   */
+  constructor() {
+    this.warnedCollections = new Set();
+  }
+
+  /**
+   * Returns the size of the vectors of a collection
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<number|null>} Vector size, null if unknown
+   */
+  async getVectorSize(collectionName) {
+    return (await this.getCollectionLayout(collectionName)).vectorSize;
+  }
+
+  /**
+   * Checks whether the points of a collection have sparse BM25 vectors for hybrid search
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<boolean>} True if the collection supports hybrid search
+   */
+  async hasLexicalIndex(collectionName) {
+    return (await this.getCollectionLayout(collectionName)).lexical;
+  }
+
+  /**
+   * Checks whether the payload fields of search filters are indexed
+   *
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<boolean>} True if the collection supports search filters
+   */
+  async hasPayloadIndexes(collectionName) {
+    return (await this.getCollectionLayout(collectionName)).filterable;
+  }
+
+  /**
+   * Inserts or updates points in bulk
+   *
+   * Points are sent in requests of `batchSize` points, with at most `concurrency`
+   * requests in flight. Upserting the same ids again overwrites the points, so
+   * ingestion can safely be re-run. Points without `locations` get the location
+   * described by their payload, with the parent directories of its path.
+   *
+   * @param {string} collectionName - Target collection
+   * @param {Point[]} points - Points to store
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=16] - Number of points per request
+   * @param {number} [options.concurrency=4] - Maximum number of requests in flight
+   * @returns {Promise<void>}
+   * @throws {Error} If a request fails after retries
+   *
+   * @example
+   * await vectorStore.upsertDocuments('code_embeddings', [
+   *   {
+   *     id: '0b7f6c1e-6f1a-5c3e-9d2b-4a8e1f0c2d3b',
+   *     vector: embeddings,
+   *     sparseVector: bm25Encoder.encodeDocument('...'),
+   *     payload: { repo: 'my-repo', path: 'src/file1.js', content: '...' },
+   *   },
+   * ]);
+   */
+  async upsertDocuments(
+    collectionName,
+    points,
+    { batchSize = DEFAULT_UPSERT_BATCH_SIZE, concurrency = DEFAULT_UPSERT_CONCURRENCY } = {}
+  ) {
+    const requests = [];
+    for (let i = 0; i < points.length; i += batchSize) {
+      requests.push(
+        points.slice(i, i + batchSize).map(({ payload, ...point }) => ({
+          ...point,
+          payload: { ...payload, locations: payload.locations ?? [getLocation(payload)] },
+        }))
+      );
+    }
+
+    const upserts = mapConcurrent(requests, concurrency, (batch) =>
+      this.upsertPoints(collectionName, batch)
+    );
+    for await (const _ of upserts) {
+      // Nothing to collect, a failed request throws
+    }
+  }
+
+  /**
+   * Stores chunks, merging the copies of a file chunk into a single point
+   *
+   * A chunk is a copy of a stored one when it has the same id, which for files derives
+   * from the content only, or when its dense vector is at least `nearDuplicateThreshold`
+   * similar to the vector of a stored file chunk or of a chunk of the same call, and their
+   * texts are nearly the same. Its location is then added to the point of the original,
+   * keeping its own text when it differs. Storing a location again replaces it, so
+   * ingestion can safely be re-run.
+   *
+   * Once a point lists `MAX_STORED_LOCATIONS` locations, further copies are no longer
+   * listed: the point is flagged with `unlistedLocations` and left as is. A point flagged
+   * this way is never deleted by the removal of locations, and lists the copies stored
+   * once the listed ones are removed.
+   *
+   * @param {string} collectionName - Target collection
+   * @param {Point[]} points - Chunks to store
+   * @param {Object} [options]
+   * @param {number|null} [options.nearDuplicateThreshold] - Cosine similarity from which
+   * chunks are merged, null to only merge identical ones
+   * @param {number} [options.batchSize] - Number of points per upsert request
+   * @param {number} [options.concurrency] - Maximum number of upsert requests in flight
+   * @returns {Promise<number>} Number of chunks stored as a copy of another one
+   * @throws {Error} If a request fails
+   *
+   * @example
+   * const duplicates = await vectorStore.mergeDocuments('github_code', points, {
+   *   nearDuplicateThreshold: 0.98,
+   * });
+   */
+  async mergeDocuments(
+    collectionName,
+    points,
+    { nearDuplicateThreshold = null, ...upsertOptions } = {}
+  ) {
+    const others = points.filter(({ payload }) => !DEDUPLICATED_KINDS.includes(payload.kind));
+    const chunks = points.filter(({ payload }) => DEDUPLICATED_KINDS.includes(payload.kind));
+    const stored = new Map(
+      (await this.retrievePoints(collectionName, [...new Set(chunks.map(({ id }) => id))])).map(
+        (point) => [point.id, point]
+      )
+    );
+    const layout =
+      nearDuplicateThreshold === null ? null : await this.getCollectionLayout(collectionName);
+
+    const merged = new Map();
+    // Stored points read to be merged into, only rewritten if a location was added
+    const unchanged = new Set();
+    let duplicates = 0;
+    for (const point of chunks) {
+      const location = { ...getLocation(point.payload), content: point.payload.content };
+      const originalId =
+        merged.has(point.id) || stored.has(point.id)
+          ? point.id
+          : layout &&
+            (await this.findNearDuplicate(collectionName, point, merged, {
+              threshold: nearDuplicateThreshold,
+              layout,
+            }));
+      if (!originalId) {
+        merged.set(point.id, { ...point, payload: withLocations(point.payload, [location]) });
+        continue;
+      }
+
+      if (!merged.has(originalId)) {
+        const [original] = stored.has(originalId)
+          ? [stored.get(originalId)]
+          : await this.retrievePoints(collectionName, [originalId]);
+        merged.set(originalId, original);
+        unchanged.add(originalId);
+      }
+      const original = merged.get(originalId);
+      const locations = original.payload.locations ?? [getLocation(original.payload)];
+      const key = getLocationKey(location);
+      const index = locations.findIndex((existing) => getLocationKey(existing) === key);
+      if (index === -1) duplicates++;
+
+      if (index === -1 && locations.length >= MAX_STORED_LOCATIONS) {
+        if (!original.payload.unlistedLocations) {
+          original.payload = { ...original.payload, unlistedLocations: true };
+          unchanged.delete(originalId);
+        }
+        continue;
+      }
+
+      unchanged.delete(originalId);
+      original.payload = withLocations(
+        original.payload,
+        index === -1
+          ? [...locations, location]
+          : locations.map((existing, i) => (i === index ? location : existing))
+      );
+    }
+
+    const changed = [...merged.values()].filter(({ id }) => !unchanged.has(id));
+    await this.upsertDocuments(collectionName, [...changed, ...others], upsertOptions);
+    return duplicates;
+  }
+
+  /**
+   * Removes every location of the given files
+   *
+   * @param {string} collectionName - Target collection
+   * @param {string} repo - Repository name
+   * @param {string|null} ref - Only remove locations of this ref, or of every ref if null
+   * @param {string[]} paths - File paths relative to the repository root
+   * @returns {Promise<void>}
+   * @throws {Error} If deletion fails
+   *
+   * @example
+   * await vectorStore.deleteDocumentsByPath('code_embeddings', 'my-repo', 'main', ['src/old.js']);
+   */
+  async deleteDocumentsByPath(collectionName, repo, ref, paths) {
+    if (paths.length === 0) return;
+
+    const removed = new Set(paths);
+    await this.removeLocations(collectionName, {
+      conditions: [...this.repoConditions(repo, ref), { key: 'path', match: { any: paths } }],
+      matches: (location) => isRepoLocation(location, repo, ref) && removed.has(location.path),
+    });
+    console.log(`🗑️ Removed documents of ${paths.length} files from ${repo}`);
+  }
+
+  /**
+   * Removes every location in a repository
+   *
+   * @param {string} collectionName - Target collection
+   * @param {string} repo - Repository name
+   * @param {string|null} [ref] - Only remove locations of this ref, or of every ref if null
+   * @param {Object} [options]
+   * @param {string[]} [options.exceptKinds] - Keep the points of these document kinds
+   * @returns {Promise<void>}
+   * @throws {Error} If deletion fails
+   *
+   * @example
+   * await vectorStore.deleteRepository('code_embeddings', 'my-repo', null, {
+   *   exceptKinds: ['issue'],
+   * });
+   */
+  async deleteRepository(collectionName, repo, ref = null, { exceptKinds = [] } = {}) {
+    await this.removeLocations(collectionName, {
+      conditions: this.repoConditions(repo, ref),
+      matches: (location) => isRepoLocation(location, repo, ref),
+      exceptKinds,
+    });
+  }
+
+  /**
+   * Deletes every point of the given document kinds in a repository
+   *
+   * @param {string} collectionName - Target collection
+   * @param {string} repo - Repository name
+   * @param {string[]} kinds - Document kinds, e.g. `['issue', 'pull_request']`
+   * @returns {Promise<void>}
+   * @throws {Error} If deletion fails
+   */
+  async deleteDocumentsByKind(collectionName, repo, kinds) {
+    await this.removeLocations(collectionName, {
+      conditions: this.repoConditions(repo, null),
+      matches: (location) => isRepoLocation(location, repo, null),
+      kinds,
+    });
+  }
+
+  /**
+   * Searches for similar documents, fusing vector similarity with BM25 when possible
+   *
+   * With the BM25 vector of the question, the dense and lexical rankings are fused with
+   * weighted reciprocal rank fusion, so that exact identifiers are found even when their
+   * embedding is not close to the question's. Collections built before hybrid search are
+   * searched with vector similarity only.
+   *
+   * Filters restrict both rankings to the matching points, before they are fused.
+   *
+   * When the embedding model of the query is given, the search fails rather than return
+   * meaningless results if the collection was built with another model: its vectors must
+   * have the same size, and the points must have been embedded by that model.
+   *
+   * @param {string} collectionName - Collection to search in
+   * @param {Float32Array|number[]} vector - Query vector
+   * @param {number} limit - Maximum number of results
+   * @param {Object} [options]
+   * @param {string} [options.embeddingModel] - Embedding model of the query vector
+   * @param {import('./bm25-encoder.js').SparseVector} [options.sparseVector] - BM25 vector of
+   * the query, for hybrid search
+   * @param {number} [options.lexicalWeight=0.5] - Share of the lexical ranking in the fusion,
+   * from 0 (vector similarity only) to 1 (BM25 only)
+   * @param {SearchFilters|null} [options.filters] - Restrictions of the search
+   * @returns {Promise<ScoredPoint[]>} Similar documents, scored by similarity or fused rank
+   * @throws {Error} If search fails or the collection was built with another model
+   *
+   * @example
+   * const results = await vectorStore.searchSimilar('code_embeddings',
+   *   queryEmbeddings.data,
+   *   5,
+   *   {
+   *     embeddingModel: 'Xenova/multilingual-e5-large',
+   *     sparseVector: queryEmbeddings.sparse,
+   *     filters: { repos: ['my-repo'], pathPrefix: 'src/', fileTypes: ['code'] },
+   *   }
+   * );
+   */
+  async searchSimilar(
+    collectionName,
+    vector,
+    limit = 5,
+    { embeddingModel, sparseVector, lexicalWeight = DEFAULT_LEXICAL_WEIGHT, filters } = {}
+  ) {
+    const layout = await this.getCollectionLayout(collectionName);
+    if (embeddingModel && layout.vectorSize !== null && layout.vectorSize !== vector.length) {
+      throw new Error(
+        `Collection ${collectionName} holds ${layout.vectorSize}-dimension vectors, ` +
+          `${embeddingModel} produces ${vector.length}. Rebuild the index with this model.`
+      );
+    }
+
+    const hybrid = Boolean(sparseVector?.indices.length) && lexicalWeight > 0 && layout.lexical;
+    if (sparseVector && !layout.lexical && !this.warnedCollections.has(collectionName)) {
+      this.warnedCollections.add(collectionName);
+      console.warn(
+        `⚠️ Collection ${collectionName} has no BM25 vectors, rebuild the index for hybrid search`
+      );
+    }
+
+    const filter = this.buildSearchFilter(filters);
+    if (filter && !layout.filterable && !this.warnedCollections.has(`${collectionName}:filters`)) {
+      this.warnedCollections.add(`${collectionName}:filters`);
+      console.warn(
+        `⚠️ Collection ${collectionName} was built before search filters, ` +
+          'rebuild the index to filter by path, language or file type'
+      );
+    }
+
+    let results;
+    try {
+      const dense = await this.searchDense(
+        collectionName,
+        vector,
+        hybrid ? limit * CANDIDATES_PER_RESULT : limit,
+        filter,
+        layout
+      );
+
+      if (hybrid) {
+        const lexical = await this.searchLexical(
+          collectionName,
+          sparseVector,
+          limit * CANDIDATES_PER_RESULT,
+          filter
+        );
+        results = this.fuseRankings(
+          [
+            { results: dense, weight: 1 - lexicalWeight },
+            { results: lexical, weight: lexicalWeight },
+          ],
+          limit
+        );
+      } else {
+        results = dense;
+      }
+    } catch (error) {
+      console.error('Search failed:', error.message);
+      throw error;
+    }
+
+    // Points stored before models were recorded have no embeddingModel and are trusted
+    const mismatch = embeddingModel
+      ? results.find(
+          ({ payload }) => payload?.embeddingModel && payload.embeddingModel !== embeddingModel
+        )
+      : null;
+    if (mismatch) {
+      throw new Error(
+        `Collection ${collectionName} was built with ${mismatch.payload.embeddingModel}, ` +
+          `not ${embeddingModel}. Rebuild the index with this model.`
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Converts search filters to a payload filter
+   * @private
+   * @param {SearchFilters|null} [filters] - Search filters, as returned by parseSearchFilters
+   * @returns {Filter|null} Payload filter, null if nothing is filtered
+   */
+  buildSearchFilter(filters) {
+    if (!filters) return null;
+
+    const must = Object.entries(LIST_FILTERS)
+      .filter(([name]) => filters[name]?.length)
+      .map(([name, field]) => ({ key: field, match: { any: filters[name] } }));
+    if (filters.pathPrefix) {
+      // A prefix names a directory, or a single file
+      must.push({
+        should: [
+          { key: 'directories', match: { value: filters.pathPrefix } },
+          { key: 'path', match: { value: filters.pathPrefix } },
+        ],
+      });
+    }
+
+    // Every restriction must be met by the same location of a chunk
+    return must.length ? { must: [{ nested: { key: 'locations', filter: { must } } }] } : null;
+  }
+
+  /**
+   * Merges rankings with weighted reciprocal rank fusion
+   * @private
+   * @param {Array<{results: ScoredPoint[], weight: number}>} rankings - Results of each
+   * search, best first, and the weight of the search
+   * @param {number} limit - Maximum number of results
+   * @returns {ScoredPoint[]} Results of every ranking, scored by fused rank
+   */
+  fuseRankings(rankings, limit) {
+    const fused = new Map();
+    for (const { results, weight } of rankings) {
+      results.forEach((result, rank) => {
+        const entry = fused.get(result.id) ?? { ...result, score: 0 };
+        entry.score += weight / (RRF_K + rank + 1);
+        fused.set(result.id, entry);
+      });
+    }
+    return [...fused.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Builds the filter conditions selecting a repository and optionally one of its refs
+   * @private
+   */
+  repoConditions(repo, ref) {
+    const conditions = [{ key: 'repo', match: { value: repo } }];
+    if (ref) conditions.push({ key: 'ref', match: { value: ref } });
+    return conditions;
+  }
+
+  /**
+   * Removes locations from the points listing them, deleting the points left without any
+   * unless they have unlisted copies, which may still exist
+   * @private
+   * @param {string} collectionName - Target collection
+   * @param {Object} selection
+   * @param {Condition[]} selection.conditions - Conditions on the locations to remove
+   * @param {function(Location): boolean} selection.matches - Checks whether a location is
+   * to be removed, as the conditions do
+   * @param {string[]|null} [selection.kinds] - Only remove locations of these document kinds
+   * @param {string[]} [selection.exceptKinds] - Keep the locations of these document kinds
+   */
+  async removeLocations(collectionName, { conditions, matches, kinds = null, exceptKinds = [] }) {
+    const filter = {
+      must: [
+        { nested: { key: 'locations', filter: { must: conditions } } },
+        ...(kinds ? [{ key: 'kind', match: { any: kinds } }] : []),
+      ],
+      ...(exceptKinds.length && { must_not: [{ key: 'kind', match: { any: exceptKinds } }] }),
+    };
+
+    // Points are changed once read, not to move the pages of the scroll
+    const deleted = [];
+    const remaining = new Map();
+    for await (const batch of this.scrollPoints(collectionName, { filter, withVectors: false })) {
+      for (const { id, payload } of batch) {
+        const locations = payload.locations.filter((location) => !matches(location));
+        if (locations.length === 0 && !payload.unlistedLocations) deleted.push(id);
+        else remaining.set(id, locations);
+      }
+    }
+
+    for (let i = 0; i < deleted.length; i += RETRIEVE_BATCH_SIZE) {
+      await this.deletePoints(collectionName, deleted.slice(i, i + RETRIEVE_BATCH_SIZE));
+    }
+
+    // Copies found elsewhere keep the chunk, described by a remaining location holding its
+    // text, if any is listed
+    const ids = [...remaining.keys()];
+    for (let i = 0; i < ids.length; i += RETRIEVE_BATCH_SIZE) {
+      const points = await this.retrievePoints(
+        collectionName,
+        ids.slice(i, i + RETRIEVE_BATCH_SIZE)
+      );
+      await this.upsertDocuments(
+        collectionName,
+        points.map((point) => ({
+          ...point,
+          payload: withLocations(point.payload, remaining.get(point.id)),
+        }))
+      );
+    }
+  }
+
+  /**
+   * Finds a file chunk whose dense vector is close enough to the vector of a chunk to
+   * store, and whose text is nearly the same, among those of the same call and then the
+   * stored ones
+   * @private
+   * @param {string} collectionName - Target collection
+   * @param {Point} point - Chunk to store
+   * @param {Map<string|number, Point>} pending - Chunks of the call, not stored yet
+   * @param {Object} options
+   * @param {number} options.threshold - Minimum cosine similarity
+   * @param {CollectionLayout} options.layout - Layout of the collection
+   * @returns {Promise<string|number|null>} Id of the chunk, null if there is none
+   */
+  async findNearDuplicate(collectionName, point, pending, { threshold, layout }) {
+    const hasSameText = (candidate) =>
+      getTextSimilarity(point.payload.content, candidate.payload.content) >=
+      NEAR_DUPLICATE_TEXT_SIMILARITY;
+
+    for (const candidate of pending.values()) {
+      if (
+        getCosineSimilarity(point.vector, candidate.vector) >= threshold &&
+        hasSameText(candidate)
+      ) {
+        return candidate.id;
+      }
+    }
+
+    const [nearest] = await this.searchDense(
+      collectionName,
+      point.vector,
+      1,
+      { must: [{ key: 'kind', match: { value: point.payload.kind } }] },
+      layout
+    );
+    return nearest && nearest.score >= threshold && hasSameText(nearest) ? nearest.id : null;
+  }
+}
+
+/**
+ * Validates and normalizes search filters, e.g. from the body of a request
+ *
+ * Lists may be given as a single string. Path prefixes are relative to the repository
+ * root, leading `./` and `/` and trailing `/` are ignored.
+ *
+ * @param {Object|null} [input] - Search filters
+ * @returns {SearchFilters|null} Normalized filters, null if nothing is filtered
+ * @throws {Error} If a filter is unknown or has an invalid value
+ * @example
+ * const filters = parseSearchFilters({ repos: 'my-repo', pathPrefix: './src/' });
+ * // { repos: ['my-repo'], pathPrefix: 'src' }
+ */
+export function parseSearchFilters(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Search filters must be an object');
+  }
+
+  const filters = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (name === 'pathPrefix') {
+      if (typeof value !== 'string') throw new Error('pathPrefix must be a string');
+      const pathPrefix = value
+        .trim()
+        .replace(/^(\.?\/)+/, '')
+        .replace(/\/+$/, '');
+      if (pathPrefix) filters.pathPrefix = pathPrefix;
+      continue;
+    }
+
+    if (!LIST_FILTERS[name]) {
+      throw new Error(
+        `Unknown search filter ${name}, expected one of ` +
+          [...Object.keys(LIST_FILTERS), 'pathPrefix'].join(', ')
+      );
+    }
+    const values = [].concat(value);
+    if (!values.every((item) => typeof item === 'string')) {
+      throw new Error(`${name} must be a string or a list of strings`);
+    }
+    const unknownType = name === 'fileTypes' && values.find((type) => !FILE_TYPES.includes(type));
+    if (unknownType) {
+      throw new Error(`Unknown file type ${unknownType}, expected one of ${FILE_TYPES.join(', ')}`);
+    }
+    if (values.length) filters[name] = values;
+  }
+  return Object.keys(filters).length ? filters : null;
+}
+
+/**
+ * Describes the location of a chunk from its payload
+ * @private
+ * @param {Object} payload - Payload of a chunk
+ * @returns {Location} Location of the chunk, with the parent directories of its path
+ */
+function getLocation(payload) {
+  return {
+    ...pickLocationFields(payload),
+    ...(payload.path && { directories: getParentDirectories(payload.path) }),
+  };
+}
+
+/**
+ * Keeps the location fields of an object
+ * @private
+ */
+function pickLocationFields(object) {
+  return Object.fromEntries(
+    LOCATION_FIELDS.filter((field) => object[field] !== undefined).map((field) => [
+      field,
+      object[field],
+    ])
+  );
+}
+
+/**
+ * Identifies a location within the locations of a chunk
+ * @private
+ */
+function getLocationKey(location) {
+  return JSON.stringify(LOCATION_KEY_FIELDS.map((field) => location[field] ?? null));
+}
+
+/**
+ * Sets the locations of a chunk, the first one being described by the payload
+ *
+ * The text of the chunk is kept, as its vectors and id derive from it: a location holding
+ * that text is moved first to describe the chunk, and locations holding another text, such
+ * as near-duplicates, keep their own. Without locations, the payload describes none.
+ *
+ * @private
+ * @param {Object} payload - Payload of the chunk
+ * @param {Location[]} locations - Locations of the chunk, only empty for chunks with
+ * unlisted copies
+ * @returns {Object} Payload describing the first location
+ */
+function withLocations(payload, locations) {
+  const { content } = payload;
+  const described = Math.max(
+    locations.findIndex((location) => (location.content ?? content) === content),
+    0
+  );
+  const ordered = locations.length
+    ? [locations[described], ...locations.filter((_, i) => i !== described)]
+    : [];
+  const shared = Object.fromEntries(
+    Object.entries(payload).filter(
+      ([field]) => !LOCATION_FIELDS.includes(field) && field !== 'directories'
+    )
+  );
+  return {
+    ...shared,
+    ...pickLocationFields(ordered[0] ?? {}),
+    content,
+    locations: ordered.map(({ content: locationContent = content, ...location }) =>
+      locationContent === content ? location : { ...location, content: locationContent }
+    ),
+  };
+}
+
+/**
+ * Checks whether a location is in a repository, and in one of its refs if given
+ * @private
+ */
+function isRepoLocation(location, repo, ref) {
+  return location.repo === repo && (!ref || location.ref === ref);
+}
+
+/**
+ * Computes the cosine similarity of two vectors
+ * @private
+ */
+function getCosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA * normB) || 1);
+}
+
+/**
+ * Computes the Jaccard similarity of the sets of shingles of two texts
+ * @private
+ */
+function getTextSimilarity(a = '', b = '') {
+  const shinglesA = getShingles(a);
+  const shinglesB = getShingles(b);
+  let shared = 0;
+  for (const shingle of shinglesA) {
+    if (shinglesB.has(shingle)) shared++;
+  }
+  return shared / (shinglesA.size + shinglesB.size - shared || 1);
+}
+
+/**
+ * Lists the runs of `SHINGLE_SIZE` consecutive words and punctuation marks of a text
+ * @private
+ */
+function getShingles(text) {
+  const tokens = text.match(/\w+|[^\s\w]/g) ?? [];
+  const shingles = new Set();
+  for (let i = 0; i === 0 || i + SHINGLE_SIZE <= tokens.length; i++) {
+    shingles.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * Lists the parent directories of a path, e.g. `src` and `src/api` for `src/api/routes.js`
+ * @private
+ */
+function getParentDirectories(filePath) {
+  const parts = filePath.split('/').slice(0, -1);
+  return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
@@ -0,0 +1,52 @@
+/**
+ * Vector Stores
+ *
+ * This module selects where the index is kept, so that the indexer and the query
+ * side run against a Qdrant server or, without any server, against a local store:
+ * - `qdrant`: a Qdrant server, e.g. started from `docker-compose.dev.yml`
+ * - `local`: a store embedded in the process, persisted to a local directory
+ *
+ * @module VectorStores
+ */
+
+import { QdrantService } from './qdrant.js';
+import { LocalVectorStore } from './local-vector-store.js';
+
+/**
+ * Options of a vector store
+ * @typedef {Object} VectorStoreOptions
+ * @property {string} [url] - URL of the Qdrant server, for the `qdrant` store
+ * @property {string} [path] - Directory of the collections, for the `local` store
+ */
+
+/**
+ * Vector stores, by name
+ */
+const VECTOR_STORES = {
+  qdrant: ({ url }) => new QdrantService(url),
+  local: ({ path }) => new LocalVectorStore(path),
+};
+
+/**
+ * Creates a vector store by name
+ *
+ * @param {string} name - `qdrant` or `local`
+ * @param {VectorStoreOptions} [options]
+ * @returns {import('./vector-store.js').VectorStore} Vector store
+ * @throws {Error} If the store is unknown, or the local store has no path
+ * @example
+ * const vectorStore = createVectorStore('local', { path: './github_repos/.vector-store' });
+ */
+export function createVectorStore(name, options = {}) {
+  const create = VECTOR_STORES[name];
+  if (!create) {
+    throw new Error(
+      `Unknown vector store ${name}, expected one of ` + Object.keys(VECTOR_STORES).join(', ')
+    );
+  }
+  if (name === 'local' && !options.path) {
+    throw new Error('The local vector store needs a path');
+  }
+
+  return create(options);
+}
@@ -0,0 +1,128 @@
+/**
+ * Exports the index built by `npm run update-datas` to a snapshot file, or imports one
+ *
+ * Usage:
+ *   npm run snapshot -- export <file>
+ *   npm run snapshot -- import <file>
+ *   npm run snapshot -- info <file>
+ *
+ * An imported snapshot is served as a new generation of the index, and its indexed commits
+ * are recorded so that the next `npm run update-datas` only indexes what changed since.
+ */
+
+import path from 'path';
+import { createVectorStore } from './services/vector-stores.js';
+import { CollectionGenerations } from './services/collection-generations.js';
+import { IndexSnapshot } from './services/index-snapshot.js';
+import { IndexStateStore } from './services/index-state.js';
+import { getEmbeddingProfile } from './services/embedding-models.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const config = {
+  vectorStore: process.env.VECTOR_STORE || 'qdrant',
+  qdrantUrl: process.env.QDRANT_URL || 'http://localhost:6333',
+  vectorStorePath: process.env.VECTOR_STORE_PATH,
+  reposDir: process.env.REPOS_DIR || './github_repos',
+  indexStateFile: process.env.INDEX_STATE_FILE,
+  collectionRetention: parseInt(process.env.COLLECTION_RETENTION) || 2,
+  upsertBatchSize: parseInt(process.env.UPSERT_BATCH_SIZE) || 16,
+  upsertConcurrency: parseInt(process.env.UPSERT_CONCURRENCY) || 4,
+  embeddingModel: process.env.EMBEDDING_MODEL || 'Xenova/multilingual-e5-large',
+};
+
+config.indexStateFile ||= path.join(config.reposDir, '.index-state.json');
+config.vectorStorePath ||= path.join(config.reposDir, '.vector-store');
+
+const USAGE = `Usage:
+  npm run snapshot -- export <file>
+  npm run snapshot -- import <file>
+  npm run snapshot -- info <file>`;
+
+/**
+ * Alias the index is served under
+ */
+const ALIAS = 'github_code';
+
+async function main() {
+  const [command, filePath] = process.argv.slice(2);
+  if (!['export', 'import', 'info'].includes(command) || !filePath) {
+    console.log(USAGE);
+    if (command) process.exitCode = 1;
+    return;
+  }
+
+  if (command === 'info') {
+    const header = await new IndexSnapshot(null).readHeader(filePath);
+    console.log(`Snapshot ${filePath} (format version ${header.version}):`);
+    console.log(`- exported from ${header.collection} on ${header.createdAt}`);
+    console.log(
+      `- embedded with ${header.embedding.embeddingModel} (${header.vectorSize} dimensions)`
+    );
+    for (const [key, { commit }] of Object.entries(header.sources.repos)) {
+      console.log(`- ${key} at ${commit}`);
+    }
+    return;
+  }
+
+  const vectorStore = createVectorStore(config.vectorStore, {
+    url: config.qdrantUrl,
+    path: config.vectorStorePath,
+  });
+  const generations = new CollectionGenerations(vectorStore, ALIAS, {
+    retention: config.collectionRetention,
+  });
+  const snapshot = new IndexSnapshot(vectorStore);
+  const indexState = new IndexStateStore(config.indexStateFile);
+  await indexState.load();
+
+  switch (command) {
+    case 'export': {
+      const collectionName = await generations.getActive();
+      if (!collectionName) throw new Error(`Nothing is served under ${ALIAS}, nothing to export`);
+
+      // The state describes another collection after a rollback, its commits do not apply
+      const described = indexState.getCollection() === collectionName;
+      if (!described) {
+        console.warn(
+          `⚠️ The index state does not describe ${collectionName}, ` +
+            'importing the snapshot will be followed by a full reindex'
+        );
+      }
+
+      const header = await snapshot.export(collectionName, filePath, {
+        embeddingProfile: getEmbeddingProfile(
+          (described && indexState.getEmbeddingModel()) || config.embeddingModel
+        ),
+        sources: described ? indexState.getSources() : { repos: {}, issues: {} },
+      });
+      console.log(`📦 ${header.points} points of ${collectionName} exported to ${filePath}`);
+      return;
+    }
+
+    case 'import': {
+      const { header, collectionName, points } = await snapshot.import(filePath, {
+        embeddingProfile: getEmbeddingProfile(config.embeddingModel),
+        generations,
+        upsertOptions: { batchSize: config.upsertBatchSize, concurrency: config.upsertConcurrency },
+      });
+
+      indexState.reset();
+      indexState.setEmbeddingModel(header.embedding.embeddingModel);
+      indexState.setCollection(collectionName);
+      indexState.setSources(header.sources);
+      await indexState.save();
+      console.log(
+        `📦 ${points} points imported from ${filePath} into ${collectionName}, ` +
+          `exported on ${header.createdAt}`
+      );
+      return;
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CodeSplitter } from '../services/code-splitter.js';
+
+function describeChunks(chunks) {
+  return chunks.map(({ metadata }) => ({
+    symbol: metadata.symbol,
+    symbolKind: metadata.symbolKind,
+    startLine: metadata.startLine,
+    endLine: metadata.endLine,
+  }));
+}
+
+describe('CodeSplitter', () => {
+  it('splits JavaScript along its declarations, classes into their methods', async () => {
+    const splitter = new CodeSplitter();
+    const chunks = await splitter.splitDocument({
+      pageContent: [
+        "import fs from 'fs';",
+        '',
+        '/** Counts things */',
+        'export class Counter {',
+        '  count = 0;',
+        '',
+        '  /** Adds to the count */',
+        '  add(n) {',
+        '    if (n) {',
+        '      this.count += n;',
+        '    }',
+        '  }',
+        '',
+        '  async reset() {',
+        '    this.count = 0;',
+        '  }',
+        '}',
+        '',
+        'export const double = (n) => n * 2;',
+        '',
+      ].join('\n'),
+      metadata: { path: 'src/counter.js' },
+    });
+
+    assert.deepEqual(describeChunks(chunks), [
+      { symbol: undefined, symbolKind: 'module', startLine: 1, endLine: 1 },
+      { symbol: 'Counter', symbolKind: 'class', startLine: 3, endLine: 5 },
+      { symbol: 'Counter.add', symbolKind: 'method', startLine: 7, endLine: 12 },
+      { symbol: 'Counter.reset', symbolKind: 'method', startLine: 14, endLine: 17 },
+      { symbol: 'double', symbolKind: 'function', startLine: 19, endLine: 19 },
+    ]);
+    assert.equal(chunks[2].pageContent, chunks[2].pageContent.trimEnd());
+    assert.match(chunks[2].pageContent, /^ {2}\/\*\* Adds to the count \*\/\n {2}add\(n\) \{/);
+  });
+
+  it('keeps nested functions in their method', async () => {
+    const splitter = new CodeSplitter();
+    const chunks = await splitter.splitDocument({
+      pageContent: [
+        'class Parser:',
+        '    """Parses things"""',
+        '',
+        '    def parse(self, text):',
+        '        def clean(line):',
+        '            return line.strip()',
+        '        return [clean(line) for line in text]',
+        '',
+      ].join('\n'),
+      metadata: { path: 'parser.py' },
+    });
+
+    assert.deepEqual(describeChunks(chunks), [
+      { symbol: 'Parser', symbolKind: 'class', startLine: 1, endLine: 2 },
+      { symbol: 'Parser.parse', symbolKind: 'method', startLine: 4, endLine: 7 },
+    ]);
+  });
+
+  it('names Go methods after their receiver', async () => {
+    const splitter = new CodeSplitter();
+    const chunks = await splitter.splitDocument({
+      pageContent: [
+        'package server',
+        '',
+        'type Server struct {',
+        '\tport int',
+        '}',
+        '',
+        '// Start listens on the port',
+        'func (s *Server) Start() error {',
+        '\treturn nil',
+        '}',
+      ].join('\n'),
+      metadata: { path: 'server.go' },
+    });
+
+    assert.deepEqual(
+      describeChunks(chunks).map(({ symbol, symbolKind }) => [symbol, symbolKind]),
+      [
+        [undefined, 'module'],
+        ['Server', 'struct'],
+        ['Server.Start', 'method'],
+      ]
+    );
+    assert.match(chunks[2].pageContent, /^\/\/ Start listens on the port\n/);
+  });
+
+  it('leaves unsupported languages and files without declarations to other splitters', async () => {
+    const splitter = new CodeSplitter();
+    assert.equal(splitter.supports('notes.txt'), false);
+    assert.equal(
+      await splitter.splitDocument({ pageContent: 'hello', metadata: { path: 'notes.txt' } }),
+      null
+    );
+    assert.equal(
+      await splitter.splitDocument({
+        pageContent: "import fs from 'fs';\n",
+        metadata: { path: 'index.js' },
+      }),
+      null
+    );
+  });
+});
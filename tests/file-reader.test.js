@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import iconv from 'iconv-lite';
+import { FileReader } from '../services/file-reader.js';
+
+describe('FileReader', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-reader-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  async function read(name, content, options) {
+    const filePath = path.join(dir, name);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+    return new FileReader(options).read(filePath, await fs.promises.stat(filePath));
+  }
+
+  it('reads UTF-8 text', async () => {
+    assert.deepEqual(await read('app.js', 'const café = 1;\n'), {
+      content: 'const café = 1;\n',
+      encoding: 'utf-8',
+    });
+  });
+
+  it('transcodes UTF-16 files with a byte order mark', async () => {
+    const buffer = Buffer.concat([
+      Buffer.from([0xff, 0xfe]),
+      iconv.encode('# Título\n', 'utf-16le'),
+    ]);
+    const { content, encoding } = await read('notes.md', buffer);
+    assert.equal(content, '# Título\n');
+    assert.equal(encoding, 'utf-16le');
+  });
+
+  it('transcodes Latin-1 files', async () => {
+    const text = 'Les élèves étudient le français à la bibliothèque, après le déjeuner.\n';
+    const { content } = await read('latin1.md', iconv.encode(text.repeat(4), 'latin1'));
+    assert.equal(content, text.repeat(4));
+  });
+
+  it('skips files over the size cap', async () => {
+    assert.deepEqual(await read('big.js', 'x'.repeat(100), { maxFileSize: 10 }), {
+      content: null,
+      reason: 'too large: 100 bytes (max 10)',
+    });
+  });
+
+  it('skips binary files', async () => {
+    assert.deepEqual(await read('data.js', Buffer.from([0x89, 0x50, 0x00, 0x01, 0x02])), {
+      content: null,
+      reason: 'binary content',
+    });
+  });
+
+  it('skips build outputs and lock files by name', async () => {
+    assert.deepEqual(await read('vendor.min.js', 'a'), {
+      content: null,
+      reason: 'generated file name: vendor.min.js',
+    });
+    assert.equal((await read('package-lock.json', '{}')).content, null);
+  });
+
+  it('skips files announcing they are generated', async () => {
+    assert.deepEqual(await read('schema.ts', '// Code generated by protoc. DO NOT EDIT.\n'), {
+      content: null,
+      reason: 'generated file: DO NOT EDIT marker',
+    });
+  });
+
+  it('skips minified code', async () => {
+    const { content, reason } = await read('app.js', `var a=1;${'a+=1;'.repeat(1200)}\n`);
+    assert.equal(content, null);
+    assert.match(reason, /^minified content: lines up to \d+ characters$/);
+  });
+
+  it('reads compact JSON, YAML and TOML files, whose content gets extracted', async () => {
+    const spec = JSON.stringify({
+      openapi: '3.0.0',
+      paths: Object.fromEntries(
+        Array.from({ length: 200 }, (_, i) => [`/items/${i}`, { get: { summary: `Item ${i}` } }])
+      ),
+    });
+    assert.ok(spec.length > 5000);
+    assert.equal((await read('openapi.json', spec)).content, spec);
+    assert.notEqual(
+      (await read('flow.yaml', `steps: [${'step, '.repeat(1200)}end]`)).content,
+      null
+    );
+  });
+});
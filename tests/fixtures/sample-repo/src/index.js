@@ -0,0 +1,18 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * Reads a greeting from a file
+ */
+export async function loadGreeting(filePath) {
+  return (await readFile(filePath, 'utf-8')).trim();
+}
+
+export class Greeter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  greet() {
+    return `Hello, ${this.name}!`;
+  }
+}
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MarkdownSplitter } from '../services/markdown-splitter.js';
+
+const sampleRepo = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+  'sample-repo'
+);
+
+describe('MarkdownSplitter', () => {
+  it('keeps a page that fits in a chunk whole, under the breadcrumb of its title', async () => {
+    const splitter = new MarkdownSplitter();
+    const pageContent = fs.readFileSync(path.join(sampleRepo, 'docs/guide.md'), 'utf-8');
+    const chunks = await splitter.splitDocument({ pageContent, metadata: { path: 'guide.md' } });
+
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].metadata.breadcrumb, 'Guide');
+    assert.equal(chunks[0].metadata.startLine, 1);
+    assert.equal(chunks[0].metadata.endLine, 11);
+    assert.match(chunks[0].pageContent, /^Guide\n\n# Guide\n/);
+  });
+
+  it('splits larger pages along their headings', async () => {
+    const splitter = new MarkdownSplitter({ chunkSize: 40, chunkOverlap: 0 });
+    const paragraph = 'This paragraph explains the step in a few plain words.';
+    const chunks = await splitter.splitDocument({
+      pageContent: [
+        '# Guide',
+        '',
+        '## Installation',
+        '',
+        paragraph,
+        '',
+        '## Usage',
+        '',
+        paragraph,
+        '',
+        '```js',
+        'start();',
+        '```',
+      ].join('\n'),
+      metadata: { path: 'guide.md' },
+    });
+
+    const breadcrumbs = chunks.map(({ metadata }) => metadata.breadcrumb);
+    assert.ok(breadcrumbs.includes('Guide > Installation'));
+    assert.ok(breadcrumbs.includes('Guide > Usage'));
+    const usage = chunks.filter(({ metadata }) => metadata.breadcrumb === 'Guide > Usage');
+    assert.ok(usage.some(({ pageContent }) => pageContent.includes('```js\nstart();\n```')));
+    assert.ok(chunks.every(({ pageContent }) => pageContent.split('```').length % 2 === 1));
+  });
+
+  it('recognizes reStructuredText headings', async () => {
+    const splitter = new MarkdownSplitter();
+    const chunks = await splitter.splitDocument({
+      pageContent: 'Guide\n=====\n\nInstall\n-------\n\nRun it.\n',
+      metadata: { path: 'index.rst' },
+    });
+
+    assert.equal(chunks[0].metadata.breadcrumb, 'Guide');
+    assert.match(chunks[0].pageContent, /Run it\./);
+  });
+
+  it('leaves pages without headings to other splitters', async () => {
+    const splitter = new MarkdownSplitter();
+    assert.equal(
+      await splitter.splitDocument({ pageContent: 'Just text.', metadata: { path: 'a.md' } }),
+      null
+    );
+    assert.equal(splitter.supports('a.js'), false);
+  });
+});
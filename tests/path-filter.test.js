@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PathFilter } from '../services/path-filter.js';
+
+const sampleRepo = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+  'sample-repo'
+);
+
+describe('PathFilter', () => {
+  it('includes files with a supported extension', () => {
+    const filter = new PathFilter(sampleRepo);
+    assert.deepEqual(filter.checkFile('src/index.js'), { included: true });
+    assert.deepEqual(filter.checkFile('assets/logo.png'), {
+      included: false,
+      reason: 'unsupported file type: .png',
+    });
+  });
+
+  it('skips the default excluded directories', () => {
+    const filter = new PathFilter(sampleRepo);
+    assert.deepEqual(filter.checkDirectory('node_modules'), {
+      included: false,
+      reason: 'default exclude: node_modules',
+    });
+  });
+
+  it('applies the configured include and exclude globs', () => {
+    const filter = new PathFilter(sampleRepo, {
+      include: ['src/**/*.js'],
+      exclude: ['*.min.js'],
+    });
+    assert.deepEqual(filter.checkFile('src/index.js'), { included: true });
+    assert.deepEqual(filter.checkFile('docs/guide.md'), {
+      included: false,
+      reason: 'include: no matching glob',
+    });
+    assert.deepEqual(filter.checkFile('src/vendor.min.js'), {
+      included: false,
+      reason: 'exclude: *.min.js',
+    });
+  });
+
+  it('applies .gitignore and .ragignore files', () => {
+    const filter = new PathFilter(sampleRepo);
+    assert.deepEqual(filter.checkFile('src/local-settings.js'), {
+      included: false,
+      reason: '.gitignore: local-*.js',
+    });
+    assert.deepEqual(filter.checkDirectory('out'), {
+      included: false,
+      reason: '.gitignore: out/',
+    });
+    assert.deepEqual(filter.checkDirectory('docs/drafts'), {
+      included: false,
+      reason: '.ragignore: docs/drafts/',
+    });
+  });
+
+  it('lets a negation of a nested ignore file re-include a path', () => {
+    const filter = new PathFilter(sampleRepo);
+    assert.deepEqual(filter.checkFile('sub/local-keep.js'), { included: true });
+    assert.deepEqual(filter.checkFile('sub/local-other.js'), {
+      included: false,
+      reason: '.gitignore: local-*.js',
+    });
+  });
+
+  it('only applies .ragignore files when .gitignore files are not respected', () => {
+    const filter = new PathFilter(sampleRepo, { respectGitignore: false });
+    assert.deepEqual(filter.checkFile('src/local-settings.js'), { included: true });
+    assert.equal(filter.checkDirectory('docs/drafts').included, false);
+  });
+
+  it('checks every directory leading to a path', () => {
+    const filter = new PathFilter(sampleRepo);
+    assert.deepEqual(filter.checkPath('docs/drafts/wip.md'), {
+      included: false,
+      reason: '.ragignore: docs/drafts/',
+    });
+    assert.deepEqual(filter.checkPath('docs/guide.md'), { included: true });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findLineRanges } from '../utils.js';
+
+describe('findLineRanges', () => {
+  it('finds the lines spanned by consecutive parts of a text', () => {
+    const text = 'one\ntwo\nthree\nfour\n';
+    assert.deepEqual(findLineRanges(text, ['one\ntwo', 'three\nfour']), [
+      { startLine: 1, endLine: 2 },
+      { startLine: 3, endLine: 4 },
+    ]);
+  });
+
+  it('leaves surrounding whitespace out', () => {
+    assert.deepEqual(findLineRanges('a\n\n\nb\nc\n', ['\n\nb\nc\n']), [
+      { startLine: 4, endLine: 5 },
+    ]);
+  });
+
+  it('matches repeated text at the place following the previous part', () => {
+    const text = 'x = 1\ny = 2\nx = 1\n';
+    assert.deepEqual(findLineRanges(text, ['x = 1', 'y = 2', 'x = 1']), [
+      { startLine: 1, endLine: 1 },
+      { startLine: 2, endLine: 2 },
+      { startLine: 3, endLine: 3 },
+    ]);
+  });
+
+  it('counts lines from the first line of an excerpt', () => {
+    assert.deepEqual(findLineRanges('a\nb', ['b'], 10), [{ startLine: 11, endLine: 11 }]);
+  });
+
+  it('returns null for parts not found', () => {
+    assert.deepEqual(findLineRanges('a\nb', ['a', 'z']), [{ startLine: 1, endLine: 1 }, null]);
+  });
+});
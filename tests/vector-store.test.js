@@ -0,0 +1,270 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalVectorStore } from '../services/local-vector-store.js';
+
+const LICENSE = `Copyright (c) 2024 The Authors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software
+and associated documentation files (the "Software"), to deal in the Software without
+restriction, including without limitation the rights to use, copy, modify, merge, publish,
+distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the
+Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or
+substantial portions of the Software.`;
+
+function createChunk(id, vector, payload) {
+  return {
+    id,
+    vector,
+    sparseVector: { indices: [1], values: [1] },
+    payload: { kind: 'file', repo: 'app', ref: 'main', startLine: 1, endLine: 3, ...payload },
+  };
+}
+
+describe('VectorStore deduplication', () => {
+  let storePath;
+  let store;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    storePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vector-store-'));
+    store = new LocalVectorStore(storePath);
+    await store.initializeCollection('code', 3);
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.promises.rm(storePath, { recursive: true, force: true });
+  });
+
+  async function getPoint(id) {
+    const [point] = await store.retrievePoints('code', [id]);
+    return point;
+  }
+
+  describe('mergeDocuments', () => {
+    it('stores exact copies once, with the location of every copy', async () => {
+      const duplicates = await store.mergeDocuments('code', [
+        createChunk('license', [1, 0, 0], { content: LICENSE, path: 'LICENSE' }),
+        createChunk('license', [1, 0, 0], { content: LICENSE, path: 'vendor/lib/LICENSE' }),
+      ]);
+      assert.equal(duplicates, 1);
+      assert.equal(
+        await store.mergeDocuments('code', [
+          createChunk('license', [1, 0, 0], { content: LICENSE, repo: 'lib', path: 'LICENSE' }),
+        ]),
+        1
+      );
+
+      const point = await getPoint('license');
+      assert.equal(await store.countPoints('code'), 1);
+      assert.equal(point.payload.path, 'LICENSE');
+      assert.deepEqual(
+        point.payload.locations.map(({ repo, path: locationPath }) => `${repo}/${locationPath}`),
+        ['app/LICENSE', 'app/vendor/lib/LICENSE', 'lib/LICENSE']
+      );
+      assert.deepEqual(point.payload.locations[1].directories, ['vendor', 'vendor/lib']);
+    });
+
+    it('replaces a location stored again, so that ingestion can be re-run', async () => {
+      const chunk = createChunk('license', [1, 0, 0], { content: LICENSE, path: 'LICENSE' });
+      await store.mergeDocuments('code', [chunk]);
+      const duplicates = await store.mergeDocuments('code', [
+        { ...chunk, payload: { ...chunk.payload, commit: 'abc123' } },
+      ]);
+
+      assert.equal(duplicates, 0);
+      const { payload } = await getPoint('license');
+      assert.equal(payload.locations.length, 1);
+      assert.equal(payload.locations[0].commit, 'abc123');
+    });
+
+    it('merges near-duplicates with close vectors and texts, keeping their own text', async () => {
+      const edited = LICENSE.replace('2024', '2025');
+      await store.mergeDocuments('code', [
+        createChunk('a', [1, 0, 0], { content: LICENSE, path: 'LICENSE' }),
+      ]);
+      const duplicates = await store.mergeDocuments(
+        'code',
+        [createChunk('b', [1, 0.01, 0], { content: edited, path: 'docs/LICENSE' })],
+        { nearDuplicateThreshold: 0.98 }
+      );
+
+      assert.equal(duplicates, 1);
+      assert.equal(await store.countPoints('code'), 1);
+      const { payload } = await getPoint('a');
+      assert.equal(payload.content, LICENSE);
+      assert.equal(payload.locations[1].content, edited);
+    });
+
+    it('keeps chunks with close vectors but different texts apart', async () => {
+      const duplicates = await store.mergeDocuments(
+        'code',
+        [
+          createChunk('add', [0, 1, 0], {
+            content: 'function add(a, b) {\n  return a + b;\n}',
+            path: 'add.js',
+          }),
+          createChunk('sum', [0, 1, 0.01], {
+            content: 'function sum(x, y) {\n  return x + y;\n}',
+            path: 'sum.js',
+          }),
+        ],
+        { nearDuplicateThreshold: 0.98 }
+      );
+
+      assert.equal(duplicates, 0);
+      assert.equal(await store.countPoints('code'), 2);
+    });
+
+    it('never merges commits, issues and pull requests', async () => {
+      const duplicates = await store.mergeDocuments(
+        'code',
+        [
+          createChunk('issue-1', [1, 0, 0], { kind: 'issue', content: 'Crash', number: 1 }),
+          createChunk('issue-2', [1, 0, 0], { kind: 'issue', content: 'Crash', number: 2 }),
+        ],
+        { nearDuplicateThreshold: 0.98 }
+      );
+
+      assert.equal(duplicates, 0);
+      assert.equal(await store.countPoints('code'), 2);
+    });
+
+    it('stops listing copies past the cap, without rewriting the point', async () => {
+      const copies = Array.from({ length: 40 }, (_, i) =>
+        createChunk('license', [1, 0, 0], { content: LICENSE, path: `packages/p${i}/LICENSE` })
+      );
+      assert.equal(await store.mergeDocuments('code', copies), 39);
+
+      const { payload } = await getPoint('license');
+      assert.equal(payload.locations.length, 32);
+      assert.equal(payload.unlistedLocations, true);
+
+      const logPath = path.join(storePath, 'code.jsonl');
+      const { size } = await fs.promises.stat(logPath);
+      await store.mergeDocuments('code', [
+        createChunk('license', [1, 0, 0], { content: LICENSE, path: 'other/LICENSE' }),
+      ]);
+      assert.equal((await fs.promises.stat(logPath)).size, size);
+    });
+
+    it('keeps a chunk with unlisted copies once its listed ones are removed', async () => {
+      const paths = Array.from({ length: 40 }, (_, i) => `packages/p${i}/LICENSE`);
+      await store.mergeDocuments(
+        'code',
+        paths.map((copyPath) =>
+          createChunk('license', [1, 0, 0], { content: LICENSE, path: copyPath })
+        )
+      );
+      await store.deleteDocumentsByPath('code', 'app', 'main', paths.slice(0, 32));
+
+      const results = await store.searchSimilar('code', [1, 0, 0], 5);
+      assert.deepEqual(
+        results.map(({ id }) => id),
+        ['license']
+      );
+      assert.equal(results[0].payload.content, LICENSE);
+      assert.deepEqual(results[0].payload.locations, []);
+
+      await store.mergeDocuments('code', [
+        createChunk('license', [1, 0, 0], { content: LICENSE, path: paths[39] }),
+      ]);
+      const { payload } = await getPoint('license');
+      assert.equal(payload.path, paths[39]);
+      assert.equal(payload.unlistedLocations, true);
+    });
+  });
+
+  describe('removeLocations', () => {
+    beforeEach(async () => {
+      await store.mergeDocuments('code', [
+        createChunk('license', [1, 0, 0], { content: LICENSE, path: 'LICENSE' }),
+        createChunk('license', [1, 0, 0], { content: LICENSE, path: 'vendor/LICENSE' }),
+        createChunk('license', [1, 0, 0], { content: LICENSE, ref: 'v1', path: 'LICENSE' }),
+        createChunk('index', [0, 1, 0], { content: 'export {};', path: 'index.js' }),
+        createChunk('issue', [0, 0, 1], { kind: 'issue', ref: null, content: 'Crash', number: 1 }),
+      ]);
+    });
+
+    it('keeps a chunk described by its next location when its first copy is removed', async () => {
+      await store.deleteDocumentsByPath('code', 'app', 'main', ['LICENSE']);
+
+      const { payload } = await getPoint('license');
+      assert.equal(payload.path, 'vendor/LICENSE');
+      assert.deepEqual(
+        payload.locations.map(({ ref, path: locationPath }) => `${ref}:${locationPath}`),
+        ['main:vendor/LICENSE', 'v1:LICENSE']
+      );
+    });
+
+    it('keeps the text of a chunk whose vectors derive from it', async () => {
+      const edited = LICENSE.replace('2024', '2025');
+      await store.mergeDocuments(
+        'code',
+        [createChunk('edited', [1, 0.01, 0], { content: edited, path: 'docs/LICENSE' })],
+        { nearDuplicateThreshold: 0.98 }
+      );
+      await store.deleteDocumentsByPath('code', 'app', 'main', ['LICENSE', 'vendor/LICENSE']);
+
+      let { payload } = await getPoint('license');
+      assert.equal(payload.content, LICENSE);
+      assert.equal(payload.ref, 'v1');
+      assert.deepEqual(
+        payload.locations.map(({ ref, path: locationPath }) => `${ref}:${locationPath}`),
+        ['v1:LICENSE', 'main:docs/LICENSE']
+      );
+      assert.equal(payload.locations[1].content, edited);
+
+      await store.deleteRepository('code', 'app', 'v1');
+      ({ payload } = await getPoint('license'));
+      assert.equal(payload.content, LICENSE);
+      assert.equal(payload.path, 'docs/LICENSE');
+      assert.equal(payload.locations[0].content, edited);
+    });
+
+    it('deletes chunks left without any location', async () => {
+      await store.deleteDocumentsByPath('code', 'app', 'main', ['index.js']);
+      assert.equal(await getPoint('index'), undefined);
+    });
+
+    it('removes the locations of a ref only', async () => {
+      await store.deleteRepository('code', 'app', 'main');
+
+      assert.equal(await store.countPoints('code'), 2);
+      const { payload } = await getPoint('license');
+      assert.deepEqual(
+        payload.locations.map(({ ref }) => ref),
+        ['v1']
+      );
+    });
+
+    it('keeps the points of excepted kinds', async () => {
+      await store.deleteRepository('code', 'app', null, { exceptKinds: ['issue'] });
+
+      assert.equal(await store.countPoints('code'), 1);
+      assert.ok(await getPoint('issue'));
+    });
+
+    it('deletes the points of given kinds', async () => {
+      await store.deleteDocumentsByKind('code', 'app', ['issue']);
+
+      assert.equal(await getPoint('issue'), undefined);
+      assert.equal(await store.countPoints('code'), 2);
+    });
+
+    it('finds a shared chunk from a filter on any of its locations', async () => {
+      const results = await store.searchSimilar('code', [1, 0, 0], 5, {
+        filters: { refs: ['v1'] },
+      });
+      assert.deepEqual(
+        results.map(({ id }) => id),
+        ['license']
+      );
+    });
+  });
+});
@@ -2,15 +2,19 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { exec as execCallback } from 'child_process';
+import { exec as execCallback, execFile as execFileCallback } from 'child_process';
 import { promisify } from 'util';
 import readline from 'readline';
 
 // Basic utilities
 export const exec = promisify(execCallback);
+export const execFile = promisify(execFileCallback);
 export const __filename = fileURLToPath(import.meta.url);
 export const __dirname = dirname(__filename);
 
+// Max buffer for git commands whose output grows with the repository size
+export const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
 // Utility to create readline interface
 export function createReadlineInterface() {
   return readline.createInterface({
@@ -42,13 +46,64 @@ export const FILE_EXTENSIONS = {
     '.h',
   ],
   docs: ['.md', '.txt', '.rst'],
+  config: ['.ipynb', '.json', '.yaml', '.yml', '.toml'],
+  // Files recognized by their name rather than their extension, e.g. `Dockerfile.dev`
+  fileNames: ['Dockerfile', 'Containerfile'],
   exclude: ['.git', 'node_modules', '__pycache__', 'venv', 'dist', 'build'],
 };
 
+// Types of the processed files, keys of FILE_EXTENSIONS
+export const FILE_TYPES = ['code', 'docs', 'config'];
+
 // Utility to check if a file should be processed
 export function shouldProcessFile(filePath) {
+  return getFileType(filePath) !== null;
+}
+
+// Language of the files of each extension, stored with their chunks for search filters
+export const FILE_LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.html': 'html',
+  '.css': 'css',
+  '.py': 'python',
+  '.java': 'java',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.md': 'markdown',
+  '.txt': 'text',
+  '.rst': 'restructuredtext',
+  '.ipynb': 'jupyter',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+};
+
+// Utility to check if a file is recognized by its name, e.g. `Dockerfile.dev`
+function hasProcessedFileName(filePath) {
+  const fileName = path.basename(filePath);
+  return FILE_EXTENSIONS.fileNames.some(
+    (name) => fileName === name || fileName.startsWith(`${name}.`)
+  );
+}
+
+// Utility to find the type of a file: `code`, `docs` or `config`, null if it is not processed
+export function getFileType(filePath) {
+  if (hasProcessedFileName(filePath)) return 'config';
   const ext = getFileExtension(filePath);
-  return [...FILE_EXTENSIONS.code, ...FILE_EXTENSIONS.docs].includes(ext);
+  return FILE_TYPES.find((type) => FILE_EXTENSIONS[type].includes(ext)) ?? null;
+}
+
+// Utility to find the language of a file, null if it is unknown
+export function getFileLanguage(filePath) {
+  if (hasProcessedFileName(filePath)) return 'dockerfile';
+  return FILE_LANGUAGES[getFileExtension(filePath)] ?? null;
 }
 
 // Utility to check if a directory should be excluded
@@ -56,6 +111,35 @@ export function shouldExcludeDirectory(dirName) {
   return FILE_EXTENSIONS.exclude.includes(dirName);
 }
 
+// Utility to list the projects of the configured repositories
+// A monorepo declaring subpaths yields one project per subpath, any other repository one project
+export function getRepoProjects(repos) {
+  return repos.flatMap((repo) => {
+    if (!repo.subpaths?.length) {
+      return [{ name: repo.name, repo: repo.name, path: '', url: repo.url, ref: repo.ref }];
+    }
+
+    // Local directories and archives have no web page to link to
+    const webUrl = repo.url?.replace(/\.git$/, '');
+    const treeRef = typeof repo.ref === 'string' ? repo.ref : 'HEAD';
+    return repo.subpaths.map((subpath) => {
+      const subpathDir = normalizeSubpath(subpath.path);
+      return {
+        name: subpath.name,
+        repo: repo.name,
+        path: subpathDir,
+        url: webUrl && `${webUrl}/tree/${treeRef}/${subpathDir}`,
+        ref: repo.ref,
+      };
+    });
+  });
+}
+
+// Utility to turn a configured subpath such as './packages/api/' into 'packages/api'
+export function normalizeSubpath(subpath) {
+  return path.posix.normalize(subpath.replace(/\\/g, '/')).replace(/^(\.\/?)+|\/+$/g, '');
+}
+
 // Git repository management utility
 export async function gitCloneOrPull(repoUrl, repoPath) {
   const repoName = repoUrl.split('/').pop();
@@ -63,7 +147,7 @@ export async function gitCloneOrPull(repoUrl, repoPath) {
   if (!fs.existsSync(repoPath)) {
     console.log(`Cloning ${repoUrl}...`);
     try {
-      await exec(`git clone ${repoUrl} ${repoPath}`);
+      await execFile('git', ['clone', '--', repoUrl, repoPath]);
       return true;
     } catch (error) {
       console.error(`Error cloning ${repoUrl}:`, error.message);
@@ -72,7 +156,7 @@ export async function gitCloneOrPull(repoUrl, repoPath) {
   } else {
     console.log(`Updating ${repoName}...`);
     try {
-      await exec(`cd ${repoPath} && git pull`);
+      await execFile('git', ['pull'], { cwd: repoPath });
       return true;
     } catch (error) {
       console.error(`Error updating ${repoName}:`, error.message);
@@ -81,7 +165,69 @@ export async function gitCloneOrPull(repoUrl, repoPath) {
   }
 }
 
+// Utility to map an (async) iterable with at most `concurrency` calls in flight
+// Results are yielded as soon as they settle, so they may come out of order
+export async function* mapConcurrent(source, concurrency, mapper) {
+  const pending = new Map();
+  let nextId = 0;
+
+  const start = (item) => {
+    const id = nextId++;
+    const settled = Promise.resolve()
+      .then(() => mapper(item))
+      .then(
+        (value) => ({ id, value }),
+        (error) => ({ id, error })
+      );
+    pending.set(id, settled);
+  };
+
+  const takeNext = async () => {
+    const { id, value, error } = await Promise.race(pending.values());
+    pending.delete(id);
+    if (error) throw error;
+    return value;
+  };
+
+  for await (const item of source) {
+    start(item);
+    if (pending.size >= concurrency) yield await takeNext();
+  }
+
+  while (pending.size > 0) yield await takeNext();
+}
+
 // Text chunk management utility
 export function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
+
+// Utility to find the lines spanned by consecutive parts of a text, such as its chunks
+// Parts are searched in order, each one from the offset of the previous one so that repeated
+// text is matched at the right place. Lines are 1-based, surrounding whitespace left out, and
+// counted from `firstLine` when the text is itself an excerpt. Parts not found get null
+export function findLineRanges(text, parts, firstLine = 1) {
+  const countNewlines = (value) => value.split('\n').length - 1;
+  let fromIndex = 0;
+
+  return parts.map((part) => {
+    const index = text.indexOf(part, fromIndex);
+    if (index === -1) return null;
+
+    fromIndex = index + 1;
+    const leading = part.length - part.trimStart().length;
+    const startLine = firstLine + countNewlines(text.slice(0, index + leading));
+    return { startLine, endLine: startLine + countNewlines(part.trim()) };
+  });
+}
+
+// Utility to encode a vector as base64 32-bit floats, exact and a third of the size of JSON numbers
+export function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+// Utility to decode a vector encoded by encodeVector
+export function decodeVector(encoded) {
+  const bytes = Buffer.from(encoded, 'base64');
+  return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+}